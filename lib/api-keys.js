@@ -0,0 +1,209 @@
+import crypto from "crypto";
+import { dataPath, readJsonFileStrict, writeJsonAtomic } from "./storage.js";
+import { ERROR_CODES, sendError } from "./api-response.js";
+
+// ==========================================
+// CLÉS API (authentification, scopes, limites de débit)
+// ==========================================
+// Fichier : DATA_DIR/api-keys.json. Seule l'empreinte SHA-256 de la clé est stockée :
+// la clé en clair n'est montrée qu'une fois, à l'émission.
+// Format d'une clé : sb_<id>_<secret>
+// Scopes : sav, chat, sources, admin (admin donne accès à tout).
+// La clé est lue dans "Authorization: Bearer ...", "X-API-Key" ou le champ de formulaire api_key
+// (les raccourcis iPhone savent envoyer l'un ou l'autre).
+// ADMIN_API_KEY (facultatif) : clé admin de démarrage, pour émettre les premières clés.
+// API_AUTH=off : désactive le contrôle (développement local uniquement).
+
+export const SCOPES = ["sav", "chat", "sources", "admin"];
+
+const KEYS_FILE = dataPath("api-keys.json");
+const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT || 60);   // requêtes par minute
+const KEY_RE = /^sb_([a-f0-9]{12})_([A-Za-z0-9_-]{20,})$/;
+
+let keys = null;
+
+// Fichier corrompu : rien n'est chargé ni réécrit (toutes les clés émises seraient perdues),
+// les clés du fichier sont refusées jusqu'à sa réparation
+function load() {
+    if (!keys) {
+        try {
+            keys = readJsonFileStrict(KEYS_FILE, {});
+        } catch (e) {
+            console.error(`❌ ${KEYS_FILE} illisible, laissé intact :`, e.message);
+            const err = new Error(`Registre des clés API illisible (${e.message})`);
+            err.code = "KEYS_FILE_UNREADABLE";
+            throw err;
+        }
+    }
+    return keys;
+}
+
+function persist() {
+    writeJsonAtomic(KEYS_FILE, keys);
+}
+
+function hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function sameHash(a, b) {
+    const ba = Buffer.from(a, "hex");
+    const bb = Buffer.from(b, "hex");
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+export function authDisabled() {
+    return String(process.env.API_AUTH || "").toLowerCase() === "off";
+}
+
+// Vue publique d'une clé (jamais l'empreinte)
+function publicKey(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, active: isActive(record) };
+}
+
+function isActive(record, now = Date.now()) {
+    if (record.revoked_at) return false;
+    return !record.expires_at || Date.parse(record.expires_at) > now;
+}
+
+export function normalizeScopes(scopes) {
+    const list = Array.isArray(scopes) ? scopes : String(scopes || "").split(",");
+    const clean = [...new Set(list.map(s => String(s).trim().toLowerCase()).filter(Boolean))];
+    const unknown = clean.filter(s => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`Scope inconnu : ${unknown.join(", ")} (possibles : ${SCOPES.join(", ")})`);
+    if (!clean.length) throw new Error(`Au moins un scope est requis (${SCOPES.join(", ")})`);
+    return clean;
+}
+
+// Émet une clé. Renvoie { key (en clair, à transmettre une seule fois), record }
+export function issueKey({ label, scopes, expiresAt = null, rateLimit = null }) {
+    if (!label) throw new Error("Un libellé est requis (ex : \"iPhone de Camille\")");
+    const expires = expiresAt ? new Date(expiresAt) : null;
+    if (expires && Number.isNaN(expires.getTime())) throw new Error(`Date d'expiration invalide : ${expiresAt}`);
+    // 0 ou NaN retomberaient sur la limite par défaut, un négatif bloquerait la clé pour toujours
+    const hasRateLimit = rateLimit !== null && rateLimit !== undefined && rateLimit !== "";
+    if (hasRateLimit && !(Number.isInteger(Number(rateLimit)) && Number(rateLimit) > 0)) {
+        throw new Error(`rate_limit invalide : ${rateLimit} (nombre entier de requêtes par minute attendu)`);
+    }
+
+    const id = crypto.randomBytes(6).toString("hex");
+    const key = `sb_${id}_${crypto.randomBytes(24).toString("base64url")}`;
+    const record = {
+        id,
+        label: String(label).substring(0, 100),
+        scopes: normalizeScopes(scopes),
+        hash: hashKey(key),
+        created_at: new Date().toISOString(),
+        expires_at: expires ? expires.toISOString() : null,
+        revoked_at: null,
+        last_used_at: null,
+        rate_limit: hasRateLimit ? Number(rateLimit) : null
+    };
+    load()[id] = record;
+    persist();
+    return { key, record: publicKey(record) };
+}
+
+export function listKeys() {
+    return Object.values(load())
+        .map(publicKey)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+export function revokeKey(id) {
+    const record = load()[id];
+    if (!record) return null;
+    if (!record.revoked_at) {
+        record.revoked_at = new Date().toISOString();
+        persist();
+    }
+    return publicKey(record);
+}
+
+// Identifie une clé en clair. Renvoie { ok: true, key } ou { ok: false, reason }
+export function verifyKey(key) {
+    if (!key) return { ok: false, reason: "missing" };
+    const bootstrap = process.env.ADMIN_API_KEY;
+    if (bootstrap && sameHash(hashKey(key), hashKey(bootstrap))) {
+        return { ok: true, key: { id: "bootstrap", label: "ADMIN_API_KEY", scopes: ["admin"], rate_limit: null } };
+    }
+    const m = String(key || "").match(KEY_RE);
+    const record = m ? load()[m[1]] : null;
+    if (!record || !sameHash(hashKey(key), record.hash)) return { ok: false, reason: "invalid" };
+    if (record.revoked_at) return { ok: false, reason: "revoked" };
+    if (!isActive(record)) return { ok: false, reason: "expired" };
+
+    // Date de dernière utilisation : écrite au plus une fois par minute
+    const now = Date.now();
+    if (!record.last_used_at || now - Date.parse(record.last_used_at) > 60000) {
+        record.last_used_at = new Date(now).toISOString();
+        persist();
+    }
+    return { ok: true, key: publicKey(record) };
+}
+
+export function hasScope(key, scope) {
+    return key.scopes.includes("admin") || key.scopes.includes(scope);
+}
+
+// ==========================================
+// LIMITE DE DÉBIT (fenêtre fixe d'une minute, en mémoire)
+// ==========================================
+
+const windows = new Map();
+
+// Renvoie { allowed, limit, remaining, retry_after_s }
+export function consumeRate(key, now = Date.now()) {
+    const limit = key.rate_limit || DEFAULT_RATE_LIMIT;
+    const start = now - (now % 60000);
+    let w = windows.get(key.id);
+    if (!w || w.start !== start) {
+        w = { start, count: 0 };
+        windows.set(key.id, w);
+    }
+    w.count++;
+    return {
+        allowed: w.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - w.count),
+        retry_after_s: Math.ceil((start + 60000 - now) / 1000)
+    };
+}
+
+export function keyFromRequest(req) {
+    const auth = req.get("Authorization") || "";
+    if (/^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, "").trim();
+    return req.get("X-API-Key") || req.body?.api_key || null;
+}
+
+const REASONS = { missing: "manquante", invalid: "invalide", revoked: "révoquée", expired: "expirée" };
+
+// Middleware par route. À placer APRÈS multer : le champ api_key d'un formulaire
+// multipart n'est lisible qu'une fois le corps analysé. La clé retenue est exposée dans req.apiKey.
+export function requireScope(scope) {
+    return (req, res, next) => {
+        if (authDisabled()) return next();
+        let result;
+        try {
+            result = verifyKey(keyFromRequest(req));
+        } catch (e) {
+            return sendError(req, res, 500, ERROR_CODES.INTERNAL_ERROR, `Erreur: ${e.message}`);
+        }
+        if (!result.ok) {
+            return sendError(req, res, 401, ERROR_CODES.UNAUTHORIZED, `Erreur: clé API ${REASONS[result.reason]}`);
+        }
+        if (!hasScope(result.key, scope)) {
+            return sendError(req, res, 403, ERROR_CODES.FORBIDDEN, `Erreur: cette clé n'a pas accès à "${scope}"`);
+        }
+        const rate = consumeRate(result.key);
+        res.setHeader("X-RateLimit-Limit", rate.limit);
+        res.setHeader("X-RateLimit-Remaining", rate.remaining);
+        if (!rate.allowed) {
+            res.setHeader("Retry-After", rate.retry_after_s);
+            return sendError(req, res, 429, ERROR_CODES.RATE_LIMITED, `Erreur: trop de requêtes, réessayez dans ${rate.retry_after_s} s`);
+        }
+        req.apiKey = result.key;
+        next();
+    };
+}
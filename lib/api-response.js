@@ -0,0 +1,79 @@
+// ==========================================
+// RÉPONSES TEXTE OU JSON (négociation de contenu)
+// ==========================================
+// Le raccourci iPhone attend du texte brut : c'est le défaut. Une intégration qui
+// envoie "Accept: application/json" ou "?format=json" reçoit à la place :
+//   succès : { ok: true, ...données de la route }
+//   erreur : { ok: false, error: { code, message } }   (code : voir ERROR_CODES)
+
+export const ERROR_CODES = Object.freeze({
+    MISSING_IMAGE: "MISSING_IMAGE",
+    MISSING_TEXT: "MISSING_TEXT",
+    MISSING_INPUT: "MISSING_INPUT",
+    MISSING_TRACKING_NUMBER: "MISSING_TRACKING_NUMBER",
+    TRACKING_NOT_FOUND: "TRACKING_NOT_FOUND",
+    INVALID_TRACKING_NUMBER: "INVALID_TRACKING_NUMBER",
+    UNKNOWN_PROMPT: "UNKNOWN_PROMPT",
+    UNKNOWN_PROMPT_VERSION: "UNKNOWN_PROMPT_VERSION",
+    UNSUPPORTED_LANGUAGE: "UNSUPPORTED_LANGUAGE",
+    INVALID_PROMPT_VARIABLES: "INVALID_PROMPT_VARIABLES",
+    UNAUTHORIZED: "UNAUTHORIZED",
+    FORBIDDEN: "FORBIDDEN",
+    RATE_LIMITED: "RATE_LIMITED",
+    INVALID_REQUEST: "INVALID_REQUEST",
+    NOT_FOUND: "NOT_FOUND",
+    LLM_FAILED: "LLM_FAILED",
+    BUDGET_EXCEEDED: "BUDGET_EXCEEDED",
+    UPSTREAM_UNAVAILABLE: "UPSTREAM_UNAVAILABLE",
+    INTERNAL_ERROR: "INTERNAL_ERROR"
+});
+
+export function wantsJson(req) {
+    if (String(req.query?.format || "").toLowerCase() === "json") return true;
+    if (!req.get("Accept")) return false;
+    return req.accepts(["text/plain", "application/json"]) === "application/json";
+}
+
+// text : corps historique (texte brut) ; payload : corps JSON
+export function sendResult(req, res, text, payload = {}) {
+    if (wantsJson(req)) return res.json({ ok: true, ...payload });
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    return res.send(text);
+}
+
+// text : message historique renvoyé au raccourci (inchangé) ; message : détail pour le JSON
+export function sendError(req, res, status, code, text, message = text) {
+    // Dossier SAV en cours (lib/case-log.js) : l'erreur y est consignée
+    if (req.savCase) req.savCase.error = { code, message };
+    if (wantsJson(req)) return res.status(status).json({ ok: false, error: { code, message } });
+    res.status(status).setHeader("Content-Type", "text/plain; charset=utf-8");
+    return res.send(text);
+}
+
+// Erreur attrapée dans une route : code métier connu (budget, modèles ou service externe
+// indisponibles...) ou erreur interne.
+// text : message historique renvoyé au raccourci pour une erreur interne
+export function sendFailure(req, res, err, text, code = ERROR_CODES.INTERNAL_ERROR) {
+    if (err?.code === ERROR_CODES.BUDGET_EXCEEDED) {
+        return sendError(req, res, 429, ERROR_CODES.BUDGET_EXCEEDED, `Erreur: ${err.message}`, err.message);
+    }
+    if (err?.code === ERROR_CODES.LLM_FAILED) {
+        // Toute la chaîne de modèles a échoué : indisponibilité en amont, pas un bug
+        return sendError(req, res, 503, ERROR_CODES.LLM_FAILED, text, err.message);
+    }
+    if (err?.code === ERROR_CODES.UPSTREAM_UNAVAILABLE) {
+        // Woo, Sendcloud ou 17TRACK en panne (voir http.js)
+        return sendError(req, res, 503, ERROR_CODES.UPSTREAM_UNAVAILABLE, text, err.message);
+    }
+    return sendError(req, res, 500, code, text, err?.message ?? text);
+}
+
+// Trace des modèles appelés pendant une requête ({ task, model, fallback_from?, repaired? })
+export function noteModel(models, task, response) {
+    if (!models || !response) return response;
+    const entry = { task, model: response.model ?? null };
+    if (response.fallbacks?.length) entry.fallback_from = response.fallbacks.map(f => f.model);
+    if (response.repaired) entry.repaired = true;
+    models.push(entry);
+    return response;
+}
@@ -0,0 +1,190 @@
+// ==========================================
+// CHARTE ROBIN : CONTRÔLE ET RÉPARATION DES BROUILLONS
+// ==========================================
+// Les règles de style sont dans les prompts, mais le modèle les enfreint parfois.
+// Après génération :
+//  - les écarts mécaniques sont corrigés directement (tiret cadratin, salutation,
+//    signature, emojis en trop, lien de suivi absent) ;
+//  - les autres (tutoiement, mention de la capture) déclenchent une régénération
+//    avec un retour ciblé, BRAND_MAX_REGENERATIONS fois au plus.
+// Le rapport { fired, fixed, regenerations, remaining } remonte dans la réponse JSON.
+// Langue : ctx.lang (défaut fr) fixe la salutation, la phrase du lien et la forme de politesse
+// attendues ; avec ctx.languageFromDraft, la langue est relue sur la salutation du brouillon
+// (le modèle a suivi la langue de la conversation, voir language.js).
+
+import { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, draftLanguage } from "./language.js";
+
+const MAX_REGENERATIONS = Number(process.env.BRAND_MAX_REGENERATIONS || 1);
+
+export const SIGNATURE = "Robin 🌞";
+
+const EMOJI_RE = /\p{Extended_Pictographic}(️|‍\p{Extended_Pictographic})*/gu;
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const ALL_GREETINGS = ["salut", "coucou", "hey", ...Object.values(LANGUAGES).flatMap(l => l.greetings)];
+const GREETING_RE = new RegExp(`^(${ALL_GREETINGS.map(escapeRe).join("|")})(?!\\p{L})[ \t,:]*`, "iu");
+const NAME_RE = /^(\p{Lu}[\p{L}'-]*)/u;
+
+// Mention de la capture d'écran de la conversation (FR / EN / DE / NL / ES / IT / PT)
+const SCREENSHOT_RE = /(?<!\p{L})(captures? d['’]écran|capture écran|(votre|cette|la) capture|screen ?shots?|bildschirmfotos?|schermafbeelding(en)?|captura(s)? de (pantalla|ecrã|tela)|schermat[ae])(?!\p{L})/iu;
+
+// Tutoiement ou équivalent familier, pour les langues où il se repère au vocabulaire
+const INFORMAL_RE = {
+    // Bornes de mot Unicode : "\b" couperait "êtes" en "tes"
+    fr: /(?<!\p{L})(tu|toi|ton|tes|tiens|t['’](es|as|inqui)|(je|on) te)(?!\p{L})/iu,
+    de: /(?<!\p{L})(du|dich|dir|dein|deine|deinen|deinem|deiner|deines)(?!\p{L})/iu,
+    nl: /(?<!\p{L})(jij|jou|jouw|je)(?!\p{L})/iu,
+    es: /(?<!\p{L})(tú|contigo|tienes|puedes|quieres)(?!\p{L})/iu,
+    it: /(?<!\p{L})(tu|ti|tuo|tua|tuoi|tue|puoi|vuoi)(?!\p{L})/iu
+};
+
+function languageOf(text, ctx) {
+    const preferred = normalizeLanguage(ctx.lang) || DEFAULT_LANGUAGE;
+    return ctx.languageFromDraft ? draftLanguage(text, preferred) ?? preferred : preferred;
+}
+
+function splitSignature(text) {
+    const lines = text.trimEnd().split("\n");
+    const last = lines[lines.length - 1]?.trim() ?? "";
+    if (/^robin\b/i.test(last)) return { body: lines.slice(0, -1).join("\n").trimEnd(), signature: last };
+    return { body: text.trimEnd(), signature: null };
+}
+
+// Formule de fin ("Belle journée,", "Bien à vous,", "À très vite !") : dernière ligne courte du
+// corps, terminée par une virgule ou un point d'exclamation
+const CLOSING_RE = /^[^\n.?:]{1,40}[,!]$/;
+
+function splitClosing(body) {
+    const lines = body.split("\n");
+    const last = lines[lines.length - 1]?.trim() ?? "";
+    if (lines.length < 2 || !CLOSING_RE.test(last)) return { body, closing: null };
+    return { body: lines.slice(0, -1).join("\n").trimEnd(), closing: last };
+}
+
+function withSignature(body) {
+    return `${body.trimEnd()}\n\n${SIGNATURE}`;
+}
+
+// Chaque règle : check(text, ctx) -> vrai si enfreinte ; fix(text, ctx) -> texte corrigé
+// (règles mécaniques) ou feedback (règles qui demandent une réécriture).
+// L'ordre compte : le lien est ajouté (avant la formule de fin) avant que la signature soit remise en dernier.
+const RULES = [
+    {
+        id: "em_dash",
+        // Le tiret demi-cadratin ("9h–18h") reste permis
+        check: text => /—/.test(text),
+        fix: text => text
+            .replace(/^(\s*)—\s*/gm, "$1- ")
+            .replace(/\s*—\s*/g, ", ")
+    },
+    {
+        id: "greeting",
+        check: (text, ctx) => {
+            const greetings = LANGUAGES[languageOf(text, ctx)].greetings.map(escapeRe).join("|");
+            return !new RegExp(`^(${greetings})(?!\\p{L})[^,\\n]*,`, "u").test(text.trimStart());
+        },
+        fix: (text, ctx) => {
+            const greeting = LANGUAGES[languageOf(text, ctx)].greetings[0];
+            let rest = text.trimStart();
+            let name = ctx.firstName || null;
+            const written = rest.match(GREETING_RE);
+            if (written) {
+                rest = rest.slice(written[0].length);
+                const writtenName = rest.match(NAME_RE);
+                if (writtenName) {
+                    name = writtenName[1];
+                    rest = rest.slice(writtenName[0].length);
+                }
+            }
+            rest = rest.replace(/^[\s,.!:]+/, "");
+            return `${greeting}${name ? ` ${name}` : ""},${rest ? `\n\n${rest}` : ""}`;
+        }
+    },
+    {
+        id: "tracking_link",
+        check: (text, ctx) => (ctx.trackingLinks || []).some(url => !text.includes(url)),
+        fix: (text, ctx) => {
+            const missing = ctx.trackingLinks.filter(url => !text.includes(url));
+            const lang = LANGUAGES[languageOf(text, ctx)];
+            const { body: withClosing, signature } = splitSignature(text);
+            const { body, closing } = splitClosing(withClosing);
+            const block = missing.length > 1 ? `${lang.links}\n${missing.join("\n")}` : `${lang.link} ${missing[0]}`;
+            const end = [closing, signature].filter(Boolean).join("\n");
+            return `${body}\n\n${block}${end ? `\n\n${end}` : ""}`;
+        }
+    },
+    {
+        id: "emoji_limit",
+        check: text => (splitSignature(text).body.match(EMOJI_RE) || []).length > 1,
+        fix: text => {
+            const { body, signature } = splitSignature(text);
+            let seen = 0;
+            const cleaned = body
+                .replace(EMOJI_RE, m => (seen++ === 0 ? m : ""))
+                .replace(/[ \t]{2,}/g, " ")
+                .replace(/[ \t]+\n/g, "\n");
+            return signature ? `${cleaned}\n\n${signature}` : cleaned;
+        }
+    },
+    {
+        id: "signature",
+        check: text => !text.trimEnd().endsWith(SIGNATURE),
+        fix: text => withSignature(splitSignature(text).body)
+    },
+    {
+        id: "vouvoiement",
+        check: (text, ctx) => !!INFORMAL_RE[languageOf(text, ctx)]?.test(splitSignature(text).body),
+        feedback: (text, ctx) => {
+            const code = languageOf(text, ctx);
+            if (code === DEFAULT_LANGUAGE) return "Tu as tutoyé la cliente. Réécris le message entièrement au vouvoiement (vous, votre, vos).";
+            return `Tu as utilisé une forme familière. Réécris le message entièrement en ${LANGUAGES[code].name}, avec la forme de politesse : ${LANGUAGES[code].register}.`;
+        }
+    },
+    {
+        id: "no_screenshot_mention",
+        // Seulement la capture de la conversation : "merci pour la photo du bijou" reste permis
+        check: text => SCREENSHOT_RE.test(text),
+        feedback: "Tu as mentionné la capture d'écran. Réécris le message sans jamais y faire allusion : intègre simplement les informations."
+    }
+];
+
+// Identifiants des règles enfreintes par un texte
+export function checkBrandStyle(text, ctx = {}) {
+    return RULES.filter(rule => rule.check(text || "", ctx)).map(rule => rule.id);
+}
+
+function applyFixes(text, ctx, report) {
+    let out = text || "";
+    for (const rule of RULES) {
+        if (!rule.fix || !rule.check(out, ctx)) continue;
+        out = rule.fix(out, ctx);
+        if (!report.fired.includes(rule.id)) report.fired.push(rule.id);
+        if (!report.fixed.includes(rule.id)) report.fixed.push(rule.id);
+    }
+    return out;
+}
+
+function rewriteFeedback(violations, text, ctx) {
+    return RULES.filter(rule => violations.includes(rule.id))
+        .map(rule => (typeof rule.feedback === "function" ? rule.feedback(text, ctx) : rule.feedback))
+        .join("\n");
+}
+
+// Contrôle et répare un brouillon.
+// ctx : { firstName, trackingLinks: [url], lang, languageFromDraft }
+// regenerate(feedback) -> Promise<texte> : appelé pour les règles non réparables mécaniquement
+export async function enforceBrandStyle(text, ctx = {}, regenerate = null) {
+    const report = { fired: [], fixed: [], regenerations: 0, remaining: [] };
+    let out = applyFixes(text, ctx, report);
+
+    let unfixable = checkBrandStyle(out, ctx);
+    report.fired.push(...unfixable);
+    while (unfixable.length && regenerate && report.regenerations < MAX_REGENERATIONS) {
+        report.regenerations++;
+        console.warn(`✏️ Brouillon régénéré (charte : ${unfixable.join(", ")})`);
+        out = applyFixes(await regenerate(rewriteFeedback(unfixable, out, ctx)), ctx, report);
+        unfixable = checkBrandStyle(out, ctx);
+        for (const id of unfixable) if (!report.fired.includes(id)) report.fired.push(id);
+    }
+    report.remaining = unfixable;
+    return { text: out, style: report };
+}
@@ -0,0 +1,158 @@
+import fs from "fs";
+import crypto from "crypto";
+import { dataPath, ensureDir, writeFileAtomic, DATA_DIR } from "./storage.js";
+import { samePhone } from "./phone.js";
+import { cleanTrackingNumber } from "./tracking-number.js";
+
+// ==========================================
+// JOURNAL DES DOSSIERS SAV
+// ==========================================
+// Fichier : DATA_DIR/cases.jsonl, une ligne JSON par requête /sav/*, ajoutée en fin de fichier.
+// Permet de reconstituer après coup ce que le pont a compris et répondu.
+// {
+//   id, created_at, route, api_key, http_status, duration_ms,
+//   input: { kind: "image" | "text", sha256, size, mime } | null,   // jamais l'image ni le texte
+//   identifiers,                                                    // extraits (email, téléphone, commande, suivi)
+//   customer: { first_name, email, phone, country },
+//   resolution: { path, status, candidates, unavailable, logs } | null,
+//   order_number, tracking_numbers: [...],
+//   intent: { intent, confidence, reason, routed_intent } | null,  // /sav/inbox
+//   return: { id, status } | null,                                  // /sav/return (voir lib/returns.js)
+//   writeback: { mode, key, status } | null,                        // trace sur la commande (lib/woo-writeback.js)
+//   models, prompts: [{ name, version }], language: { code, source } | null, draft,
+//   error: { code, message } | null
+// }
+// Chaque route complète req.savCase ; l'enregistrement part quand la réponse est envoyée.
+// Seules la rétention et l'effacement RGPD (lib/privacy.js) réécrivent le fichier.
+
+const CASES_FILE = dataPath("cases.jsonl");
+const CASE_ID_RE = /^case_\d+_[a-f0-9]{8}$/;
+
+let cases = null;
+
+function load() {
+    if (cases) return cases;
+    cases = [];
+    let raw = "";
+    try {
+        raw = fs.readFileSync(CASES_FILE, "utf-8");
+    } catch (e) {
+        if (e.code !== "ENOENT") console.error(`Erreur lecture ${CASES_FILE} :`, e.message);
+    }
+    for (const line of raw.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            cases.push(JSON.parse(line));
+        } catch (e) {
+            // Ligne tronquée par un arrêt brutal : on l'ignore
+        }
+    }
+    return cases;
+}
+
+function appendCase(record) {
+    load().push(record);
+    ensureDir(DATA_DIR);
+    fs.appendFileSync(CASES_FILE, `${JSON.stringify(record)}\n`);
+}
+
+export function isCaseId(id) {
+    return CASE_ID_RE.test(String(id || ""));
+}
+
+// Empreinte de l'entrée (capture ou texte OCR) : de quoi la retrouver, pas de quoi la relire
+export function inputFingerprint({ file = null, text = null }) {
+    if (file) {
+        return { kind: "image", sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"), size: file.size ?? file.buffer.length, mime: file.mimetype || null };
+    }
+    if (text) {
+        return { kind: "text", sha256: crypto.createHash("sha256").update(String(text)).digest("hex"), size: String(text).length, mime: null };
+    }
+    return null;
+}
+
+// Middleware : à placer après guard() sur les routes /sav/*. Le numéro de dossier est
+// renvoyé dans l'en-tête X-Case-Id.
+export function caseRecorder(req, res, next) {
+    const started = Date.now();
+    const id = `case_${started}_${crypto.randomBytes(4).toString("hex")}`;
+    req.savCase = { id, models: [], prompts: [] };
+    res.setHeader("X-Case-Id", id);
+    res.on("finish", () => {
+        const c = req.savCase;
+        try {
+            appendCase({
+                id,
+                created_at: new Date(started).toISOString(),
+                route: req.route?.path || req.path,
+                api_key: req.apiKey?.id ?? null,
+                http_status: res.statusCode,
+                duration_ms: Date.now() - started,
+                input: inputFingerprint({ file: req.file, text: c.text }),
+                identifiers: c.identifiers ?? null,
+                customer: c.customer ?? null,
+                resolution: c.resolution ?? null,
+                order_number: c.order_number != null ? String(c.order_number) : null,
+                tracking_numbers: [...new Set((c.tracking_numbers || []).filter(Boolean))],
+                intent: c.intent ?? null,
+                return: c.return ?? null,
+                writeback: c.writeback ?? null,
+                models: c.models,
+                prompts: c.prompts.filter(Boolean),
+                language: c.language ?? null,
+                draft: c.draft ?? null,
+                error: c.error ?? null
+            });
+        } catch (e) {
+            console.error(`❌ Dossier SAV ${id} non enregistré :`, e.message);
+        }
+    });
+    next();
+}
+
+// Rétention et effacement : retire les dossiers qui vérifient match(dossier).
+// Renvoie le nombre de dossiers retirés.
+export function removeCases(match) {
+    const all = load();
+    const kept = all.filter(c => !match(c));
+    const removed = all.length - kept.length;
+    if (removed) {
+        writeFileAtomic(CASES_FILE, kept.map(c => `${JSON.stringify(c)}\n`).join(""));
+        cases = kept;
+    }
+    return removed;
+}
+
+export function getCase(id) {
+    return load().find(c => c.id === id) ?? null;
+}
+
+const lower = s => String(s || "").trim().toLowerCase();
+
+function caseEmails(c) {
+    return [c.identifiers?.email, c.customer?.email].filter(Boolean).map(lower);
+}
+
+function casePhones(c) {
+    return [c.identifiers?.phone, c.customer?.phone].filter(Boolean);
+}
+
+function caseTrackingNumbers(c) {
+    return [c.identifiers?.tracking_number, ...c.tracking_numbers].filter(Boolean).map(cleanTrackingNumber);
+}
+
+// Filtres (tous facultatifs, cumulés) : order_number, email, phone, tracking_number, route,
+// intent (intention classée par /sav/inbox).
+// Les plus récents d'abord.
+export function searchCases({ order_number = null, email = null, phone = null, tracking_number = null, route = null, intent = null, limit = 50 } = {}) {
+    const tn = tracking_number ? cleanTrackingNumber(tracking_number) : null;
+    const found = load().filter(c =>
+        (!order_number || c.order_number === String(order_number).trim() || c.identifiers?.order_number === String(order_number).trim())
+        && (!email || caseEmails(c).includes(lower(email)))
+        && (!phone || casePhones(c).some(p => samePhone(phone, p, { orderCountry: c.customer?.country })))
+        && (!tn || caseTrackingNumbers(c).includes(tn))
+        && (!route || c.route === route)
+        && (!intent || c.intent?.intent === intent)
+    );
+    return found.slice(-limit).reverse();
+}
@@ -0,0 +1,269 @@
+import fs from "fs";
+import { dataPath, readJsonFile, writeJsonAtomic, withLock } from "./storage.js";
+
+// ==========================================
+// CONVERSATIONS DU COACH (une par utilisateur + ID)
+// ==========================================
+// Fichier : DATA_DIR/conversations/<owner>/<conversation_id>.json
+// <owner> vaut "<id de clé API>--<user>" quand l'authentification est active (voir conversationOwner).
+// L'historique complet est conservé (export) ; seul le contexte envoyé au modèle
+// est fenêtré : résumé des anciens messages + les COACH_KEEP_RECENT derniers.
+
+export const DEFAULT_USER = "default";
+export const DEFAULT_CONVERSATION = "default";
+
+const MAX_CONTEXT_CHARS = Number(process.env.COACH_CONTEXT_MAX_CHARS || 60000);
+const KEEP_RECENT = Number(process.env.COACH_KEEP_RECENT || 12);
+
+const ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+// Dossier d'un propriétaire : ID de clé (optionnel) + "--" + user
+const OWNER_RE = /^([A-Za-z0-9_]{1,64}--)?[A-Za-z0-9_-]{1,64}$/;
+
+export function isValidId(id) {
+    return ID_RE.test(String(id || ""));
+}
+
+// Normalise un identifiant fourni par le client (sinon valeur par défaut)
+export function cleanId(id, fallback) {
+    if (id === undefined || id === null || id === "") return fallback;
+    const s = String(id).trim();
+    if (!isValidId(s)) throw new Error(`Identifiant invalide : "${s}" (lettres, chiffres, _ et - uniquement)`);
+    return s;
+}
+
+// Le champ "user" vient du client : avec l'authentification, il est rangé sous l'ID
+// de la clé API appelante, pour qu'une clé ne puisse ni lire ni prolonger
+// les conversations d'une autre. Sans authentification (apiKeyId nul), rien ne change.
+export function conversationOwner(apiKeyId, user) {
+    return apiKeyId ? `${apiKeyId}--${user}` : user;
+}
+
+function conversationFile(user, id) {
+    return dataPath("conversations", user, `${id}.json`);
+}
+
+export function loadConversation(user, id) {
+    return readJsonFile(conversationFile(user, id), null);
+}
+
+export function saveConversation(conversation) {
+    conversation.updated_at = new Date().toISOString();
+    writeJsonAtomic(conversationFile(conversation.user, conversation.id), conversation);
+    return conversation;
+}
+
+export function newConversation(user, id) {
+    const now = new Date().toISOString();
+    return { id, user, title: null, created_at: now, updated_at: now, summary: null, summarized_count: 0, messages: [] };
+}
+
+// Tout accès en écriture passe par ce verrou : deux tickets sur la même
+// conversation s'exécutent l'un après l'autre au lieu de s'écraser.
+export function withConversation(user, id, fn) {
+    return withLock(`conversation:${user}/${id}`, () => fn(loadConversation(user, id)));
+}
+
+export function listConversations(user) {
+    const dir = dataPath("conversations", user);
+    let files = [];
+    try {
+        files = fs.readdirSync(dir).filter(f => f.endsWith(".json"));
+    } catch (e) {
+        return [];
+    }
+    return files
+        .map(f => readJsonFile(dataPath("conversations", user, f), null))
+        .filter(Boolean)
+        .map(c => ({
+            id: c.id,
+            title: c.title,
+            message_count: c.messages.length,
+            created_at: c.created_at,
+            updated_at: c.updated_at
+        }))
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+export function deleteConversation(user, id) {
+    return withLock(`conversation:${user}/${id}`, () => {
+        try {
+            fs.unlinkSync(conversationFile(user, id));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    });
+}
+
+// ==========================================
+// RÉTENTION ET EFFACEMENT (voir lib/privacy.js)
+// ==========================================
+
+function allConversations() {
+    let users = [];
+    try {
+        users = fs.readdirSync(dataPath("conversations")).filter(u => OWNER_RE.test(u));
+    } catch (e) {
+        return [];
+    }
+    return users.flatMap(user => {
+        try {
+            return fs.readdirSync(dataPath("conversations", user))
+                .filter(f => f.endsWith(".json"))
+                .map(f => ({ user, id: f.slice(0, -5) }));
+        } catch (e) {
+            return [];
+        }
+    });
+}
+
+// Le résumé peut reprendre des messages supprimés : il est refait à la prochaine compaction
+function keepMessages(conversation, keep) {
+    const kept = conversation.messages.filter(keep);
+    const removed = conversation.messages.length - kept.length;
+    if (!removed) return 0;
+    conversation.messages = kept;
+    conversation.summary = null;
+    conversation.summarized_count = 0;
+    saveConversation(conversation);
+    return removed;
+}
+
+// Supprime les conversations inactives depuis "before" (date ISO) et les messages plus anciens.
+// Renvoie { conversations, messages } (nombres supprimés)
+export async function purgeConversations(before) {
+    const counts = { conversations: 0, messages: 0 };
+    for (const { user, id } of allConversations()) {
+        await withConversation(user, id, conversation => {
+            if (!conversation) return;
+            if (conversation.updated_at < before) {
+                fs.unlinkSync(conversationFile(user, id));
+                counts.conversations++;
+                return;
+            }
+            counts.messages += keepMessages(conversation, m => !m.at || m.at >= before);
+        });
+    }
+    return counts;
+}
+
+// Supprime les messages qui vérifient match(message) ; le titre et le résumé concernés aussi.
+// Renvoie le nombre de messages supprimés.
+export async function eraseConversationMessages(match) {
+    let removed = 0;
+    for (const { user, id } of allConversations()) {
+        await withConversation(user, id, conversation => {
+            if (!conversation) return;
+            removed += keepMessages(conversation, m => !match(m));
+            const titleHit = conversation.title && match({ content: conversation.title });
+            const summaryHit = conversation.summary && match({ content: conversation.summary });
+            if (!titleHit && !summaryHit) return;
+            if (titleHit) conversation.title = null;
+            if (summaryHit) Object.assign(conversation, { summary: null, summarized_count: 0 });
+            saveConversation(conversation);
+        });
+    }
+    return removed;
+}
+
+// Copie de l'ancien coach_history.json gardée après import : supprimée passé le délai de rétention
+export function purgeLegacyHistory(file, before) {
+    const backup = `${file}.migrated`;
+    try {
+        if (fs.statSync(backup).mtime.toISOString() >= before) return false;
+        fs.unlinkSync(backup);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Retire de la copie de l'ancien historique les messages qui vérifient match(message)
+export function eraseLegacyHistory(file, match) {
+    const backup = `${file}.migrated`;
+    const messages = readJsonFile(backup, null);
+    if (!Array.isArray(messages)) return 0;
+    const kept = messages.filter(m => !match(m));
+    if (kept.length !== messages.length) writeJsonAtomic(backup, kept);
+    return messages.length - kept.length;
+}
+
+export function renameConversation(user, id, title) {
+    return withConversation(user, id, conversation => {
+        if (!conversation) return null;
+        conversation.title = String(title).substring(0, 200);
+        return saveConversation(conversation);
+    });
+}
+
+// Ne garde que les `keepLast` derniers messages (le résumé devient caduc)
+export function truncateConversation(user, id, keepLast) {
+    return withConversation(user, id, conversation => {
+        if (!conversation) return null;
+        conversation.messages = keepLast > 0 ? conversation.messages.slice(-keepLast) : [];
+        conversation.summary = null;
+        conversation.summarized_count = 0;
+        return saveConversation(conversation);
+    });
+}
+
+export function exportConversation(conversation, format) {
+    if (format !== "md" && format !== "markdown") return JSON.stringify(conversation, null, 2);
+    const lines = [`# ${conversation.title || conversation.id}`, "", `_Créée le ${conversation.created_at}, mise à jour le ${conversation.updated_at}_`, ""];
+    for (const msg of conversation.messages) {
+        lines.push(`## ${msg.role === "assistant" ? "Coach" : "Moi"}${msg.at ? ` (${msg.at})` : ""}`, "");
+        lines.push(msg.content || "", "");
+        if (msg.hasImage) lines.push("_(image jointe)_", "");
+    }
+    return lines.join("\n");
+}
+
+// ==========================================
+// FENÊTRE DE CONTEXTE
+// ==========================================
+
+const sizeOf = messages => messages.reduce((n, m) => n + (m.content?.length || 0), 0);
+
+// Vrai si les messages non résumés dépassent le budget de contexte
+export function needsCompaction(conversation) {
+    const active = conversation.messages.slice(conversation.summarized_count);
+    return active.length > KEEP_RECENT && sizeOf(active) + (conversation.summary?.length || 0) > MAX_CONTEXT_CHARS;
+}
+
+// Résume les anciens messages via `summarize(previousSummary, messages)`.
+// Si le résumé échoue, on se contente de la fenêtre glissante.
+export async function compactConversation(conversation, summarize) {
+    const cut = conversation.messages.length - KEEP_RECENT;
+    const toSummarize = conversation.messages.slice(conversation.summarized_count, cut);
+    if (!toSummarize.length) return conversation;
+    try {
+        conversation.summary = await summarize(conversation.summary, toSummarize);
+    } catch (e) {
+        console.error("⚠️ Résumé de conversation impossible (fenêtre glissante seule) :", e.message);
+    }
+    conversation.summarized_count = cut;
+    return conversation;
+}
+
+// Messages à envoyer au modèle : résumé éventuel + messages non résumés
+export function contextMessages(conversation) {
+    const recent = conversation.messages.slice(conversation.summarized_count);
+    if (!conversation.summary) return recent;
+    return [{ role: "developer", content: `Résumé de la conversation précédente :\n${conversation.summary}` }, ...recent];
+}
+
+// Reprise de l'ancien coach_history.json global dans la conversation par défaut
+export function importLegacyHistory(file) {
+    if (!fs.existsSync(file) || loadConversation(DEFAULT_USER, DEFAULT_CONVERSATION)) return false;
+    try {
+        const conversation = newConversation(DEFAULT_USER, DEFAULT_CONVERSATION);
+        conversation.messages = JSON.parse(fs.readFileSync(file, "utf-8"));
+        saveConversation(conversation);
+        fs.renameSync(file, `${file}.migrated`);
+        console.log(`📦 Ancien historique importé (${conversation.messages.length} messages).`);
+        return true;
+    } catch (e) {
+        console.error("Erreur import ancien historique :", e);
+        return false;
+    }
+}
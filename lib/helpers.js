@@ -0,0 +1,14 @@
+// ==========================================
+// HELPERS PARTAGÉS
+// ==========================================
+
+export function requireEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+export function basicAuthHeader(user, pass) {
+  const token = Buffer.from(`${user}:${pass}`, "utf8").toString("base64");
+  return `Basic ${token}`;
+}
@@ -0,0 +1,138 @@
+// ==========================================
+// CLIENT HTTP SORTANT (WooCommerce, Sendcloud, 17TRACK)
+// ==========================================
+// Un seul chemin pour tous les appels aux services externes :
+//  - délai maximal par appel : HTTP_TIMEOUT_MS (défaut 10000), ou HTTP_TIMEOUT_MS_<SERVICE>
+//  - nouvelles tentatives sur 429 / 5xx / réseau / délai : HTTP_RETRIES (défaut 2), en
+//    respectant Retry-After (plafonné à HTTP_RETRY_MAX_MS, défaut 10000)
+//  - erreurs typées (err.code) :
+//      UPSTREAM_NOT_FOUND    : 404, la ressource n'existe pas
+//      UPSTREAM_UNAVAILABLE  : service injoignable ou en panne (5xx, 429, réseau, délai)
+//      UPSTREAM_ERROR        : autre refus (401, 400...) : configuration ou requête à revoir
+//    avec err.service ("WooCommerce"...) et err.status.
+//  - cache mémoire à durée de vie (cached) pour les lectures de commandes et de suivis.
+
+const RETRIES = Number(process.env.HTTP_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.HTTP_RETRY_BASE_MS || 300);
+const RETRY_MAX_MS = Number(process.env.HTTP_RETRY_MAX_MS || 10000);
+const CACHE_MAX_ENTRIES = Number(process.env.HTTP_CACHE_MAX_ENTRIES || 500);
+
+export const UPSTREAM_NOT_FOUND = "UPSTREAM_NOT_FOUND";
+export const UPSTREAM_UNAVAILABLE = "UPSTREAM_UNAVAILABLE";
+export const UPSTREAM_ERROR = "UPSTREAM_ERROR";
+
+function upstreamError(code, service, message, status = null) {
+    const err = new Error(`${service} : ${message}`);
+    err.code = code;
+    err.service = service;
+    err.status = status;
+    return err;
+}
+
+export function isNotFound(err) {
+    return err?.code === UPSTREAM_NOT_FOUND;
+}
+
+export function isUpstreamUnavailable(err) {
+    return err?.code === UPSTREAM_UNAVAILABLE;
+}
+
+// "Sendcloud" -> HTTP_TIMEOUT_MS_SENDCLOUD, "17TRACK" -> HTTP_TIMEOUT_MS_17TRACK
+function timeoutFor(service) {
+    const name = service.toUpperCase().replace(/[^A-Z0-9]/g, "");
+    return Number(process.env[`HTTP_TIMEOUT_MS_${name}`] || process.env.HTTP_TIMEOUT_MS || 10000);
+}
+
+function retryAfterMs(response) {
+    const value = response?.headers.get("retry-after");
+    if (!value) return null;
+    if (Number.isFinite(Number(value))) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Appel JSON. options : { method, headers, body (objet, sérialisé en JSON), retries }
+// retries : nombre de nouvelles tentatives (défaut HTTP_RETRIES) ; 0 pour une création non
+// idempotente (étiquette, note de commande) qu'un second envoi dupliquerait.
+// Renvoie le corps décodé (null si vide). Lève une erreur typée sinon.
+export async function httpJson(service, url, options = {}) {
+    return httpRequest(service, url, options, async (response, method) => {
+        const text = await response.text();
+        try {
+            return text ? JSON.parse(text) : null;
+        } catch (e) {
+            throw upstreamError(UPSTREAM_ERROR, service, `réponse illisible (${method} ${new URL(url).pathname})`, response.status);
+        }
+    });
+}
+
+// Appel dont la réponse est binaire (étiquette PDF...). Renvoie { buffer, content_type }.
+export async function httpBuffer(service, url, options = {}) {
+    return httpRequest(service, url, options, async response => ({
+        buffer: Buffer.from(await response.arrayBuffer()),
+        content_type: response.headers.get("content-type")
+    }));
+}
+
+async function httpRequest(service, url, { method = "GET", headers = {}, body = undefined, retries = RETRIES } = {}, read) {
+    const timeout = timeoutFor(service);
+    for (let attempt = 0; ; attempt++) {
+        let response = null;
+        let failure;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: body === undefined ? headers : { "Content-Type": "application/json", ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(timeout)
+            });
+            if (response.ok) return await read(response, method);
+            if (response.status === 404) throw upstreamError(UPSTREAM_NOT_FOUND, service, "introuvable", 404);
+            if (response.status !== 429 && response.status < 500) {
+                throw upstreamError(UPSTREAM_ERROR, service, `requête refusée (HTTP ${response.status})`, response.status);
+            }
+            failure = upstreamError(UPSTREAM_UNAVAILABLE, service, `indisponible (HTTP ${response.status})`, response.status);
+        } catch (e) {
+            if (e.service) throw e;
+            const reason = e.name === "TimeoutError" ? `délai dépassé (${timeout} ms)` : `injoignable (${e.cause?.code || e.message})`;
+            failure = upstreamError(UPSTREAM_UNAVAILABLE, service, reason);
+        }
+
+        if (attempt >= retries) throw failure;
+        const wait = Math.min(retryAfterMs(response) ?? RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+        console.warn(`⏳ ${failure.message}, nouvel essai dans ${wait} ms (${attempt + 1}/${retries})`);
+        await sleep(wait);
+    }
+}
+
+// ==========================================
+// CACHE À DURÉE DE VIE (en mémoire)
+// ==========================================
+// Seuls les succès sont gardés : une panne n'est jamais mise en cache.
+
+const cache = new Map();
+
+export async function cached(key, ttlMs, load) {
+    if (!(ttlMs > 0)) return load();
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.value;
+
+    const value = await load();
+    cache.delete(key);
+    cache.set(key, { value, expires: Date.now() + ttlMs });
+    // Les plus anciennes entrées partent en premier (ordre d'insertion de la Map)
+    while (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    return value;
+}
+
+// Après une écriture : la prochaine lecture repart du service
+export function uncache(key) {
+    cache.delete(key);
+}
+
+// Durée de vie en ms lue dans une variable en secondes (0 : pas de cache)
+export function ttlFromEnv(name, defaultSeconds) {
+    return Number(process.env[name] ?? defaultSeconds) * 1000;
+}
@@ -0,0 +1,31 @@
+// ==========================================
+// INTENTIONS SAV (/sav/inbox)
+// ==========================================
+// Le modèle classe la conversation (prompt classify_intent), le pont choisit la chaîne :
+//   where_is_my_order : suivi France (comme /sav/analyze), 17TRACK à l'international (comme /sav/respond)
+//   return_exchange   : retour avec étiquette Sendcloud (comme /sav/return)
+//   autres intentions : réponse libre (comme /sav/general) guidée par prompts/inbox_instructions
+// Sous INBOX_MIN_CONFIDENCE (défaut 0.6), la conversation est traitée comme "other".
+// La liste doit rester identique à l'enum du schéma de classify_intent.
+
+export const SAV_INTENTS = [
+    "where_is_my_order",
+    "return_exchange",
+    "damaged_or_wrong_item",
+    "material_question",
+    "address_change",
+    "cancellation",
+    "other"
+];
+
+export function minConfidence() {
+    return Number(process.env.INBOX_MIN_CONFIDENCE ?? 0.6);
+}
+
+// Sortie du modèle -> { intent, confidence (0 à 1), reason, routed_intent }
+// routed_intent : intention effectivement traitée ("other" si le modèle hésite)
+export function routeClassification(data) {
+    const intent = SAV_INTENTS.includes(data?.intent) ? data.intent : "other";
+    const confidence = Math.min(1, Math.max(0, Number(data?.confidence) || 0));
+    return { intent, confidence, reason: data?.reason || null, routed_intent: confidence >= minConfidence() ? intent : "other" };
+}
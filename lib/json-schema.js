@@ -0,0 +1,57 @@
+// ==========================================
+// VALIDATION JSON SCHEMA (sous-ensemble)
+// ==========================================
+// Le sous-ensemble accepté par les sorties structurées strictes d'OpenAI :
+// type (ou liste de types, ex ["string", "null"]), properties, required,
+// additionalProperties: false, items, enum, pattern, minLength, maxLength.
+
+function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+function typeMatches(expected, actual) {
+    return expected === actual || (expected === "number" && actual === "integer");
+}
+
+// Renvoie la liste des problèmes (vide si la valeur est conforme), ex :
+// ["$.identifiers.email : string | null attendu (reçu number)"]
+export function validateJson(schema, value, at = "$") {
+    const problems = [];
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => typeMatches(t, actual))) {
+            problems.push(`${at} : ${types.join(" | ")} attendu (reçu ${actual})`);
+            return problems;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${at} : valeur hors liste (${schema.enum.map(v => JSON.stringify(v)).join(", ")})`);
+    }
+
+    if (actual === "string") {
+        if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) problems.push(`${at} : format invalide (${schema.pattern})`);
+        if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${at} : trop court`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${at} : trop long`);
+    }
+
+    if (actual === "object") {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push(`${at}.${key} : obligatoire`);
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) problems.push(...validateJson(properties[key], child, `${at}.${key}`));
+            else if (schema.additionalProperties === false) problems.push(`${at}.${key} : propriété inattendue`);
+        }
+    }
+
+    if (actual === "array" && schema.items) {
+        value.forEach((item, i) => problems.push(...validateJson(schema.items, item, `${at}[${i}]`)));
+    }
+    return problems;
+}
@@ -0,0 +1,89 @@
+// ==========================================
+// LANGUE DE LA RÉPONSE
+// ==========================================
+// Les prompts restent en français ; seul le brouillon change de langue (voir robin_persona).
+// Priorité (resolveLanguage) :
+//   1. override     : champ "lang" envoyé par l'agent
+//   2. conversation : langue de la cliente lue sur la capture (extraction : customer_language)
+//   3. order_locale : langue de la commande Woo (méta LOCALE_META_KEYS, défaut "wpml_language,pll_language,_locale")
+//   4. country      : pays de livraison, s'il n'a qu'une langue (BE, CH, LU, CA restent ambigus)
+//   5. default      : français
+// Pour chaque langue : nom (pour le prompt), équivalent du vouvoiement, salutations et phrase
+// du lien de suivi (pour la charte, voir brand-style.js).
+
+export const DEFAULT_LANGUAGE = "fr";
+
+export const LANGUAGES = Object.freeze({
+    fr: { name: "français", register: "Vouvoiement (vous, votre, vos)", greetings: ["Bonjour", "Bonsoir"], link: "Votre lien de suivi :", links: "Vos liens de suivi :" },
+    en: { name: "anglais", register: "Ton poli et professionnel, sans familiarité", greetings: ["Hello", "Hi", "Dear", "Good morning", "Good afternoon"], link: "Your tracking link:", links: "Your tracking links:" },
+    de: { name: "allemand", register: "Siezen (Sie, Ihr, Ihnen)", greetings: ["Hallo", "Guten Tag", "Liebe", "Lieber"], link: "Ihr Link zur Sendungsverfolgung:", links: "Ihre Links zur Sendungsverfolgung:" },
+    nl: { name: "néerlandais", register: "Forme de politesse (u, uw)", greetings: ["Hallo", "Beste", "Goedendag", "Dag"], link: "Uw trackinglink:", links: "Uw trackinglinks:" },
+    es: { name: "espagnol", register: "Forme de politesse (usted, su)", greetings: ["Hola", "Buenos días", "Buenas tardes", "Estimada", "Estimado"], link: "Su enlace de seguimiento:", links: "Sus enlaces de seguimiento:" },
+    it: { name: "italien", register: "Forme de politesse (Lei, Suo)", greetings: ["Buongiorno", "Buonasera", "Gentile", "Salve"], link: "Il Suo link di tracciamento:", links: "I Suoi link di tracciamento:" },
+    pt: { name: "portugais", register: "Forme de politesse (o senhor, a senhora)", greetings: ["Olá", "Bom dia", "Boa tarde", "Cara", "Caro"], link: "O seu link de seguimento:", links: "Os seus links de seguimento:" }
+});
+
+const COUNTRY_LANGUAGES = {
+    FR: "fr", MC: "fr", RE: "fr", GP: "fr", MQ: "fr", GF: "fr", YT: "fr", NC: "fr", PF: "fr", PM: "fr",
+    DE: "de", AT: "de", LI: "de",
+    NL: "nl",
+    ES: "es", MX: "es", AR: "es", CL: "es", CO: "es",
+    IT: "it", SM: "it", VA: "it",
+    PT: "pt", BR: "pt",
+    GB: "en", IE: "en", US: "en", AU: "en", NZ: "en", MT: "en"
+};
+
+// "de", "DE", "de_CH", "de-AT" -> "de" ; null si la langue n'est pas prise en charge
+export function normalizeLanguage(value) {
+    const code = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+    return code in LANGUAGES ? code : null;
+}
+
+export function languageForCountry(country) {
+    return COUNTRY_LANGUAGES[String(country || "").toUpperCase()] ?? null;
+}
+
+function localeMetaKeys() {
+    return (process.env.LOCALE_META_KEYS || "wpml_language,pll_language,_locale").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// Langue enregistrée sur une commande Woo par un plugin multilingue (null sinon)
+export function orderLocale(order) {
+    for (const key of localeMetaKeys()) {
+        const hit = (order?.meta_data || []).find(m => m.key === key && m.value);
+        if (hit) return String(hit.value);
+    }
+    return null;
+}
+
+// Renvoie { code, source } (source : override, conversation, order_locale, country, default)
+export function resolveLanguage({ override = null, detected = null, locale = null, country = null } = {}) {
+    const candidates = [
+        ["override", normalizeLanguage(override)],
+        ["conversation", normalizeLanguage(detected)],
+        ["order_locale", normalizeLanguage(locale)],
+        ["country", languageForCountry(country)]
+    ];
+    const [source, code] = candidates.find(([, c]) => c) ?? ["default", DEFAULT_LANGUAGE];
+    return { code, source };
+}
+
+// Variables de langue pour les prompts qui incluent robin_persona.
+// followConversation : la capture est jointe au prompt sans langue sûre ; le modèle suit
+// alors la langue de la cliente (la charte la relit sur le brouillon, voir brand-style.js).
+export function languagePromptVariables(code, { followConversation = false } = {}) {
+    const vars = followConversation ? { follow_conversation_language: true } : {};
+    if (code === DEFAULT_LANGUAGE) return vars;
+    const lang = LANGUAGES[code];
+    return { ...vars, reply_language: lang.name, formal_register: lang.register, greeting: lang.greetings[0] };
+}
+
+// Langue d'un brouillon d'après sa salutation (null si elle n'est pas reconnue).
+// Salutation commune à plusieurs langues ("Hallo") : "preferred" l'emporte s'il en fait partie.
+export function draftLanguage(text, preferred = null) {
+    const start = String(text || "").trimStart().toLowerCase();
+    const matches = Object.entries(LANGUAGES)
+        .filter(([, lang]) => lang.greetings.some(g => start.startsWith(g.toLowerCase()) && !/\p{L}/u.test(start[g.length] || "")))
+        .map(([code]) => code);
+    return matches.includes(preferred) ? preferred : matches[0] ?? null;
+}
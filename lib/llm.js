@@ -0,0 +1,587 @@
+import OpenAI from "openai";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { modelForBudget, recordUsage } from "./usage.js";
+import { validateJson } from "./json-schema.js";
+
+// ==========================================
+// COUCHE FOURNISSEUR LLM
+// ==========================================
+// Chaque appel modèle passe par une "tâche" (extract, draft, coach, sources).
+// Le fournisseur est choisi par tâche via la config :
+//   LLM_PROVIDER=openai|fake            (défaut pour toutes les tâches)
+//   LLM_PROVIDER_EXTRACT=fake           (surcharge pour une tâche précise)
+// Le fournisseur "fake" est déterministe et sans réseau (CI, laptop).
+//
+// Chaque tâche a une chaîne de modèles, essayés dans l'ordre (voir "CHAÎNES DE MODÈLES") :
+//   LLM_MODELS_EXTRACT=gpt-5-nano,gpt-5-mini
+// Un modèle en erreur 429/5xx/délai dépassé est réessayé avec attente croissante, puis on
+// passe au suivant. Un modèle qui échoue trop souvent est écarté un moment (disjoncteur).
+
+export const LLM_TASKS = ["extract", "draft", "coach", "sources"];
+
+export function providerNameFor(task) {
+    const specific = process.env[`LLM_PROVIDER_${String(task).toUpperCase()}`];
+    return (specific || process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+}
+
+// Vrai si au moins une tâche a besoin d'une vraie clé OpenAI
+export function needsOpenAIKey() {
+    return LLM_TASKS.some(t => providerNameFor(t) === "openai");
+}
+
+// --- Blocs de contenu génériques (indépendants du fournisseur) ---
+
+export function textPart(text) {
+    return { type: "text", text };
+}
+
+export function imagePart(file) {
+    return { type: "image", mimetype: file.mimetype, data: file.buffer.toString("base64") };
+}
+
+function partsOf(message) {
+    if (typeof message.content === "string") return [textPart(message.content)];
+    return Array.isArray(message.content) ? message.content : [];
+}
+
+// ==========================================
+// FOURNISSEUR OPENAI
+// ==========================================
+
+let openaiClient = null;
+function getOpenAI() {
+    // Les nouvelles tentatives sont gérées ici (callModel), pas par le SDK
+    if (!openaiClient) openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+    return openaiClient;
+}
+
+function toChatMessage(message) {
+    if (typeof message.content === "string") return { role: message.role, content: message.content };
+    const content = partsOf(message).map(p => p.type === "image"
+        ? { type: "image_url", image_url: { url: `data:${p.mimetype};base64,${p.data}` } }
+        : { type: "text", text: p.text });
+    return { role: message.role, content };
+}
+
+function toResponsesInput(message) {
+    const content = partsOf(message).map(p => {
+        if (p.type === "image") return { type: "input_image", image_url: `data:${p.mimetype};base64,${p.data}` };
+        // Si c'est l'assistant, c'est une sortie (output), sinon entrée (input)
+        return { type: message.role === "assistant" ? "output_text" : "input_text", text: p.text };
+    });
+    return { role: message.role, content };
+}
+
+function extractResponsesText(response) {
+    if (response.output_text) return response.output_text;
+    for (const item of response.output || []) {
+        const t = (item.content || []).find(c => c.type === "output_text" || c.type === "text");
+        if (t) return t.text || t.value;
+    }
+    return null;
+}
+
+const openaiProvider = {
+    name: "openai",
+
+    async chat({ model, messages, response_format, signal }) {
+        const params = { model, messages: messages.map(toChatMessage) };
+        if (response_format) params.response_format = response_format;
+        const response = await getOpenAI().chat.completions.create(params, { signal });
+        return {
+            text: response.choices?.[0]?.message?.content ?? "",
+            model: response.model || model,
+            usage: response.usage ?? null,
+            raw: response
+        };
+    },
+
+    async respond({ model, prompt, input, store, signal }) {
+        const response = await getOpenAI().responses.create({
+            model,
+            prompt,
+            input: input.map(toResponsesInput),
+            store
+        }, { signal });
+        return {
+            text: extractResponsesText(response),
+            model: response.model || model,
+            usage: response.usage ?? null,
+            raw: response
+        };
+    },
+
+    // model null : celui configuré sur l'assistant
+    async assistant({ assistantId, model, text, signal }) {
+        const client = getOpenAI();
+        const thread = await client.beta.threads.create({}, { signal });
+        await client.beta.threads.messages.create(thread.id, { role: "user", content: text }, { signal });
+        const params = { assistant_id: assistantId };
+        if (model) params.model = model;
+        const run = await client.beta.threads.runs.createAndPoll(thread.id, params, { signal });
+        if (run.status === "failed" && ["rate_limit_exceeded", "server_error"].includes(run.last_error?.code)) {
+            // Même traitement qu'une erreur HTTP 429 / 500 : nouvel essai puis modèle suivant
+            const err = new Error(`Run ${run.status} : ${run.last_error.message}`);
+            err.status = run.last_error.code === "rate_limit_exceeded" ? 429 : 500;
+            throw err;
+        }
+        if (run.status !== "completed") return { text: null, status: run.status, model: run.model, usage: run.usage ?? null };
+
+        const messages = await client.beta.threads.messages.list(thread.id, {}, { signal });
+        const lastMessage = messages.data.find(m => m.role === "assistant");
+        return {
+            text: lastMessage?.content?.[0]?.text?.value ?? null,
+            status: run.status,
+            model: run.model,
+            usage: run.usage ?? null
+        };
+    }
+};
+
+// ==========================================
+// FOURNISSEUR FAKE (déterministe, hors ligne)
+// ==========================================
+// Les réponses scriptées viennent de LLM_FAKE_FIXTURES (défaut : fixtures/llm-fake.json).
+// Format : { "rules": [ { "task": "extract", "match": { "contains": "...", "image_sha256": "...", "model": "...", "format": "..." }, "response": ... } ] }
+// "format" : nom de la sortie structurée attendue (nom du prompt, ex "extract_identifiers" ou "classify_intent").
+// Une réponse objet est renvoyée sérialisée en JSON. "error": { "status": 429, "message": "..." } à la
+// place de "response" simule une panne (chaînes de repli, disjoncteur). Sans règle applicable, on génère
+// une réponse par défaut stable, calculée uniquement à partir de l'entrée.
+
+let fakeRulesCache = null;
+function loadFakeRules() {
+    if (fakeRulesCache) return fakeRulesCache;
+    const file = process.env.LLM_FAKE_FIXTURES || path.join(process.cwd(), "fixtures", "llm-fake.json");
+    try {
+        fakeRulesCache = JSON.parse(fs.readFileSync(file, "utf-8")).rules || [];
+    } catch (e) {
+        if (e.code !== "ENOENT") console.warn(`⚠️ Fixtures LLM illisibles (${file}) : ${e.message}`);
+        fakeRulesCache = [];
+    }
+    return fakeRulesCache;
+}
+
+function flatten(messages) {
+    const texts = [];
+    const imageHashes = [];
+    for (const m of messages) {
+        for (const p of partsOf(m)) {
+            if (p.type === "image") imageHashes.push(crypto.createHash("sha256").update(Buffer.from(p.data, "base64")).digest("hex"));
+            else if (p.text) texts.push(p.text);
+        }
+    }
+    return { text: texts.join("\n"), imageHashes };
+}
+
+function findFakeRule(task, model, flat, format = null) {
+    return loadFakeRules().find(rule => {
+        if (rule.task && rule.task !== task) return false;
+        const match = rule.match || {};
+        if (match.model && match.model !== model) return false;
+        if (match.format && match.format !== format) return false;
+        if (match.contains && !flat.text.includes(match.contains)) return false;
+        if (match.image_sha256 && !flat.imageHashes.includes(match.image_sha256)) return false;
+        return true;
+    });
+}
+
+// Texte "client" : ce qui est entre triples guillemets si présent (OCR), sinon rien
+function quotedText(text) {
+    const m = text.match(/"""([\s\S]*?)"""/);
+    return m ? m[1] : "";
+}
+
+// Garde les champs décrits par le schéma attendu (les absents valent null ou [])
+function shapeLike(schema, value) {
+    if (!schema?.properties) return value;
+    return Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => {
+        const fallback = child.type === "array" ? [] : null;
+        return [key, key in value ? shapeLike(child, value[key]) : fallback];
+    }));
+}
+
+function fakeExtraction(text) {
+    const source = quotedText(text);
+    const email = source.match(/[\w.+-]+@[\w-]+\.[\w.-]+/)?.[0] ?? null;
+    const tracking = source.replace(/\s+/g, "").match(/[A-Z]{2}\d{9}[A-Z]{2}|1Z[0-9A-Z]{16}|\d{11,13}/)?.[0] ?? null;
+    const phone = source.match(/(?:\+|00)?\d[\d .-]{8,}\d/)?.[0] ?? null;
+    const order = source.match(/(?:commande|order)\s*(?:n°|no|#)?\s*#?(\d{3,})/i)?.[1] ?? null;
+    return {
+        customer_first_name: null,
+        identifiers: { email, phone, order_number: order, tracking_number: tracking },
+        ocr_text: source || null,
+        product_names: [],
+        tracking_number: tracking
+    };
+}
+
+// Classement par mots-clés (voir prompts/classify_intent) ; sans texte client, "other"
+const FAKE_INTENT_RULES = [
+    ["cancellation", /annul|cancel|storn/i],
+    ["address_change", /adresse|address|adres\b/i],
+    ["damaged_or_wrong_item", /cass|abîm|abim|endommag|pas le bon|mauvais (bijou|article|modèle)|broken|damaged|wrong (item|colou?r)|kaputt|beschädigt/i],
+    ["return_exchange", /retour|échange|echange|rembours|trop (petit|grand|large|serré)|return|exchange|refund|umtausch|rücksend/i],
+    ["material_question", /allerg|nickel|titane|titanium|acier|matière|matériau|material|cicatris/i],
+    ["where_is_my_order", /colis|suivi|livraison|toujours pas reçu|pas encore reçu|where is|tracking|parcel|package|sendung|paket|pakket|paquete/i]
+];
+
+function fakeClassification(text) {
+    const source = quotedText(text);
+    const hit = FAKE_INTENT_RULES.find(([, re]) => re.test(source));
+    return hit
+        ? { intent: hit[0], confidence: 0.9, reason: `mot-clé : ${source.match(hit[1])[0]}` }
+        : { intent: "other", confidence: 0.3, reason: null };
+}
+
+// Demande de retour par mots-clés (voir prompts/extract_return). Les bijoux ne sont pas devinés :
+// items reste vide (passer le champ items de /sav/return pour les désigner)
+const FAKE_RETURN_REASONS = [
+    ["damaged", /cass|abîm|abim|endommag|broken|damaged|kaputt/i],
+    ["wrong_item", /pas (le|la) bon|mauvais|wrong|falsch/i],
+    ["too_small", /trop (petit|serré)|too (small|tight)|zu klein/i],
+    ["too_big", /trop (grand|large)|too (big|large)|zu groß/i],
+    ["changed_mind", /ne me plaît|plus envie|changed my mind|gefällt mir nicht/i]
+];
+
+function fakeReturnDetails(text) {
+    const source = quotedText(text);
+    const hit = FAKE_RETURN_REASONS.find(([, re]) => re.test(source));
+    const flag = (no, yes) => no.test(source) ? false : (yes.test(source) ? true : null);
+    return {
+        items: [],
+        reason: hit ? hit[0] : "other",
+        worn: flag(/jamais porté|pas porté|never worn|not worn|nie getragen/i, /porté|essayé|worn|tried|getragen/i),
+        opened: flag(/scellé|intact|unopened|sealed|versiegelt/i, /ouvert|opened|geöffnet/i),
+        exchange: /échang|echang|exchange|umtausch/i.test(source),
+        exchange_for: null
+    };
+}
+
+function fakeText(task, flat) {
+    if (task === "draft") {
+        const link = flat.text.match(/https?:\/\/\S+/)?.[0];
+        return [
+            "Bonjour,",
+            "",
+            "Merci pour votre message, je regarde cela pour vous.",
+            link ? `Vous pouvez suivre votre colis ici : ${link}` : null,
+            "",
+            "Belle journée,",
+            "Robin 🌞"
+        ].filter(l => l !== null).join("\n");
+    }
+    const digest = crypto.createHash("sha256").update(flat.text).digest("hex").slice(0, 8);
+    const lastLine = flat.text.trim().split("\n").pop() || "";
+    return `[fake:${task}:${digest}] ${lastLine.substring(0, 120)}`;
+}
+
+function fakeAnswer(task, model, messages, responseFormat = null) {
+    const flat = flatten(messages);
+    const rule = findFakeRule(task, model, flat, responseFormat?.json_schema?.name ?? null);
+    if (rule?.error) {
+        const err = new Error(rule.error.message || `Erreur simulée ${rule.error.status ?? ""}`.trim());
+        err.status = rule.error.status;
+        throw err;
+    }
+    if (rule) return typeof rule.response === "string" ? rule.response : JSON.stringify(rule.response);
+    if (responseFormat) {
+        const schema = responseFormat.json_schema?.schema;
+        if (schema?.properties?.intent) return JSON.stringify(fakeClassification(flat.text));
+        if (schema?.properties?.worn) return JSON.stringify(fakeReturnDetails(flat.text));
+        return JSON.stringify(task === "extract" ? shapeLike(schema, fakeExtraction(flat.text)) : {});
+    }
+    return fakeText(task, flat);
+}
+
+const fakeProvider = {
+    name: "fake",
+
+    async chat({ task, model, messages, response_format }) {
+        const text = fakeAnswer(task, model, messages, response_format);
+        return { text, model: `fake:${model}`, usage: null, raw: null };
+    },
+
+    async respond({ task, model, input }) {
+        const text = fakeAnswer(task, model, input);
+        return { text, model: `fake:${model}`, usage: null, raw: null };
+    },
+
+    async assistant({ task, model, text }) {
+        const answer = fakeAnswer(task, model, [{ role: "user", content: text }]);
+        return { text: answer, status: "completed", model: `fake:${model || "assistant"}`, usage: null };
+    }
+};
+
+// ==========================================
+// CHAÎNES DE MODÈLES
+// ==========================================
+// LLM_MODELS_<TÂCHE> : modèles essayés dans l'ordre, séparés par des virgules.
+// Pour "sources", "assistant" désigne le modèle configuré sur l'assistant OpenAI.
+
+const DEFAULT_CHAINS = {
+    extract: ["gpt-5-nano", "gpt-5-mini"],
+    draft: ["gpt-5", "gpt-5-mini"],
+    coach: ["gpt-5.2", "gpt-5"],
+    sources: ["assistant", "gpt-4.1-mini"]
+};
+
+// Délai maximal d'un appel (ms) : LLM_TIMEOUT_MS_<TÂCHE>, sinon LLM_TIMEOUT_MS, sinon ces valeurs
+const DEFAULT_TIMEOUTS = { extract: 30000, draft: 90000, coach: 120000, sources: 180000 };
+
+const RETRIES = Number(process.env.LLM_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS || 500);
+const RETRY_MAX_MS = Number(process.env.LLM_RETRY_MAX_MS || 20000);
+const BREAKER_THRESHOLD = Number(process.env.LLM_BREAKER_THRESHOLD || 3);
+const BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS || 60000);
+
+// preferred : modèle imposé par l'appelant, essayé avant la chaîne configurée
+export function modelChain(task, preferred = null) {
+    const configured = process.env[`LLM_MODELS_${String(task).toUpperCase()}`];
+    const chain = configured ? configured.split(",").map(m => m.trim()).filter(Boolean) : (DEFAULT_CHAINS[task] || []);
+    return preferred ? [preferred, ...chain.filter(m => m !== preferred)] : chain;
+}
+
+function timeoutFor(task) {
+    const name = String(task).toUpperCase();
+    return Number(process.env[`LLM_TIMEOUT_MS_${name}`] || process.env.LLM_TIMEOUT_MS || DEFAULT_TIMEOUTS[task] || 60000);
+}
+
+function llmError(message, extra = {}) {
+    const err = new Error(message);
+    err.code = "LLM_FAILED";
+    return Object.assign(err, extra);
+}
+
+// ==========================================
+// DISJONCTEUR (par fournisseur + modèle, en mémoire)
+// ==========================================
+// Après LLM_BREAKER_THRESHOLD échecs de suite, le modèle est sauté pendant
+// LLM_BREAKER_COOLDOWN_MS ; ensuite un seul appel d'essai passe (un nouvel échec le rouvre).
+
+const breakers = new Map();
+
+function breakerAllows(key, now = Date.now()) {
+    const b = breakers.get(key);
+    if (!b || b.failures < BREAKER_THRESHOLD) return true;
+    if (now < b.open_until || b.probing) return false;
+    b.probing = true;
+    return true;
+}
+
+function breakerRelease(key) {
+    const b = breakers.get(key);
+    if (b) b.probing = false;
+}
+
+function breakerFailure(key, now = Date.now()) {
+    const b = breakers.get(key) || { failures: 0, open_until: 0, probing: false };
+    b.failures++;
+    b.probing = false;
+    if (b.failures >= BREAKER_THRESHOLD) {
+        b.open_until = now + BREAKER_COOLDOWN_MS;
+        console.warn(`🔌 Disjoncteur ouvert pour ${key} (${b.failures} échecs de suite, pause ${BREAKER_COOLDOWN_MS / 1000} s)`);
+    }
+    breakers.set(key, b);
+}
+
+// État des disjoncteurs (GET /health)
+export function llmBreakers(now = Date.now()) {
+    return [...breakers.entries()].map(([key, b]) => ({
+        model: key,
+        failures: b.failures,
+        state: b.failures < BREAKER_THRESHOLD ? "closed" : (now < b.open_until ? "open" : "half_open"),
+        open_until: b.failures >= BREAKER_THRESHOLD ? new Date(b.open_until).toISOString() : null
+    }));
+}
+
+// ==========================================
+// NOUVELLES TENTATIVES ET DÉLAIS
+// ==========================================
+
+// retry : 429, 5xx, délai dépassé, réseau -> nouvel essai puis modèle suivant
+// next  : ce modèle ne convient pas (400, 404, sortie non conforme) -> modèle suivant
+// fatal : aucun autre modèle n'y changera rien (clé refusée, quota épuisé, budget)
+function failureKind(err) {
+    if (err.kind) return err.kind;
+    if (err.code === "BUDGET_EXCEEDED" || err.code === "insufficient_quota") return "fatal";
+    if (err.status === 401 || err.status === 403) return "fatal";
+    if (err.status === 429 || err.status >= 500) return "retry";
+    return err.status ? "next" : "retry";
+}
+
+// Délai demandé par OpenAI (retry-after-ms, retry-after en secondes ou date HTTP)
+function retryAfterMs(err) {
+    const headers = err.headers;
+    const get = name => (typeof headers?.get === "function" ? headers.get(name) : headers?.[name]);
+    const ms = Number(get("retry-after-ms"));
+    if (ms > 0) return ms;
+    const value = get("retry-after");
+    if (!value) return null;
+    if (Number.isFinite(Number(value))) return Number(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffMs(attempt, err) {
+    const wait = retryAfterMs(err) ?? RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random() / 2);
+    return Math.min(wait, RETRY_MAX_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function withTimeout(task, model, run) {
+    const ms = timeoutFor(task);
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(llmError(`délai dépassé (${ms} ms)`, { kind: "retry" }));
+        }, ms);
+    });
+    return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+// ==========================================
+// POINT D'ENTRÉE
+// ==========================================
+
+const PROVIDERS = { openai: openaiProvider, fake: fakeProvider };
+
+export function getProvider(task) {
+    const name = providerNameFor(task);
+    const provider = PROVIDERS[name];
+    if (!provider) throw new Error(`Fournisseur LLM inconnu pour la tâche "${task}" : ${name}`);
+    return provider;
+}
+
+// Un appel à un modèle : contrôle de budget (repli de modèle ou refus), délai maximal,
+// nouvelles tentatives, puis comptage. call(provider, model, signal) -> Promise<résultat>
+async function callModel(task, requestedModel, call) {
+    const provider = getProvider(task);
+    for (let attempt = 0; ; attempt++) {
+        const { model, downgraded } = modelForBudget(requestedModel);
+        try {
+            const result = await withTimeout(task, model, signal => call(provider, model, signal));
+            recordUsage({ task, model: result.model || model || "inconnu", requestedModel, downgraded, usage: result.usage });
+            return result;
+        } catch (e) {
+            if (failureKind(e) !== "retry" || attempt >= RETRIES) throw e;
+            const wait = backoffMs(attempt, e);
+            console.warn(`⏳ [${task}] ${model ?? "assistant"} : ${e.message}, nouvel essai dans ${Math.round(wait)} ms (${attempt + 1}/${RETRIES})`);
+            await sleep(wait);
+        }
+    }
+}
+
+// Essaie les modèles de la chaîne dans l'ordre. attempt(model) -> Promise<résultat>.
+// Le résultat porte "fallbacks" : [{ model, error }] des modèles écartés avant lui.
+async function runChain(task, preferred, attempt) {
+    const provider = getProvider(task);
+    const fallbacks = [];
+    for (const entry of modelChain(task, preferred)) {
+        const key = `${provider.name}:${entry}`;
+        if (!breakerAllows(key)) {
+            fallbacks.push({ model: entry, error: "disjoncteur ouvert" });
+            continue;
+        }
+        try {
+            const result = await attempt(entry === "assistant" ? null : entry);
+            breakers.delete(key);
+            if (fallbacks.length) console.warn(`↪️ [${task}] réponse de ${entry} après l'échec de ${fallbacks.map(f => f.model).join(", ")}`);
+            return { ...result, fallbacks };
+        } catch (e) {
+            const kind = failureKind(e);
+            if (kind === "retry") breakerFailure(key);
+            else breakerRelease(key);
+            if (kind === "fatal") throw e;
+            console.warn(`⚠️ [${task}] ${entry} en échec : ${e.message}`);
+            fallbacks.push({ model: entry, error: e.message });
+        }
+    }
+    const detail = fallbacks.map(f => `${f.model} (${f.error})`).join(" ; ") || "chaîne vide";
+    throw llmError(`Aucun modèle n'a répondu pour "${task}" : ${detail}`, { fallbacks });
+}
+
+// Chat Completions (texte + vision). model : facultatif, essayé avant la chaîne de la tâche.
+// Renvoie { text, model, usage, raw, fallbacks }.
+export async function chatCompletion(task, { model = null, messages, response_format }) {
+    return runChain(task, model, m => callModel(task, m, (provider, mm, signal) =>
+        provider.chat({ task, model: mm, messages, response_format, signal })));
+}
+
+// Responses API (utilisée par le coach). Renvoie { text, model, usage, raw, fallbacks }.
+export async function createResponse(task, { model = null, prompt, input, store = true }) {
+    return runChain(task, model, m => callModel(task, m, (provider, mm, signal) =>
+        provider.respond({ task, model: mm, prompt, input, store, signal })));
+}
+
+// Assistants API (sources). Le premier maillon "assistant" garde le modèle de l'assistant,
+// les suivants le remplacent le temps du run. Renvoie { text, status, model, usage, fallbacks }.
+export async function runAssistant(task, { assistantId, text }) {
+    return runChain(task, null, m => callModel(task, m, (provider, mm, signal) =>
+        provider.assistant({ task, assistantId, model: mm, text, signal })));
+}
+
+// ==========================================
+// SORTIES STRUCTURÉES (validées par JSON Schema)
+// ==========================================
+// Les modèles de LLM_STRICT_SCHEMA_MODELS (préfixes) reçoivent le schéma en response_format
+// strict, les autres un simple json_object. Dans les deux cas la réponse est validée ici :
+// une réponse non conforme a droit à une demande de correction, puis on passe au modèle suivant.
+
+const STRICT_SCHEMA_MODELS = (process.env.LLM_STRICT_SCHEMA_MODELS || "gpt-4o,gpt-4.1,gpt-5,o3,o4-mini")
+    .split(",").map(m => m.trim()).filter(Boolean);
+
+export function supportsStrictSchema(model) {
+    const name = String(model || "");
+    return STRICT_SCHEMA_MODELS.some(prefix => name === prefix || (name.startsWith(prefix) && /^[-.]/.test(name.slice(prefix.length))));
+}
+
+function responseFormatFor(model, name, schema) {
+    if (!supportsStrictSchema(model)) return { type: "json_object" };
+    return { type: "json_schema", json_schema: { name, strict: true, schema } };
+}
+
+// Renvoie { data, problems } (problems vide si la réponse est conforme)
+function parseStructured(text, schema) {
+    const raw = String(text || "").trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (e) {
+        // Modèles sans mode strict : JSON parfois entouré de texte
+        try {
+            data = JSON.parse(raw.substring(raw.indexOf("{"), raw.lastIndexOf("}") + 1));
+        } catch (e2) {
+            return { data: null, problems: [`JSON illisible (${e.message})`] };
+        }
+    }
+    return { data, problems: validateJson(schema, data) };
+}
+
+// Appel dont la réponse doit respecter un JSON Schema.
+// name : nom du format (ex : nom du prompt). Renvoie { data, text, model, usage, repaired, fallbacks }.
+export async function structuredCompletion(task, { model = null, messages, name, schema }) {
+    return runChain(task, model, async m => {
+        // Format choisi pour le modèle réellement appelé (le budget peut l'avoir rétrogradé)
+        const ask = msgs => callModel(task, m, (provider, mm, signal) =>
+            provider.chat({ task, model: mm, messages: msgs, response_format: responseFormatFor(mm, name, schema), signal }));
+
+        const first = await ask(messages);
+        let parsed = parseStructured(first.text, schema);
+        if (!parsed.problems.length) return { ...first, data: parsed.data, repaired: false };
+
+        console.warn(`🔧 [${task}] Sortie non conforme de ${m} (${parsed.problems.slice(0, 3).join(" ; ")}), demande de correction...`);
+        const repair = await ask([
+            ...messages,
+            { role: "assistant", content: first.text || "" },
+            { role: "user", content: `Ta réponse ne respecte pas le format JSON attendu :\n- ${parsed.problems.join("\n- ")}\nRenvoie uniquement le JSON corrigé, sans texte autour.` }
+        ]);
+        parsed = parseStructured(repair.text, schema);
+        if (!parsed.problems.length) return { ...repair, data: parsed.data, repaired: true };
+        throw llmError(`sortie non conforme après correction (${parsed.problems.slice(0, 3).join(" ; ")})`, { kind: "next" });
+    });
+}
@@ -0,0 +1,86 @@
+// ==========================================
+// CHOIX DE LA COMMANDE QUAND UNE CLIENTE EN A PLUSIEURS
+// ==========================================
+// Politique :
+//  - une commande pas encore expédiée ou expédiée récemment passe avant une vieille commande terminée ;
+//  - une commande annulée / remboursée / échouée ne gagne jamais ;
+//  - un produit visible dans la capture qui correspond à une ligne de commande compte beaucoup ;
+//  - si les deux meilleures restent trop proches, on renvoie "ambiguous" (on demande à la cliente).
+
+const AMBIGUITY_MARGIN = Number(process.env.ORDER_AMBIGUITY_MARGIN || 15);
+const RECENT_SHIPPED_DAYS = 30;
+
+const UNSHIPPED = ["pending", "processing", "on-hold"];
+const SHIPPED = ["completed", "shipped", "expedie", "expediee", "in-transit"];
+const DEAD = ["cancelled", "refunded", "failed", "trash"];
+
+function normalizeText(s) {
+    return String(s || "")
+        .toLowerCase()
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9 ]/g, " ")
+        .split(/\s+/)
+        .filter(w => w.length > 2);
+}
+
+// Part des mots du produit vu dans la capture présents dans le nom de la ligne
+function productMatchScore(hint, itemName) {
+    const hintWords = normalizeText(hint);
+    if (!hintWords.length) return 0;
+    const itemWords = new Set(normalizeText(itemName));
+    return hintWords.filter(w => itemWords.has(w)).length / hintWords.length;
+}
+
+function daysSince(date, now) {
+    const t = Date.parse(date);
+    return Number.isNaN(t) ? 365 : Math.max(0, (now - t) / 86400000);
+}
+
+export function scoreOrder(order, { productHints = [], now = Date.now() } = {}) {
+    const reasons = [];
+    let score = 0;
+    const age = daysSince(order.date, now);
+
+    if (DEAD.includes(order.status)) {
+        score -= 100;
+        reasons.push(`statut ${order.status}`);
+    } else if (UNSHIPPED.includes(order.status)) {
+        score += 30;
+        reasons.push("pas encore expédiée");
+    } else if (SHIPPED.includes(order.status) && age <= RECENT_SHIPPED_DAYS) {
+        score += 20;
+        reasons.push("expédiée récemment");
+    } else {
+        score += 5;
+    }
+
+    // Récence : jusqu'à +20 pour une commande du jour, 0 au-delà de 60 jours
+    score += Math.max(0, 20 - age / 3);
+
+    const matched = [];
+    for (const hint of productHints) {
+        const best = Math.max(0, ...order.items.map(i => productMatchScore(hint, i.name)));
+        if (best >= 0.5) matched.push(hint);
+    }
+    if (matched.length) {
+        score += 40 * matched.length;
+        reasons.push(`produit(s) visible(s) : ${matched.join(", ")}`);
+    }
+
+    return { ...order, score: Math.round(score), reasons, product_match: matched.length > 0 };
+}
+
+// Renvoie { status: "resolved", order, candidates } ou { status: "ambiguous", candidates }
+export function pickOrder(orders, options = {}) {
+    if (!orders.length) return { status: "not_found", candidates: [] };
+    const candidates = orders.map(o => scoreOrder(o, options)).sort((a, b) => b.score - a.score);
+    if (candidates.length === 1) return { status: "resolved", order: candidates[0], candidates };
+
+    const [best, second] = candidates;
+    const close = best.score - second.score < AMBIGUITY_MARGIN;
+    const secondAlive = !DEAD.includes(second.status);
+    if (close && secondAlive && !(best.product_match && !second.product_match)) {
+        return { status: "ambiguous", candidates };
+    }
+    return { status: "resolved", order: best, candidates };
+}
@@ -0,0 +1,80 @@
+import { sendcloudFindParcelByOrderNumber, parcelsFromResponse, parcelTrackingNumber, isReturnParcel } from "./sendcloud.js";
+import { sendcloudTracking } from "./tracking-providers.js";
+import { SHIPMENT_STATUS } from "./tracking-model.js";
+
+// ==========================================
+// COMMANDES EXPÉDIÉES EN PLUSIEURS COLIS
+// ==========================================
+// Rupture sur un piercing, réexpédition... : une commande peut avoir plusieurs
+// colis Sendcloud. On les suit tous et on rapproche leur contenu des lignes de
+// la commande Woo pour savoir ce qui reste à expédier.
+// Résultat de trackOrderParcels() :
+// {
+//   parcels: [{ tracking_number, created_at, items: [{ name, quantity, sku, product_id }], shipment }],
+//   pending_items: [{ name, quantity }],   // lignes Woo dans aucun colis
+//   primary                                 // colis à mettre en avant (le premier non livré)
+// }
+
+const normName = s => String(s || "").trim().toLowerCase();
+
+// Même article : SKU, sinon ID produit, sinon nom
+function sameItem(a, b) {
+    if (a.sku && b.sku) return a.sku === b.sku;
+    if (a.product_id && b.product_id) return String(a.product_id) === String(b.product_id);
+    return normName(a.name) === normName(b.name);
+}
+
+function parcelItems(parcel) {
+    return (parcel.parcel_items || []).map(i => ({
+        name: i.description || i.name || null,
+        quantity: Number(i.quantity) || 1,
+        sku: i.sku || null,
+        product_id: i.product_id ?? null
+    }));
+}
+
+// Lignes de commande dont la quantité n'est pas couverte par les colis.
+// Un colis sans détail d'articles ne permet pas de conclure : rien n'est alors déclaré en attente.
+export function pendingItems(orderItems, parcels) {
+    if (parcels.some(p => !p.items.length)) return [];
+    const shipped = parcels.flatMap(p => p.items.map(i => ({ ...i })));
+    const pending = [];
+    for (const item of orderItems || []) {
+        let missing = Number(item.quantity) || 1;
+        for (const s of shipped) {
+            if (!missing) break;
+            if (!s.quantity || !sameItem(item, s)) continue;
+            const used = Math.min(missing, s.quantity);
+            s.quantity -= used;
+            missing -= used;
+        }
+        if (missing > 0) pending.push({ name: item.name, quantity: missing });
+    }
+    return pending;
+}
+
+// Suit tous les colis d'une commande.
+// extraTrackingNumber : numéro trouvé ailleurs (méta Woo) et absent de Sendcloud
+// tracker : fournisseur de suivi des colis (défaut Sendcloud ; 17TRACK pour l'international)
+export async function trackOrderParcels(orderNumber, { orderItems = [], extraTrackingNumber = null, tracker = sendcloudTracking } = {}) {
+    const raw = parcelsFromResponse(await sendcloudFindParcelByOrderNumber(orderNumber))
+        .filter(p => parcelTrackingNumber(p) && !isReturnParcel(p))
+        .sort((a, b) => String(a.date_created || a.created_at || "").localeCompare(String(b.date_created || b.created_at || "")));
+
+    const parcels = raw.map(p => ({
+        tracking_number: parcelTrackingNumber(p),
+        created_at: p.date_created || p.created_at || null,
+        items: parcelItems(p),
+        shipment: null
+    }));
+    if (extraTrackingNumber && !parcels.some(p => p.tracking_number === extraTrackingNumber)) {
+        parcels.push({ tracking_number: extraTrackingNumber, created_at: null, items: [], shipment: null });
+    }
+
+    await Promise.all(parcels.map(async p => {
+        p.shipment = await tracker.track(p.tracking_number);
+    }));
+
+    const primary = parcels.find(p => p.shipment?.status !== SHIPMENT_STATUS.DELIVERED) || parcels[parcels.length - 1] || null;
+    return { parcels, pending_items: parcels.length ? pendingItems(orderItems, parcels) : [], primary };
+}
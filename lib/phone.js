@@ -0,0 +1,149 @@
+// ==========================================
+// NUMÉROS DE TÉLÉPHONE : E.164 + FORMATS DE RECHERCHE WOOCOMMERCE
+// ==========================================
+// Les clientes saisissent leur numéro comme elles veulent au checkout ("06 12...",
+// "+33 6...", "0032 470..."). On normalise en E.164, puis on génère les formats
+// réellement présents dans WooCommerce, du plus probable au moins probable.
+
+// trunk : préfixe national ("0") à retirer/ajouter ; nsn : longueurs valides du numéro national significatif
+const COUNTRIES = {
+    FR: { code: "33", nsn: [9], trunk: "0" },
+    BE: { code: "32", nsn: [8, 9], trunk: "0" },
+    CH: { code: "41", nsn: [9], trunk: "0" },
+    LU: { code: "352", nsn: [6, 7, 8, 9, 10, 11], trunk: null },
+    MC: { code: "377", nsn: [8, 9], trunk: null },
+    // DOM : numérotation française (0590..., 0690...) mais indicatif propre
+    GP: { code: "590", nsn: [9], trunk: "0" },
+    MQ: { code: "596", nsn: [9], trunk: "0" },
+    GF: { code: "594", nsn: [9], trunk: "0" },
+    RE: { code: "262", nsn: [9], trunk: "0" },
+    YT: { code: "262", nsn: [9], trunk: "0" },
+    // COM : numéros courts, sans préfixe national
+    PM: { code: "508", nsn: [6], trunk: null },
+    NC: { code: "687", nsn: [6], trunk: null },
+    PF: { code: "689", nsn: [8], trunk: null },
+    WF: { code: "681", nsn: [6], trunk: null },
+    // Autres pays fréquents dans nos commandes
+    DE: { code: "49", nsn: [10, 11], trunk: "0" },
+    ES: { code: "34", nsn: [9], trunk: null },
+    IT: { code: "39", nsn: [9, 10], trunk: null },
+    NL: { code: "31", nsn: [9], trunk: "0" },
+    GB: { code: "44", nsn: [10], trunk: "0" },
+    US: { code: "1", nsn: [10], trunk: null },
+    CA: { code: "1", nsn: [10], trunk: null }
+};
+
+// Pays "par défaut" quand plusieurs partagent un indicatif
+const PREFERRED_BY_CODE = { "590": "GP", "262": "RE", "1": "US" };
+
+// Plages DOM à l'intérieur d'un numéro national français (préfixe du NSN -> pays)
+const DOM_RANGES = [
+    [/^(590|690|691)/, "GP"],
+    [/^(596|696|697)/, "MQ"],
+    [/^(594|694)/, "GF"],
+    [/^(269|639)/, "YT"],
+    [/^(262|692|693)/, "RE"]
+];
+
+const FRENCH_NUMBERING = ["FR", "GP", "MQ", "GF", "RE", "YT"];
+
+const CODES = [...new Set(Object.values(COUNTRIES).map(c => c.code))].sort((a, b) => b.length - a.length);
+
+function countryForCode(code, nsn) {
+    if (code === "262" && /^(269|639)/.test(nsn)) return "YT";
+    return PREFERRED_BY_CODE[code] || Object.keys(COUNTRIES).find(k => COUNTRIES[k].code === code);
+}
+
+function build(country, nsn) {
+    // Un numéro national français peut en réalité être un numéro DOM
+    if (country === "FR") {
+        const dom = DOM_RANGES.find(([re]) => re.test(nsn));
+        if (dom) country = dom[1];
+    }
+    const def = COUNTRIES[country];
+    if (!def || !def.nsn.includes(nsn.length)) return null;
+    return {
+        e164: `+${def.code}${nsn}`,
+        country,
+        country_code: def.code,
+        nsn,
+        national: def.trunk ? `${def.trunk}${nsn}` : nsn
+    };
+}
+
+// Essaie d'interpréter des chiffres qui commencent par un indicatif pays
+function parseInternational(digits) {
+    for (const code of CODES) {
+        if (!digits.startsWith(code)) continue;
+        let nsn = digits.slice(code.length);
+        // "+33 (0)6 12..." : le 0 national est parfois laissé après l'indicatif
+        if (COUNTRIES[countryForCode(code, nsn)]?.trunk && nsn.startsWith("0")) nsn = nsn.slice(1);
+        // +33 suivi d'un numéro DOM (+33 6 90...) : build() réattribue le bon pays
+        const parsed = build(code === "33" ? "FR" : countryForCode(code, nsn), nsn);
+        if (parsed) return parsed;
+    }
+    return null;
+}
+
+// Parse un numéro brut en E.164.
+// hints : { countryHint (en-tête de la capture), orderCountry, defaultCountry }
+// Renvoie { e164, country, country_code, nsn, national } ou null
+export function parsePhone(raw, hints = {}) {
+    if (!raw) return null;
+    const str = String(raw).trim();
+    let digits = str.replace(/\D/g, "");
+    if (!digits) return null;
+
+    const explicitInternational = str.startsWith("+") || digits.startsWith("00");
+    if (explicitInternational) {
+        if (digits.startsWith("00")) digits = digits.slice(2);
+        return parseInternational(digits);
+    }
+
+    const country = [hints.countryHint, hints.orderCountry, hints.defaultCountry, "FR"]
+        .map(c => (c ? String(c).toUpperCase() : null))
+        .find(c => c && COUNTRIES[c]);
+    const def = COUNTRIES[country];
+
+    // Numéro national du pays supposé ("0612345678", "0470123456"...)
+    if (def.trunk && digits.startsWith(def.trunk)) {
+        const parsed = build(country, digits.slice(def.trunk.length));
+        if (parsed) return parsed;
+    }
+    // Indicatif saisi sans "+" ("33612345678", "32470123456")
+    if (!digits.startsWith("0")) {
+        const parsed = parseInternational(digits);
+        if (parsed) return parsed;
+    }
+    // Pays sans préfixe national : le numéro saisi est directement le NSN
+    return def.trunk ? null : build(country, digits);
+}
+
+function pairs(s) {
+    return s.match(/.{1,2}/g).join(" ");
+}
+
+// Version espacée telle que saisie le plus souvent dans le pays
+function spacedNational(p) {
+    if (FRENCH_NUMBERING.includes(p.country)) return pairs(p.national);
+    if (p.country === "BE" && p.nsn.length === 9) return `${p.national.slice(0, 4)} ${pairs(p.national.slice(4))}`;
+    if (p.country === "CH") return `${p.national.slice(0, 3)} ${p.national.slice(3, 6)} ${pairs(p.national.slice(6))}`;
+    return null;
+}
+
+// Formats à chercher dans WooCommerce, du plus probable au moins probable.
+// Pour une cliente française, le format national domine ; pour l'étranger, l'E.164.
+export function phoneSearchFormats(p) {
+    const domestic = FRENCH_NUMBERING.includes(p.country);
+    const formats = domestic
+        ? [p.national, p.e164, spacedNational(p), `00${p.country_code}${p.nsn}`, `${p.country_code}${p.nsn}`]
+        : [p.e164, p.national, `00${p.country_code}${p.nsn}`, spacedNational(p), `${p.country_code}${p.nsn}`];
+    return [...new Set(formats.filter(Boolean))];
+}
+
+// Vrai si deux numéros bruts désignent la même ligne (comparaison E.164)
+export function samePhone(a, b, hints = {}) {
+    const pa = parsePhone(a, hints);
+    const pb = parsePhone(b, hints);
+    return !!(pa && pb && pa.e164 === pb.e164);
+}
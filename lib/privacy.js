@@ -0,0 +1,111 @@
+import { parsePhone } from "./phone.js";
+import { EMAIL_RE, PHONE_RE } from "./redact.js";
+import { purgeConversations, eraseConversationMessages, purgeLegacyHistory, eraseLegacyHistory } from "./conversations.js";
+import { removeTickets } from "./ticket-store.js";
+import { removeCases } from "./case-log.js";
+import { removeReviewItems } from "./review-queue.js";
+import { removeShipmentStates } from "./shipment-state.js";
+import { removeStuckReportRows, purgeStuckReport } from "./stuck-parcels.js";
+import { removeReturns } from "./returns.js";
+
+// ==========================================
+// RÉTENTION ET EFFACEMENT DES DONNÉES CLIENTES (RGPD)
+// ==========================================
+// Durées de conservation en jours (0 ou absent : pas de limite) :
+//   RETENTION_DAYS_CHAT    : conversations du coach (et copie de l'ancien coach_history.json)
+//   RETENTION_DAYS_TICKETS : tickets /chat/start, image comprise
+//   RETENTION_DAYS_CASES   : dossiers SAV, file de relecture, état local des colis et commandes,
+//                            retours et leurs étiquettes, dernier rapport des colis bloqués
+// La purge tourne au démarrage puis toutes les PRIVACY_PURGE_INTERVAL_HOURS heures (défaut 24).
+// eraseSubject() efface toute trace d'un email ou d'un téléphone dans ces mêmes fichiers.
+// legacyHistoryFile : chemin de l'ancien coach_history.json (voir importLegacyHistory).
+
+const DAY_MS = 86400000;
+
+export function retentionDays() {
+    const days = name => Number(process.env[name] || 0);
+    return {
+        chat: days("RETENTION_DAYS_CHAT"),
+        tickets: days("RETENTION_DAYS_TICKETS"),
+        cases: days("RETENTION_DAYS_CASES")
+    };
+}
+
+export function retentionEnabled() {
+    return Object.values(retentionDays()).some(d => d > 0);
+}
+
+const cutoff = (days, now) => new Date(now - days * DAY_MS).toISOString();
+
+// Renvoie le nombre d'éléments supprimés par fichier (null : pas de limite configurée)
+export async function purgeExpiredData({ legacyHistoryFile = null, now = Date.now() } = {}) {
+    const days = retentionDays();
+    const report = { chat: null, tickets: null, cases: null };
+
+    if (days.chat > 0) {
+        const before = cutoff(days.chat, now);
+        report.chat = await purgeConversations(before);
+        if (legacyHistoryFile) report.chat.legacy_history = purgeLegacyHistory(legacyHistoryFile, before);
+    }
+    if (days.tickets > 0) {
+        const before = cutoff(days.tickets, now);
+        report.tickets = removeTickets(t => t.status !== "running" && t.created_at < before);
+    }
+    if (days.cases > 0) {
+        const before = cutoff(days.cases, now);
+        const older = record => (record.updated_at || record.created_at) < before;
+        report.cases = {
+            cases: removeCases(c => c.created_at < before),
+            review_queue: removeReviewItems(older),
+            returns: removeReturns(older),
+            stuck_report_rows: purgeStuckReport(before),
+            ...removeShipmentStates({ matchOrder: older, matchShipment: older })
+        };
+    }
+    return report;
+}
+
+// ==========================================
+// EFFACEMENT D'UNE PERSONNE
+// ==========================================
+
+// Forme normalisée de la demande ; null si ni email ni téléphone exploitable
+export function parseSubject({ email = null, phone = null }) {
+    const cleanEmail = email ? String(email).trim().toLowerCase() : null;
+    const parsedPhone = phone ? parsePhone(phone) : null;
+    if (cleanEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanEmail)) return null;
+    if (phone && !parsedPhone) return null;
+    if (!cleanEmail && !parsedPhone) return null;
+    return { email: cleanEmail, phone: parsedPhone };
+}
+
+// Vrai si l'enregistrement (n'importe quel objet JSON) contient l'email (adresse entière, casse
+// ignorée : jo@x.fr ne désigne ni anjo@x.fr ni jo@x.fr.example) ou le téléphone, quel que soit
+// le format de saisie du numéro
+export function subjectMatcher(subject) {
+    const email = subject.email ? String(subject.email).trim().toLowerCase() : null;
+    return record => {
+        const text = JSON.stringify(record ?? null);
+        if (email && (text.match(EMAIL_RE) || []).some(found => found.toLowerCase() === email)) return true;
+        if (!subject.phone) return false;
+        for (const candidate of text.match(PHONE_RE) || []) {
+            if (parsePhone(candidate, { countryHint: subject.phone.country })?.e164 === subject.phone.e164) return true;
+        }
+        return false;
+    };
+}
+
+// Renvoie le nombre d'éléments effacés par fichier
+export async function eraseSubject(subject, { legacyHistoryFile = null } = {}) {
+    const match = subjectMatcher(subject);
+    return {
+        conversation_messages: await eraseConversationMessages(match)
+            + (legacyHistoryFile ? eraseLegacyHistory(legacyHistoryFile, match) : 0),
+        tickets: removeTickets(match),
+        cases: removeCases(match),
+        review_queue: removeReviewItems(match),
+        ...removeShipmentStates({ matchOrder: match, matchShipment: match }),
+        stuck_report_rows: removeStuckReportRows(match),
+        returns: removeReturns(match)
+    };
+}
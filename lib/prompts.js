@@ -0,0 +1,156 @@
+import fs from "fs";
+import path from "path";
+
+// ==========================================
+// REGISTRE DES PROMPTS (fichiers versionnés)
+// ==========================================
+// Fichier : PROMPTS_DIR/<nom>/<version>.txt (défaut : ./prompts), par ex. prompts/sav_analyze/v2.txt
+// En-tête JSON entre deux lignes "---" :
+//   { "description": "...", "variables": { "first_name": "string", "tracking_link": "url?" } }
+// Types : string, text, url, number, boolean ; "?" = facultative.
+// "output_schema" (facultatif) : JSON Schema de la réponse attendue du modèle (prompts d'extraction).
+// Gabarit : {{var}}, sections {{#var}}...{{/var}} (si renseignée) et {{^var}}...{{/var}} (sinon),
+// inclusion {{> autre_prompt}} (dans sa version par défaut).
+// Version par défaut : PROMPT_VERSION_<NOM> (ex : PROMPT_VERSION_SAV_ANALYZE=v2), sinon v1.
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(process.cwd(), "prompts");
+const NAME_RE = /^[a-z0-9_]+$/;
+const VERSION_RE = /^v\d+$/;
+
+function promptError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+export function defaultPromptVersion(name) {
+    return process.env[`PROMPT_VERSION_${name.toUpperCase()}`] || "v1";
+}
+
+export function promptVersions(name) {
+    if (!NAME_RE.test(String(name))) return [];
+    try {
+        return fs.readdirSync(path.join(PROMPTS_DIR, name))
+            .map(f => f.replace(/\.txt$/, ""))
+            .filter(v => VERSION_RE.test(v))
+            .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+    } catch (e) {
+        return [];
+    }
+}
+
+export function promptExists(name, version = null) {
+    return promptVersions(name).includes(version || defaultPromptVersion(name));
+}
+
+export function listPrompts() {
+    let names = [];
+    try {
+        names = fs.readdirSync(PROMPTS_DIR).filter(n => NAME_RE.test(n));
+    } catch (e) {
+        return [];
+    }
+    return names.sort().map(name => {
+        const version = defaultPromptVersion(name);
+        const prompt = promptExists(name, version) ? loadPrompt(name, version) : null;
+        return {
+            name,
+            versions: promptVersions(name),
+            default_version: version,
+            description: prompt?.description ?? null,
+            variables: prompt?.variables ?? {},
+            output_schema: prompt?.output_schema ?? null
+        };
+    });
+}
+
+export function loadPrompt(name, version = null) {
+    const v = version || defaultPromptVersion(name);
+    if (!promptVersions(name).length) throw promptError("UNKNOWN_PROMPT", `Prompt inconnu : ${name}`);
+    if (!promptExists(name, v)) throw promptError("UNKNOWN_PROMPT_VERSION", `Version inconnue pour ${name} : ${v}`);
+
+    const raw = fs.readFileSync(path.join(PROMPTS_DIR, name, `${v}.txt`), "utf-8").replace(/^﻿/, "");
+    const header = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    const meta = header ? JSON.parse(header[1]) : {};
+    return {
+        name,
+        version: v,
+        description: meta.description ?? null,
+        variables: meta.variables ?? {},
+        output_schema: meta.output_schema ?? null,
+        template: header ? raw.slice(header[0].length) : raw
+    };
+}
+
+// ==========================================
+// VARIABLES TYPÉES
+// ==========================================
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === "";
+}
+
+function checkType(type, value) {
+    switch (type) {
+        case "string":
+        case "text": return typeof value === "string" || typeof value === "number";
+        case "url": return typeof value === "string" && /^https?:\/\//.test(value);
+        case "number": return Number.isFinite(Number(value));
+        case "boolean": return typeof value === "boolean" || value === "true" || value === "false";
+        default: return false;
+    }
+}
+
+// Renvoie la liste des problèmes (vide si tout va bien)
+export function validateVariables(prompt, variables = {}) {
+    const problems = [];
+    for (const [key, spec] of Object.entries(prompt.variables)) {
+        const optional = spec.endsWith("?");
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = variables[key];
+        if (isEmpty(value)) {
+            if (!optional) problems.push(`${key} : obligatoire (${type})`);
+        } else if (!checkType(type, value)) {
+            problems.push(`${key} : ${type} attendu`);
+        }
+    }
+    return problems;
+}
+
+// ==========================================
+// RENDU
+// ==========================================
+
+function truthy(value) {
+    return !isEmpty(value) && value !== false && value !== "false";
+}
+
+function renderTemplate(template, variables, depth) {
+    // Une balise de section seule sur sa ligne ne laisse pas de ligne vide
+    let out = template.replace(/^[ \t]*(\{\{[#^/][a-z0-9_]+\}\})[ \t]*\r?\n/gm, "$1");
+    out = out.replace(/\{\{([#^])([a-z0-9_]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (m, kind, key, inner) => {
+        const show = kind === "#" ? truthy(variables[key]) : !truthy(variables[key]);
+        return show ? renderTemplate(inner, variables, depth) : "";
+    });
+    out = out.replace(/\{\{>\s*([a-z0-9_]+)\s*\}\}/g, (m, partial) => {
+        if (depth > 5) throw promptError("INVALID_PROMPT", `Inclusions trop profondes (${partial})`);
+        return renderPrompt(partial, variables, { depth: depth + 1 }).text.trimEnd();
+    });
+    return out.replace(/\{\{([a-z0-9_]+)\}\}/g, (m, key) => (isEmpty(variables[key]) ? "" : String(variables[key])));
+}
+
+// Rend un prompt : { name, version, text, output_schema }. Lève une erreur (err.code) si le prompt,
+// la version ou les variables ne conviennent pas.
+export function renderPrompt(name, variables = {}, { version = null, depth = 0 } = {}) {
+    const prompt = loadPrompt(name, version);
+    const problems = validateVariables(prompt, variables);
+    if (problems.length) {
+        throw promptError("INVALID_PROMPT_VARIABLES", `Variables invalides pour ${name}@${prompt.version} : ${problems.join(" ; ")}`);
+    }
+    return {
+        name,
+        version: prompt.version,
+        text: renderTemplate(prompt.template, variables, depth).trim(),
+        output_schema: prompt.output_schema
+    };
+}
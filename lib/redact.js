@@ -0,0 +1,82 @@
+import util from "util";
+import { parsePhone } from "./phone.js";
+import { parseTrackingNumber } from "./tracking-number.js";
+
+// ==========================================
+// MASQUAGE DES DONNÉES PERSONNELLES DANS LES JOURNAUX
+// ==========================================
+// installLogRedaction() enveloppe console.log / info / warn / error / debug : tout ce qui
+// part dans les journaux (texte OCR, réponses des modèles, erreurs...) passe par redactText().
+// Masqués : emails, téléphones, adresses postales, noms (après une formule d'appel, dans les
+// champs *name*, et les noms de clientes déjà vus dans Woo, Sendcloud ou une extraction).
+// Les numéros de suivi (Colissimo, GLS, DHL...) restent lisibles : une suite de chiffres qui a
+// la forme d'un numéro de suivi et pas celle d'un téléphone n'est pas masquée.
+// LOG_REDACTION=off : journaux bruts (développement local uniquement).
+
+export const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// 9 à 14 chiffres, séparés ou non par espace, point ou tiret, éventuellement précédés de + ou 00
+export const PHONE_RE = /(?<![\w+])(?:\+|00)?\d(?:[ .-]?\d){8,13}(?!\w)/g;
+const STREET_RE = /\b\d{1,4}(?:\s?(?:bis|ter))?,?\s+(?:rue|avenue|av\.|boulevard|bd|chemin|allée|allee|impasse|place|quai|route|cours|square|résidence|lotissement|street|road|lane|straat|laan|weg|strasse|straße|gasse|chaussée|via)\b[^,\n;"']{0,60}/giu;
+const GERMANIC_STREET_RE = /\b[\p{L}-]+(?:strasse|straße|straat|weg|gasse|laan)\s+\d{1,4}[a-z]?\b/giu;
+const POSTCODE_CITY_RE = /(?<=,\s?)\d{4,5}\s+\p{Lu}[\p{L}' -]{1,40}/gu;
+const GREETING_NAME_RE = /\b(Bonjour|Bonsoir|Salut|Coucou|Hello|Hi|Dear|Hallo|Cher|Chère|Madame|Monsieur|Mme|Mlle|M\.|Mr\.?|Mrs\.?|Ms\.?)(\s+)\p{Lu}[\p{L}'-]+(?:\s+\p{Lu}[\p{L}'-]+)?/gu;
+const NAME_FIELD_RE = /(["']?\b(?:customer_)?(?:first_|last_)?name["']?\s*[:=]\s*["'])([^"'\n]+)(["'])/g;
+
+// Noms vus récemment (ordre d'insertion : les plus anciens sortent en premier)
+const MAX_KNOWN_NAMES = 5000;
+const knownNames = new Set();
+let knownNamesRe = null;
+
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// À appeler partout où un nom de cliente entre dans le pont
+export function rememberNames(...names) {
+    for (const raw of names) {
+        const name = String(raw || "").trim();
+        if (name.length < 3 || knownNames.has(name)) continue;
+        knownNames.add(name);
+        knownNamesRe = null;
+    }
+    while (knownNames.size > MAX_KNOWN_NAMES) knownNames.delete(knownNames.values().next().value);
+}
+
+function knownNamesPattern() {
+    if (!knownNamesRe && knownNames.size) {
+        const alternatives = [...knownNames].sort((a, b) => b.length - a.length).map(escapeRe).join("|");
+        knownNamesRe = new RegExp(`(?<![\\p{L}\\d])(?:${alternatives})(?![\\p{L}\\d])`, "gu");
+    }
+    return knownNamesRe;
+}
+
+function redactPhone(candidate) {
+    return parseTrackingNumber(candidate).valid && !parsePhone(candidate) ? candidate : "[téléphone]";
+}
+
+export function redactText(text) {
+    let out = String(text)
+        .replace(EMAIL_RE, "[email]")
+        .replace(STREET_RE, "[adresse]")
+        .replace(GERMANIC_STREET_RE, "[adresse]")
+        .replace(POSTCODE_CITY_RE, "[adresse]")
+        .replace(PHONE_RE, redactPhone)
+        .replace(GREETING_NAME_RE, "$1$2[nom]")
+        .replace(NAME_FIELD_RE, "$1[nom]$3");
+    const names = knownNamesPattern();
+    if (names) out = out.replace(names, "[nom]");
+    return out;
+}
+
+export function logRedactionEnabled() {
+    return String(process.env.LOG_REDACTION || "on").toLowerCase() !== "off";
+}
+
+let installed = false;
+
+export function installLogRedaction() {
+    if (installed || !logRedactionEnabled()) return;
+    installed = true;
+    for (const method of ["log", "info", "warn", "error", "debug"]) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => original(redactText(util.format(...args)));
+    }
+}
@@ -0,0 +1,325 @@
+import fs from "fs";
+import crypto from "crypto";
+import { dataPath, readJsonFile, writeJsonAtomic, writeFileAtomic } from "./storage.js";
+import { requireEnv } from "./helpers.js";
+import { SHIPMENT_STATUS } from "./tracking-model.js";
+
+// ==========================================
+// RETOURS ET ÉCHANGES (/sav/return)
+// ==========================================
+// Politique de retour (variables d'environnement) :
+//   RETURN_WINDOW_DAYS      : délai en jours à compter de la livraison (défaut 14)
+//   RETURN_HYGIENE_KEYWORDS : mots (nom ou SKU) qui désignent un bijou de piercing, séparés par des virgules
+//   RETURN_HYGIENE_POLICY   : sealed (défaut : repris seulement dans son emballage scellé) | refuse | none
+// Un retour suppose un colis livré ou en point de retrait (sinon : not_delivered).
+// Un bijou déjà porté n'est jamais repris. Un bijou abîmé ou différent de la commande
+// (raison damaged / wrong_item) est toujours repris, même hors délai.
+// Colis retour Sendcloud : méthode RETURN_SHIPPING_METHOD_ID, entrepôt RETURN_ADDRESS_NAME, _COMPANY,
+// _STREET, _POSTCODE, _CITY, _COUNTRY, _EMAIL, _PHONE ; poids RETURN_PARCEL_WEIGHT_KG (défaut 0.1).
+// Fichier : DATA_DIR/returns.json ; étiquettes PDF dans DATA_DIR/returns/<id>.pdf
+// {
+//   id, token,                              // token : protège le lien public de l'étiquette
+//   order_number, items: [{ name, quantity, sku, product_id }], reason, exchange_for,
+//   customer: { first_name, email, phone },
+//   parcel_id, tracking_number, tracking_url, label_url, label_saved,
+//   woo: { recorded, note_id, error },      // trace écrite sur la commande WooCommerce
+//   created_at, updated_at
+// }
+
+export const RETURN_REASONS = ["too_small", "too_big", "wrong_item", "damaged", "changed_mind", "other"];
+const DEFECT_REASONS = ["wrong_item", "damaged"];
+export const HYGIENE_POLICIES = ["sealed", "refuse", "none"];
+const DEFAULT_HYGIENE_KEYWORDS = "piercing,labret,barbell,tragus,helix,septum,nombril,daith,conch,rook";
+
+// Commande pas encore partie, ou close : rien à retourner
+const NOT_SHIPPED_STATUSES = ["pending", "on-hold", "processing"];
+const CLOSED_STATUSES = ["cancelled", "refunded", "failed"];
+// Colis arrivé chez la cliente (ou qui l'attend en point de retrait) : seul cas où un retour a un sens
+const RECEIVED_STATUSES = [SHIPMENT_STATUS.DELIVERED, SHIPMENT_STATUS.PICKUP_POINT];
+
+const RETURNS_FILE = dataPath("returns.json");
+const RETURN_ID_RE = /^ret_\d+_[a-f0-9]{8}$/;
+const DAY_MS = 86400000;
+
+export function returnPolicy() {
+    const policy = String(process.env.RETURN_HYGIENE_POLICY || "sealed").trim().toLowerCase();
+    return {
+        window_days: Number(process.env.RETURN_WINDOW_DAYS || 14),
+        hygiene_policy: HYGIENE_POLICIES.includes(policy) ? policy : "sealed",
+        hygiene_keywords: (process.env.RETURN_HYGIENE_KEYWORDS || DEFAULT_HYGIENE_KEYWORDS)
+            .split(",").map(fold).filter(Boolean)
+    };
+}
+
+// Minuscules sans accents : "Piercing Hélix" -> "piercing helix"
+function fold(s) {
+    return String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").trim().toLowerCase();
+}
+
+// ==========================================
+// ARTICLES CONCERNÉS
+// ==========================================
+
+// "Anneau Luna x2" -> { name: "Anneau Luna", quantity: 2 }
+export function parseItemRequest(text) {
+    const m = String(text).trim().match(/^(.*?)\s*[x×]\s*(\d+)$/i);
+    return m ? { name: m[1].trim(), quantity: Number(m[2]) } : { name: String(text).trim(), quantity: null };
+}
+
+function itemMatches(line, name) {
+    const a = fold(line.name);
+    const b = fold(name);
+    if (!a || !b) return false;
+    if (a.includes(b) || b.includes(a) || (line.sku && fold(line.sku) === b)) return true;
+    // Tous les mots significatifs de la ligne se retrouvent dans la demande ("la bague Luna" / "Anneau Luna")
+    const words = a.split(/\s+/).filter(w => w.length > 2);
+    return words.length > 1 && words.filter(w => b.includes(w)).length >= words.length - 1;
+}
+
+// Lignes de commande visées par les demandes (noms, éventuellement suivis de "x<quantité>").
+// Sans demande, une commande d'un seul article le désigne d'office.
+// Renvoie { items, unmatched } ; items vide et unmatched vide : il faut demander lequel.
+export function selectReturnItems(lineItems, requests = []) {
+    const lines = (lineItems || []).map(li => ({ name: li.name, quantity: Number(li.quantity) || 1, sku: li.sku || null, product_id: li.product_id ?? null, price: li.price ?? null }));
+    if (!requests.length) return { items: lines.length === 1 ? lines : [], unmatched: [] };
+
+    const items = [];
+    const unmatched = [];
+    for (const request of requests.map(parseItemRequest)) {
+        const line = lines.find(l => itemMatches(l, request.name));
+        if (!line) {
+            unmatched.push(request.name);
+            continue;
+        }
+        if (items.some(it => it.name === line.name)) continue;
+        items.push({ ...line, quantity: Math.min(request.quantity ?? line.quantity, line.quantity) });
+    }
+    return { items, unmatched };
+}
+
+// ==========================================
+// ÉLIGIBILITÉ
+// ==========================================
+
+const isReceived = parcel => RECEIVED_STATUSES.includes(parcel.shipment?.status);
+
+// Date de livraison : évènement "livré" (ou arrivée en point de retrait) du dernier colis reçu,
+// sinon date de clôture Woo, sinon date de commande (le délai court alors plus tôt que la livraison réelle)
+export function deliveryDate(order, parcels = []) {
+    const delivered = parcels
+        .filter(isReceived)
+        .map(p => p.shipment)
+        .map(s => s.events?.find(e => e.status === s.status)?.at || s.last_update_at)
+        .filter(Boolean)
+        .sort();
+    if (delivered.length) return { at: delivered[delivered.length - 1], source: "tracking" };
+    if (order?.date_completed) return { at: order.date_completed, source: "order_completed" };
+    if (order?.date_created) return { at: order.date_created, source: "order_created" };
+    return { at: null, source: null };
+}
+
+function isHygieneItem(item, policy) {
+    const text = `${fold(item.name)} ${fold(item.sku)}`;
+    return policy.hygiene_keywords.some(k => text.includes(k));
+}
+
+// details : { reason, worn, opened } tels que déclarés par la cliente (null : inconnu)
+// Renvoie { eligible, reason, conditions } ; reason : defect | within_window | worn | window_expired | hygiene | hygiene_opened
+export function itemEligibility(item, details, { deadline = null, now = Date.now(), policy = returnPolicy() } = {}) {
+    if (DEFECT_REASONS.includes(details.reason)) return { eligible: true, reason: "defect", conditions: [] };
+    if (details.worn === true) return { eligible: false, reason: "worn", conditions: [] };
+    if (deadline && now > Date.parse(deadline)) return { eligible: false, reason: "window_expired", conditions: [] };
+    const conditions = ["unworn"];
+    if (isHygieneItem(item, policy)) {
+        if (policy.hygiene_policy === "refuse") return { eligible: false, reason: "hygiene", conditions: [] };
+        if (policy.hygiene_policy === "sealed") {
+            if (details.opened === true) return { eligible: false, reason: "hygiene_opened", conditions: [] };
+            conditions.push("sealed");
+        }
+    }
+    return { eligible: true, reason: "within_window", conditions };
+}
+
+function carries(parcel, item) {
+    return (parcel.items || []).some(pi =>
+        (item.product_id != null && pi.product_id != null && String(pi.product_id) === String(item.product_id))
+        || (item.sku && pi.sku === item.sku)
+        || fold(pi.name) === fold(item.name));
+}
+
+// Article dont tous les colis connus sont encore en route (sans contenu connu : pas de verdict)
+function itemNotReceived(item, parcels) {
+    const carriers = parcels.filter(p => carries(p, item));
+    return carriers.length > 0 && !carriers.some(isReceived);
+}
+
+// Renvoie { eligible, order_reason, delivered_at, delivered_source, deadline, window_days, items }
+// order_reason : not_shipped | order_closed | not_delivered | null ; items : articles avec leur verdict
+// (reason not_delivered aussi pour un article resté dans un colis pas encore livré)
+export function checkReturnEligibility(order, parcels, items, details, { now = Date.now(), policy = returnPolicy() } = {}) {
+    const delivered = deliveryDate(order, parcels);
+    const deadline = delivered.at ? new Date(Date.parse(delivered.at) + policy.window_days * DAY_MS).toISOString() : null;
+    const base = { delivered_at: delivered.at, delivered_source: delivered.source, deadline, window_days: policy.window_days };
+
+    // Sans colis suivi, le statut Woo fait foi (commande terminée sans numéro de suivi)
+    let orderReason = null;
+    if (CLOSED_STATUSES.includes(order?.status)) orderReason = "order_closed";
+    else if (NOT_SHIPPED_STATUSES.includes(order?.status) && !parcels.length) orderReason = "not_shipped";
+    else if (parcels.length && !parcels.some(isReceived)) orderReason = "not_delivered";
+    if (orderReason) {
+        return { ...base, eligible: false, order_reason: orderReason, items: items.map(it => ({ ...it, eligible: false, reason: orderReason, conditions: [] })) };
+    }
+
+    const checked = items.map(it => ({
+        ...it,
+        ...(itemNotReceived(it, parcels)
+            ? { eligible: false, reason: "not_delivered", conditions: [] }
+            : itemEligibility(it, details, { deadline, now, policy }))
+    }));
+    return { ...base, eligible: checked.some(it => it.eligible), order_reason: null, items: checked };
+}
+
+// ==========================================
+// COLIS RETOUR SENDCLOUD
+// ==========================================
+
+// Corps du colis retour : l'entrepôt est le destinataire, la cliente l'expéditrice (adresse de livraison Woo)
+export function returnParcelPayload(order, items, returnId) {
+    const from = order.shipping?.address_1 ? order.shipping : order.billing || {};
+    const env = name => process.env[name] || undefined;
+    return {
+        name: requireEnv("RETURN_ADDRESS_NAME"),
+        company_name: env("RETURN_ADDRESS_COMPANY"),
+        address: requireEnv("RETURN_ADDRESS_STREET"),
+        postal_code: requireEnv("RETURN_ADDRESS_POSTCODE"),
+        city: requireEnv("RETURN_ADDRESS_CITY"),
+        country: env("RETURN_ADDRESS_COUNTRY") || "FR",
+        email: env("RETURN_ADDRESS_EMAIL"),
+        telephone: env("RETURN_ADDRESS_PHONE"),
+        from_name: [from.first_name, from.last_name].filter(Boolean).join(" "),
+        from_company_name: from.company || undefined,
+        from_address_1: from.address_1,
+        from_address_2: from.address_2 || undefined,
+        from_postal_code: from.postcode,
+        from_city: from.city,
+        from_country: from.country || order.billing?.country || "FR",
+        from_email: order.billing?.email || undefined,
+        from_telephone: order.billing?.phone || undefined,
+        order_number: String(order.number ?? order.id),
+        external_reference: returnId,
+        weight: String(Number(process.env.RETURN_PARCEL_WEIGHT_KG || 0.1)),
+        shipment: { id: Number(requireEnv("RETURN_SHIPPING_METHOD_ID")) },
+        parcel_items: items.map(it => ({
+            description: it.name,
+            quantity: it.quantity,
+            sku: it.sku || undefined,
+            product_id: it.product_id != null ? String(it.product_id) : undefined,
+            value: it.price != null ? String(it.price) : undefined,
+            weight: "0.01"
+        }))
+    };
+}
+
+// ==========================================
+// REGISTRE DES RETOURS
+// ==========================================
+
+let returns = null;
+
+function load() {
+    if (!returns) returns = readJsonFile(RETURNS_FILE, {});
+    return returns;
+}
+
+function persist() {
+    writeJsonAtomic(RETURNS_FILE, returns);
+}
+
+const labelPath = id => dataPath("returns", `${id}.pdf`);
+const itemKey = items => items.map(it => `${fold(it.sku || it.name)}x${it.quantity}`).sort().join("|");
+
+export function isReturnId(id) {
+    return RETURN_ID_RE.test(String(id || ""));
+}
+
+export function newReturnId() {
+    return `ret_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+}
+
+// Retour déjà ouvert pour la même demande (commande, articles et quantités, raison, échange) :
+// requête rejouée ou cliente qui relance, on renvoie la même étiquette au lieu d'en créer une seconde.
+// D'autres articles ou une autre raison font un nouveau retour.
+const requestKey = (items, { reason = null, exchange_for = null } = {}) => `${itemKey(items)}#${reason ?? ""}#${fold(exchange_for)}`;
+
+export function findOpenReturn(orderNumber, items, request = {}) {
+    const key = requestKey(items, request);
+    return Object.values(load()).find(r => r.order_number === String(orderNumber) && r.parcel_id && requestKey(r.items, r) === key) ?? null;
+}
+
+// record : voir l'en-tête (le jeton est créé ici, l'id aussi s'il n'est pas fourni)
+export function saveReturn(record) {
+    const now = new Date().toISOString();
+    const saved = {
+        ...record,
+        id: record.id || newReturnId(),
+        token: crypto.randomBytes(16).toString("hex"),
+        created_at: now,
+        updated_at: now
+    };
+    load()[saved.id] = saved;
+    persist();
+    return saved;
+}
+
+export function updateReturn(id, changes) {
+    const record = load()[id];
+    if (!record) return null;
+    Object.assign(record, changes, { updated_at: new Date().toISOString() });
+    persist();
+    return record;
+}
+
+export function getReturn(id) {
+    return load()[id] ?? null;
+}
+
+export function listReturns({ order_number = null } = {}) {
+    return Object.values(load())
+        .filter(r => !order_number || r.order_number === String(order_number).trim())
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// Le jeton du lien public, comparé en temps constant
+export function checkLabelToken(record, token) {
+    const a = Buffer.from(String(record?.token || ""));
+    const b = Buffer.from(String(token || ""));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function saveLabel(id, buffer) {
+    writeFileAtomic(labelPath(id), buffer);
+    return updateReturn(id, { label_saved: true });
+}
+
+// Buffer du PDF, ou null s'il n'a pas encore été téléchargé
+export function readLabel(id) {
+    try {
+        return fs.readFileSync(labelPath(id));
+    } catch (e) {
+        if (e.code !== "ENOENT") console.error(`Erreur lecture étiquette ${id} :`, e.message);
+        return null;
+    }
+}
+
+// Rétention et effacement (voir lib/privacy.js), étiquettes comprises. Renvoie le nombre de retours retirés.
+export function removeReturns(match) {
+    let removed = 0;
+    for (const record of Object.values(load())) {
+        if (!match(record)) continue;
+        delete returns[record.id];
+        fs.rmSync(labelPath(record.id), { force: true });
+        removed++;
+    }
+    if (removed) persist();
+    return removed;
+}
@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import { dataPath, readJsonFile, writeJsonAtomic } from "./storage.js";
+
+// ==========================================
+// FILE DE RELECTURE DES MESSAGES PROACTIFS
+// ==========================================
+// Fichier : DATA_DIR/review-queue.json. Un brouillon proactif n'est jamais envoyé seul :
+// un agent le relit, le corrige au besoin, puis l'approuve ou le rejette.
+// Cycle de vie : pending -> approved | rejected
+// Un seul brouillon par colis et par déclencheur (webhook reçu deux fois, statut qui oscille...).
+// Brouillons du rapport des colis bloqués : trigger "stuck:<signal>" ; sans colis, c'est la
+// commande qui les distingue.
+
+const QUEUE_FILE = dataPath("review-queue.json");
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const REVIEW_ID_RE = /^rv_\d+_[a-f0-9]{8}$/;
+
+let items = null;
+
+function load() {
+    if (!items) items = readJsonFile(QUEUE_FILE, {});
+    return items;
+}
+
+function persist() {
+    writeJsonAtomic(QUEUE_FILE, items);
+}
+
+export function isReviewId(id) {
+    return REVIEW_ID_RE.test(String(id || ""));
+}
+
+// Brouillon déjà en file pour ce colis (et cette commande si précisée) et ce déclencheur,
+// quel que soit son statut
+export function findReviewItem(trackingNumber, trigger, orderNumber = null) {
+    return Object.values(load()).find(it => it.tracking_number === trackingNumber && it.trigger === trigger
+        && (!orderNumber || it.order_number === orderNumber)) ?? null;
+}
+
+// item : { kind, trigger, tracking_number, order_number, customer, draft, style, prompt, models }
+export function enqueueReview(item) {
+    const id = `rv_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+    const now = new Date().toISOString();
+    const record = { id, status: "pending", ...item, created_at: now, updated_at: now, reviewed_by: null, note: null };
+    load()[id] = record;
+    persist();
+    return record;
+}
+
+// Rétention et effacement (voir lib/privacy.js). Renvoie le nombre d'éléments retirés.
+export function removeReviewItems(match) {
+    let removed = 0;
+    for (const item of Object.values(load())) {
+        if (!match(item)) continue;
+        delete items[item.id];
+        removed++;
+    }
+    if (removed) persist();
+    return removed;
+}
+
+export function getReviewItem(id) {
+    return load()[id] ?? null;
+}
+
+export function listReviewItems({ status = null } = {}) {
+    return Object.values(load())
+        .filter(it => !status || it.status === status)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// decision : "approved" | "rejected" ; draft : texte corrigé par l'agent (facultatif)
+// Renvoie null si l'élément n'existe pas ; lève une erreur s'il a déjà été traité.
+export function reviewItem(id, decision, { draft = null, note = null, reviewer = null } = {}) {
+    const item = load()[id];
+    if (!item) return null;
+    if (item.status !== "pending") throw new Error(`Déjà traité (${item.status})`);
+    if (draft) {
+        item.original_draft = item.draft;
+        item.draft = String(draft);
+    }
+    Object.assign(item, { status: decision, note, reviewed_by: reviewer, updated_at: new Date().toISOString() });
+    persist();
+    return item;
+}
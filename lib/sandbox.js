@@ -0,0 +1,277 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+
+// ==========================================
+// MODE BAC À SABLE (WooCommerce, Sendcloud, 17TRACK simulés)
+// ==========================================
+// SANDBOX=on : au démarrage, un petit serveur HTTP local imite les trois API et
+// WC_BASE_URL / SENDCLOUD_BASE_URL / TRACK17_BASE_URL pointent dessus (identifiants factices
+// fournis si absents). Sans clé OpenAI, les tâches LLM passent aussi sur le fournisseur "fake".
+// Données : SANDBOX_FIXTURES_DIR (défaut fixtures/sandbox), relues à chaque requête :
+//   woocommerce.json : { orders: [commande Woo] }
+//   sendcloud.json   : { parcels: [colis Sendcloud], tracking: { <numéro>: suivi Sendcloud } }
+//   track17.json     : { registered: [numéro], tracks: { <numéro>: objet "accepted" 17TRACK } }
+// Dates relatives : "now-3d", "now-5h" (ou "now") deviennent une date ISO au moment de la réponse.
+// Écritures (notes et métas de commande, colis retour et étiquettes) : gardées en mémoire jusqu'à
+// l'arrêt du serveur, jamais dans les fichiers de données.
+// SANDBOX_PORT : port d'écoute (défaut : port libre choisi par le système).
+
+const FIXTURES_DIR = process.env.SANDBOX_FIXTURES_DIR || path.join(process.cwd(), "fixtures", "sandbox");
+
+export function sandboxEnabled() {
+    return ["on", "1", "true"].includes(String(process.env.SANDBOX || "").toLowerCase());
+}
+
+function resolveDates(value, now = Date.now()) {
+    if (Array.isArray(value)) return value.map(v => resolveDates(v, now));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveDates(v, now)]));
+    }
+    const m = typeof value === "string" && value.match(/^now(?:-(\d+)([dh]))?$/);
+    if (!m) return value;
+    const offset = m[1] ? Number(m[1]) * (m[2] === "d" ? 86400000 : 3600000) : 0;
+    return new Date(now - offset).toISOString();
+}
+
+function fixture(name) {
+    return resolveDates(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), "utf-8")));
+}
+
+function send(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+    res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        req.on("data", chunk => { data += chunk; });
+        req.on("end", () => {
+            try {
+                resolve(data ? JSON.parse(data) : null);
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+// ==========================================
+// WOOCOMMERCE : /woo/wp-json/wc/v3/orders
+// ==========================================
+
+// Comme la recherche Woo (LIKE) : sous-chaîne dans le numéro, les noms, l'email, le téléphone, l'adresse
+function orderMatches(order, term) {
+    const t = String(term).trim().toLowerCase();
+    const fields = [order.id, order.number];
+    for (const address of [order.billing, order.shipping]) {
+        for (const key of ["first_name", "last_name", "email", "phone", "company", "address_1", "city", "postcode"]) {
+            fields.push(address?.[key]);
+        }
+    }
+    return fields.some(f => f != null && String(f).toLowerCase().includes(t));
+}
+
+// Notes et métas écrites par le pont : { <id commande>: { notes: [...], meta: { clé: valeur } } }
+const orderWrites = new Map();
+
+function writesFor(orderId) {
+    if (!orderWrites.has(orderId)) orderWrites.set(orderId, { notes: [], meta: {} });
+    return orderWrites.get(orderId);
+}
+
+function withWrites(order) {
+    const writes = orderWrites.get(String(order.id));
+    if (!writes) return order;
+    const meta = (order.meta_data || []).filter(m => !(m.key in writes.meta));
+    return { ...order, meta_data: [...meta, ...Object.entries(writes.meta).map(([key, value], i) => ({ id: 9000 + i, key, value }))] };
+}
+
+async function handleWoo(req, res, url) {
+    if (!/^Basic /.test(req.headers.authorization || "")) {
+        return send(res, 401, { code: "woocommerce_rest_cannot_view", message: "Désolé, vous ne pouvez pas lister les ressources.", data: { status: 401 } });
+    }
+    const orders = fixture("woocommerce.json").orders.map(withWrites);
+    const invalidId = () => send(res, 404, { code: "woocommerce_rest_shop_order_invalid_id", message: "ID non valide.", data: { status: 404 } });
+    const notes = url.pathname.match(/^\/wp-json\/wc\/v3\/orders\/([^/]+)\/notes$/);
+    if (notes) {
+        const order = orders.find(o => String(o.id) === decodeURIComponent(notes[1]));
+        if (!order) return invalidId();
+        const writes = writesFor(String(order.id));
+        if (req.method !== "POST") return send(res, 200, writes.notes);
+        const body = await readBody(req);
+        const note = { id: 7000 + writes.notes.length, author: "system", date_created: new Date().toISOString(), note: String(body?.note ?? ""), customer_note: !!body?.customer_note };
+        writes.notes.unshift(note);
+        return send(res, 201, note);
+    }
+    const byId = url.pathname.match(/^\/wp-json\/wc\/v3\/orders\/([^/]+)$/);
+    if (byId) {
+        const order = orders.find(o => String(o.id) === decodeURIComponent(byId[1]));
+        if (!order) return invalidId();
+        if (req.method !== "PUT") return send(res, 200, order);
+        const body = await readBody(req);
+        const writes = writesFor(String(order.id));
+        for (const m of body?.meta_data || []) writes.meta[m.key] = m.value;
+        return send(res, 200, withWrites(order));
+    }
+    if (url.pathname === "/wp-json/wc/v3/orders") {
+        const term = url.searchParams.get("search");
+        const after = url.searchParams.get("after");
+        const statuses = url.searchParams.get("status")?.split(",").filter(Boolean);
+        const perPage = Number(url.searchParams.get("per_page") || 10);
+        const page = Number(url.searchParams.get("page") || 1);
+        const found = orders
+            .filter(o => !term || orderMatches(o, term))
+            .filter(o => !after || String(o.date_created) > after)
+            .filter(o => !statuses?.length || statuses.includes(o.status))
+            .sort((a, b) => String(b.date_created).localeCompare(String(a.date_created)));
+        return send(res, 200, found.slice((page - 1) * perPage, page * perPage));
+    }
+    return send(res, 404, { code: "rest_no_route", message: "Aucune route correspondante.", data: { status: 404 } });
+}
+
+// ==========================================
+// SENDCLOUD : /sendcloud/api/v2/parcels, /sendcloud/api/v2/tracking/<numéro>, /sendcloud/api/v2/labels/...
+// ==========================================
+
+// Colis retour créés (POST /api/v2/parcels avec is_return), listés avec ceux des données
+const returnParcels = [];
+
+// Plus petit PDF lisible : une page blanche
+const LABEL_PDF = Buffer.from("%PDF-1.4\n1 0 obj<</Type/Catalog/Pages 2 0 R>>endobj\n2 0 obj<</Type/Pages/Kids[3 0 R]/Count 1>>endobj\n"
+    + "3 0 obj<</Type/Page/Parent 2 0 R/MediaBox[0 0 595 842]>>endobj\ntrailer<</Root 1 0 R>>\n%%EOF\n");
+
+async function createReturnParcel(req, res) {
+    const { parcel } = await readBody(req) || {};
+    if (!parcel?.is_return) return send(res, 400, { error: { code: 400, message: "Seuls les colis retour sont simulés" } });
+    if (!parcel.shipment?.id) return send(res, 400, { error: { code: 400, message: "shipment: This field is required." } });
+    const id = 95001 + returnParcels.length;
+    const created = {
+        ...parcel,
+        id,
+        tracking_number: `3SRET${String(id).padStart(9, "0")}`,
+        tracking_url: `https://tracking.eu-central-1-0.sendcloud.sc/forward?carrier=colissimo&code=3SRET${String(id).padStart(9, "0")}`,
+        date_created: new Date().toISOString(),
+        carrier: { code: "colissimo" },
+        status: { id: 1000, message: "Ready to send" },
+        label: { normal_printer: [`http://${req.headers.host}/sendcloud/api/v2/labels/normal_printer/${id}`], label_printer: `http://${req.headers.host}/sendcloud/api/v2/labels/label_printer/${id}` }
+    };
+    returnParcels.push(created);
+    return send(res, 200, { parcel: created });
+}
+
+async function handleSendcloud(req, res, url) {
+    if (!/^Basic /.test(req.headers.authorization || "")) return send(res, 401, { error: { code: 401, message: "Unauthorized" } });
+    const data = fixture("sendcloud.json");
+    if (url.pathname === "/api/v2/parcels") {
+        if (req.method === "POST") return createReturnParcel(req, res);
+        const orderNumber = url.searchParams.get("order_number");
+        const all = [...data.parcels, ...returnParcels];
+        const parcels = orderNumber ? all.filter(p => String(p.order_number) === orderNumber) : all;
+        return send(res, 200, { parcels });
+    }
+    const label = url.pathname.match(/^\/api\/v2\/labels\/(?:normal|label)_printer\/(\d+)$/);
+    if (label) {
+        if (!returnParcels.some(p => String(p.id) === label[1])) return send(res, 404, { error: { code: 404, message: "Not found" } });
+        res.writeHead(200, { "Content-Type": "application/pdf" });
+        return res.end(LABEL_PDF);
+    }
+    const tracking = url.pathname.match(/^\/api\/v2\/tracking\/([^/]+)$/);
+    if (tracking) {
+        const payload = data.tracking?.[decodeURIComponent(tracking[1])];
+        if (!payload) return send(res, 404, { error: { code: 404, message: "No tracking information found" } });
+        return send(res, 200, payload);
+    }
+    return send(res, 404, { error: { code: 404, message: "Not found" } });
+}
+
+// ==========================================
+// 17TRACK : /17track/track/v2.2/register, /17track/track/v2.2/gettrackinfo
+// ==========================================
+
+const registered = new Set();
+
+async function handleTrack17(req, res, url) {
+    if (!req.headers["17token"]) return send(res, 401, { code: -18010001, data: { errors: [{ code: -18010001, message: "Token invalide." }] } });
+    const body = await readBody(req);
+    const numbers = (Array.isArray(body) ? body : []).map(item => String(item.number));
+    const data = fixture("track17.json");
+    for (const n of data.registered || []) registered.add(n);
+
+    if (url.pathname === "/track/v2.2/register") {
+        const accepted = [];
+        const rejected = [];
+        for (const number of numbers) {
+            if (registered.has(number)) {
+                rejected.push({ number, error: { code: -18019901, message: `The tracking number '${number}' has been registered, don't need to repeat registration.` } });
+            } else {
+                registered.add(number);
+                accepted.push({ number, carrier: data.tracks?.[number]?.carrier ?? 0 });
+            }
+        }
+        return send(res, 200, { code: 0, data: { accepted, rejected } });
+    }
+    if (url.pathname === "/track/v2.2/gettrackinfo") {
+        const accepted = [];
+        const rejected = [];
+        for (const number of numbers) {
+            if (!registered.has(number)) {
+                rejected.push({ number, error: { code: -18019902, message: `The tracking number '${number}' does not register, please register first.` } });
+            } else {
+                accepted.push({
+                    number,
+                    ...(data.tracks?.[number] ?? { carrier: 0, track_info: { latest_status: { status: "NotFound" }, tracking: { providers: [] } } })
+                });
+            }
+        }
+        return send(res, 200, { code: 0, data: { accepted, rejected } });
+    }
+    return send(res, 404, { code: -1, data: { errors: [{ code: -1, message: "Not found" }] } });
+}
+
+// ==========================================
+// DÉMARRAGE
+// ==========================================
+
+const ROUTES = [
+    ["/woo", handleWoo],
+    ["/sendcloud", handleSendcloud],
+    ["/17track", handleTrack17]
+];
+
+// Démarre le serveur simulé et redirige les clients dessus. Renvoie l'URL de base.
+export async function startSandbox() {
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, "http://sandbox");
+        const route = ROUTES.find(([prefix]) => url.pathname.startsWith(`${prefix}/`));
+        if (!route) return send(res, 404, { error: "Service inconnu" });
+        url.pathname = url.pathname.slice(route[0].length);
+        try {
+            await route[1](req, res, url);
+        } catch (e) {
+            console.error("🧪 Erreur du bac à sable :", e.message);
+            send(res, 500, { error: e.message });
+        }
+    });
+    await new Promise(resolve => server.listen(Number(process.env.SANDBOX_PORT || 0), "127.0.0.1", resolve));
+    server.unref();
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    process.env.WC_BASE_URL = `${base}/woo`;
+    process.env.SENDCLOUD_BASE_URL = `${base}/sendcloud`;
+    process.env.TRACK17_BASE_URL = `${base}/17track`;
+    for (const name of ["WC_CONSUMER_KEY", "WC_CONSUMER_SECRET", "SENDCLOUD_PUBLIC_KEY", "SENDCLOUD_SECRET_KEY", "TRACK17_KEY"]) {
+        if (!process.env[name]) process.env[name] = "sandbox";
+    }
+    if (!process.env.OPENAI_API_KEY && !process.env.LLM_PROVIDER) process.env.LLM_PROVIDER = "fake";
+    // Retours (lib/returns.js) : méthode d'envoi et entrepôt factices
+    const returnDefaults = { RETURN_SHIPPING_METHOD_ID: "8", RETURN_ADDRESS_NAME: "Atelier Soleil", RETURN_ADDRESS_STREET: "12 rue des Bijoutiers", RETURN_ADDRESS_POSTCODE: "69002", RETURN_ADDRESS_CITY: "Lyon", RETURN_ADDRESS_COUNTRY: "FR" };
+    for (const [name, value] of Object.entries(returnDefaults)) {
+        if (!process.env[name]) process.env[name] = value;
+    }
+
+    console.log(`🧪 Mode bac à sable : WooCommerce, Sendcloud et 17TRACK simulés sur ${base} (données : ${FIXTURES_DIR})`);
+    return base;
+}
@@ -0,0 +1,85 @@
+import { requireEnv, basicAuthHeader } from "./helpers.js";
+import { httpJson, httpBuffer, cached, uncache, ttlFromEnv, isNotFound } from "./http.js";
+
+// ==========================================
+// CLIENT SENDCLOUD
+// ==========================================
+// SENDCLOUD_BASE_URL : défaut https://panel.sendcloud.sc (staging, serveur local de test...)
+// Cache des lectures : SENDCLOUD_CACHE_TTL_S (défaut 120 s, 0 pour couper)
+
+const CACHE_TTL = ttlFromEnv("SENDCLOUD_CACHE_TTL_S", 120);
+
+function sendcloudBaseUrl() {
+  return (process.env.SENDCLOUD_BASE_URL || "https://panel.sendcloud.sc").replace(/\/$/, "");
+}
+
+function sendcloudAuth() {
+  return { Authorization: basicAuthHeader(requireEnv("SENDCLOUD_PUBLIC_KEY"), requireEnv("SENDCLOUD_SECRET_KEY")) };
+}
+
+// Lève une erreur typée (voir http.js) : introuvable, indisponible ou refusée
+export async function sendcloudGet(path) {
+  const url = `${sendcloudBaseUrl()}${path}`;
+  return cached(`sendcloud ${url}`, CACHE_TTL, () => httpJson("Sendcloud", url, { headers: sendcloudAuth() }));
+}
+
+// Colis retour avec étiquette (API v2 : is_return + request_label). Les champs name / address...
+// sont ceux de l'entrepôt (destinataire), les champs from_* ceux de la cliente.
+// Pas de nouvel essai : un second envoi créerait une seconde étiquette.
+export async function sendcloudCreateReturnParcel(parcel) {
+  const url = `${sendcloudBaseUrl()}/api/v2/parcels`;
+  const created = await httpJson("Sendcloud", url, {
+      method: "POST",
+      headers: sendcloudAuth(),
+      body: { parcel: { ...parcel, is_return: true, request_label: true } },
+      retries: 0
+  });
+  if (parcel.order_number) uncache(`sendcloud ${url}?order_number=${encodeURIComponent(String(parcel.order_number))}`);
+  return created?.parcel ?? null;
+}
+
+// URL de l'étiquette A4 d'un colis créé (téléchargement authentifié)
+export function parcelLabelUrl(parcel) {
+  return parcel?.label?.normal_printer?.[0] || parcel?.label?.label_printer || null;
+}
+
+// Renvoie { buffer, content_type }
+export async function sendcloudDownloadLabel(url) {
+  return httpBuffer("Sendcloud", url, { headers: sendcloudAuth() });
+}
+
+export async function sendcloudFindParcelByOrderNumber(order_number) {
+  const q = encodeURIComponent(String(order_number));
+  return await sendcloudGet(`/api/v2/parcels?order_number=${q}`);
+}
+
+// null si Sendcloud ne connaît pas ce numéro
+export async function sendcloudTrackByTrackingNumber(tn) {
+    const q = encodeURIComponent(String(tn));
+    try {
+        return await sendcloudGet(`/api/v2/tracking/${q}`);
+    } catch (e) {
+        if (isNotFound(e)) return null;
+        throw e;
+    }
+}
+
+// Colis retour (is_return) : ce ne sont pas des envois vers la cliente
+export function isReturnParcel(parcel) {
+  return parcel?.is_return === true;
+}
+
+export function parcelsFromResponse(payload) {
+  const candidates = payload?.parcels ?? payload?.results ?? payload?.data ?? (payload?.parcel ? [payload.parcel] : []);
+  return Array.isArray(candidates) ? candidates : [];
+}
+
+export function parcelTrackingNumber(parcel) {
+  return parcel?.tracking_number || parcel?.tracking?.tracking_number || null;
+}
+
+export function pickTrackingNumberFromParcelsResponse(payload) {
+  const list = parcelsFromResponse(payload).filter(p => !isReturnParcel(p));
+  if (!list.length) return null;
+  return parcelTrackingNumber(list[0]);
+}
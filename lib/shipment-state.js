@@ -0,0 +1,116 @@
+import { dataPath, readJsonFile, writeJsonAtomic } from "./storage.js";
+import { SHIPMENT_STATUS } from "./tracking-model.js";
+import { rememberNames } from "./redact.js";
+import { orderLocale } from "./language.js";
+
+// ==========================================
+// ÉTAT LOCAL DES COLIS ET COMMANDES (alimenté par les webhooks)
+// ==========================================
+// Fichier : DATA_DIR/shipments.json
+// {
+//   orders:    { <numéro de commande>: { order_number, status, first_name, last_name, email, phone,
+//                                         country, locale, items, tracking_number, updated_at } },
+//   shipments: { <numéro de suivi>: { tracking_number, order_number, carrier, status, status_label,
+//                                     sendcloud_status_id, customer, updated_at, history: [...] } }
+// }
+// status : une valeur de SHIPMENT_STATUS (voir tracking-model.js).
+
+const STATE_FILE = dataPath("shipments.json");
+const MAX_HISTORY = 20;
+
+// Statuts qui justifient de contacter la cliente avant qu'elle ne le fasse
+export const PROACTIVE_STATUSES = [SHIPMENT_STATUS.EXCEPTION, SHIPMENT_STATUS.RETURNED, SHIPMENT_STATUS.PICKUP_POINT];
+
+let state = null;
+
+function load() {
+    if (!state) state = { orders: {}, shipments: {}, ...readJsonFile(STATE_FILE, {}) };
+    return state;
+}
+
+function persist() {
+    writeJsonAtomic(STATE_FILE, state);
+}
+
+// Commande Woo (payload du webhook ou de l'API) -> fiche locale
+export function recordOrder(order, trackingNumber = null) {
+    const orders = load().orders;
+    const key = String(order.id);
+    rememberNames(order.billing?.first_name, order.billing?.last_name, order.shipping?.first_name, order.shipping?.last_name);
+    const record = {
+        order_number: key,
+        status: order.status || null,
+        first_name: order.billing?.first_name || order.shipping?.first_name || null,
+        last_name: order.billing?.last_name || order.shipping?.last_name || null,
+        email: order.billing?.email || null,
+        phone: order.billing?.phone || null,
+        country: order.shipping?.country || order.billing?.country || null,
+        locale: orderLocale(order),
+        items: (order.line_items || []).map(li => ({ name: li.name, quantity: li.quantity, sku: li.sku || null })),
+        tracking_number: trackingNumber,
+        updated_at: new Date().toISOString()
+    };
+    orders[key] = record;
+    // Numéro de suivi saisi dans Woo : le colis est rattaché à la commande
+    if (trackingNumber && state.shipments[trackingNumber] && !state.shipments[trackingNumber].order_number) {
+        state.shipments[trackingNumber].order_number = key;
+    }
+    persist();
+    return record;
+}
+
+export function getOrderState(orderNumber) {
+    return orderNumber ? load().orders[String(orderNumber)] ?? null : null;
+}
+
+// Nouveau statut d'un colis. Renvoie { shipment, previous_status, changed }
+export function recordShipmentStatus({ tracking_number, order_number = null, carrier = null, status, status_label = null, sendcloud_status_id = null, customer = null, at = null }) {
+    const shipments = load().shipments;
+    const now = new Date().toISOString();
+    const current = shipments[tracking_number] || { tracking_number, order_number: null, carrier: null, status: null, customer: null, history: [] };
+    const previous = current.status;
+    rememberNames(customer?.first_name);
+
+    Object.assign(current, {
+        order_number: order_number ? String(order_number) : current.order_number,
+        carrier: carrier || current.carrier,
+        status,
+        status_label,
+        sendcloud_status_id,
+        customer: customer || current.customer,
+        updated_at: now
+    });
+    const changed = previous !== status;
+    if (changed) current.history = [{ at: at || now, status, label: status_label }, ...current.history].slice(0, MAX_HISTORY);
+    shipments[tracking_number] = current;
+    persist();
+    return { shipment: current, previous_status: previous, changed };
+}
+
+// Rétention et effacement (voir lib/privacy.js) : retire les commandes qui vérifient
+// matchOrder(commande) et, avec elles, leurs colis ; puis les colis qui vérifient
+// matchShipment(colis). Renvoie { orders, shipments } (nombres retirés).
+export function removeShipmentStates({ matchOrder = () => false, matchShipment = () => false }) {
+    const { orders, shipments } = load();
+    const removedOrders = Object.values(orders).filter(matchOrder).map(o => o.order_number);
+    for (const key of removedOrders) delete orders[key];
+    let removedShipments = 0;
+    for (const shipment of Object.values(shipments)) {
+        if (!removedOrders.includes(shipment.order_number) && !matchShipment(shipment)) continue;
+        delete shipments[shipment.tracking_number];
+        removedShipments++;
+    }
+    if (removedOrders.length || removedShipments) persist();
+    return { orders: removedOrders.length, shipments: removedShipments };
+}
+
+export function getShipmentState(trackingNumber) {
+    return load().shipments[trackingNumber] ?? null;
+}
+
+// Les plus récemment mis à jour d'abord ; status : filtre facultatif
+export function listShipmentStates({ status = null } = {}) {
+    return Object.values(load().shipments)
+        .filter(s => !status || s.status === status)
+        .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
@@ -0,0 +1,64 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// ==========================================
+// STOCKAGE LOCAL (fichiers JSON)
+// ==========================================
+// Tout ce qui doit survivre à un redémarrage va dans DATA_DIR
+// (sur Railway : monter un volume et pointer DATA_DIR dessus).
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+
+export function dataPath(...parts) {
+    return path.join(DATA_DIR, ...parts);
+}
+
+export function ensureDir(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+}
+
+export function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (e) {
+        if (e.code !== "ENOENT") console.error(`Erreur lecture ${file} :`, e.message);
+        return fallback;
+    }
+}
+
+// Pour les fichiers qu'une réécriture avec fallback effacerait (clés API...) : seul un fichier
+// absent donne fallback, un fichier illisible ou corrompu lève l'erreur
+export function readJsonFileStrict(file, fallback) {
+    let text;
+    try {
+        text = fs.readFileSync(file, "utf-8");
+    } catch (e) {
+        if (e.code === "ENOENT") return fallback;
+        throw e;
+    }
+    return JSON.parse(text);
+}
+
+// Écriture atomique : fichier temporaire puis rename (jamais de fichier à moitié écrit)
+export function writeFileAtomic(file, text) {
+    ensureDir(path.dirname(file));
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+}
+
+export function writeJsonAtomic(file, data) {
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+// Verrou en mémoire par clé : les traitements sur une même clé s'exécutent l'un après l'autre
+const locks = new Map();
+export function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+    return run;
+}
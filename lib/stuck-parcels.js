@@ -0,0 +1,286 @@
+import fs from "fs";
+import { wooFetchRecentOrders, summarizeOrder } from "./woocommerce.js";
+import { trackOrderParcels } from "./parcels.js";
+import { sendcloudTracking, track17Tracking } from "./tracking-providers.js";
+import { SHIPMENT_STATUS } from "./tracking-model.js";
+import { linksForShipment } from "./tracking-links.js";
+import { isUpstreamUnavailable } from "./http.js";
+import { orderLocale, resolveLanguage } from "./language.js";
+import { dataPath, readJsonFile, writeJsonAtomic } from "./storage.js";
+
+// ==========================================
+// RAPPORT DES COLIS BLOQUÉS
+// ==========================================
+// Parcourt les commandes Woo des STUCK_LOOKBACK_DAYS derniers jours (défaut 30) dans les
+// statuts STUCK_ORDER_STATUSES (défaut "processing,completed"), suit leurs colis (Sendcloud
+// en France, 17TRACK à l'international) et signale :
+//   no_tracking  : aucun colis STUCK_NO_TRACKING_DAYS jours (défaut 3) après la commande
+//   no_event     : colis non livré sans évènement transporteur depuis STUCK_NO_EVENT_DAYS jours (défaut 7)
+//   exception    : incident de livraison
+//   customs_hold : en douane depuis plus de STUCK_CUSTOMS_DAYS jours (défaut 5)
+// Une ligne par commande signalée, construite sur son colis le plus bloqué :
+// { order_number, order_date, order_status, customer: { first_name, last_name, email }, country, language,
+//   tracking_number, carrier, status, last_event: { at, description, location } | null,
+//   days_stuck, flags: [...], link, parcels: [{ tracking_number, status, days_stuck, flags }] }
+// Dernier rapport enregistré : DATA_DIR/reports/stuck-parcels.json
+
+export const STUCK_FLAGS = ["no_tracking", "no_event", "exception", "customs_hold"];
+export const STUCK_SORT_FIELDS = ["days_stuck", "order_date", "country", "carrier", "customer"];
+
+const REPORT_FILE = dataPath("reports", "stuck-parcels.json");
+const CONCURRENCY = Number(process.env.STUCK_REPORT_CONCURRENCY || 4);
+
+const envNumber = (name, fallback) => Number(process.env[name] ?? fallback);
+
+export function defaultThresholds() {
+    return {
+        days: envNumber("STUCK_LOOKBACK_DAYS", 30),
+        no_tracking_days: envNumber("STUCK_NO_TRACKING_DAYS", 3),
+        no_event_days: envNumber("STUCK_NO_EVENT_DAYS", 7),
+        customs_days: envNumber("STUCK_CUSTOMS_DAYS", 5)
+    };
+}
+
+function orderStatuses() {
+    return (process.env.STUCK_ORDER_STATUSES || "processing,completed").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+const daysSince = (iso, now) => iso ? Math.max(0, Math.floor((now - Date.parse(iso)) / 86400000)) : null;
+
+// Début du passage en douane en cours : le plus ancien des évènements "douane" consécutifs les plus récents
+function customsSince(shipment) {
+    let since = null;
+    for (const e of shipment.events) {
+        if (e.status !== SHIPMENT_STATUS.CUSTOMS) break;
+        since = e.at;
+    }
+    return since || shipment.last_update_at;
+}
+
+// Signaux d'un colis suivi : { flags, days_stuck }
+function parcelFlags(parcel, thresholds, now) {
+    const shipment = parcel.shipment;
+    const flags = [];
+    let daysStuck = 0;
+    if (!shipment || [SHIPMENT_STATUS.DELIVERED, SHIPMENT_STATUS.RETURNED].includes(shipment.status)) return { flags, days_stuck: 0 };
+
+    const quietDays = daysSince(shipment.last_update_at || parcel.created_at, now) ?? 0;
+    if (quietDays >= thresholds.no_event_days) {
+        flags.push("no_event");
+        daysStuck = Math.max(daysStuck, quietDays);
+    }
+    if (shipment.status === SHIPMENT_STATUS.EXCEPTION) {
+        flags.push("exception");
+        daysStuck = Math.max(daysStuck, quietDays);
+    }
+    if (shipment.status === SHIPMENT_STATUS.CUSTOMS) {
+        const customsDays = daysSince(customsSince(shipment), now) ?? 0;
+        if (customsDays > thresholds.customs_days) {
+            flags.push("customs_hold");
+            daysStuck = Math.max(daysStuck, customsDays);
+        }
+    }
+    return { flags, days_stuck: daysStuck };
+}
+
+// Une commande Woo -> ligne du rapport (null si rien à signaler)
+async function inspectOrder(order, thresholds) {
+    const summary = summarizeOrder(order);
+    const international = summary.country !== "FR";
+    const { parcels } = await trackOrderParcels(summary.order_number, {
+        orderItems: order.line_items,
+        extraTrackingNumber: summary.tracking_number,
+        tracker: international ? track17Tracking : sendcloudTracking
+    });
+    const now = Date.now();
+    const language = resolveLanguage({ locale: orderLocale(order), country: summary.country });
+
+    const row = {
+        order_number: String(summary.order_number),
+        order_date: summary.date,
+        order_status: summary.status,
+        customer: {
+            first_name: order.billing?.first_name || null,
+            last_name: order.billing?.last_name || null,
+            email: order.billing?.email || null
+        },
+        country: summary.country,
+        language: language.code,
+        items: summary.items.map(i => ({ name: i.name, quantity: i.quantity })),
+        tracking_number: null,
+        carrier: null,
+        status: null,
+        last_event: null,
+        days_stuck: 0,
+        flags: [],
+        link: null,
+        parcels: []
+    };
+
+    if (!parcels.length) {
+        const age = daysSince(summary.date, now) ?? 0;
+        if (age < thresholds.no_tracking_days) return null;
+        return { ...row, days_stuck: age, flags: ["no_tracking"] };
+    }
+
+    const inspected = parcels.map(p => ({ parcel: p, ...parcelFlags(p, thresholds, now) }));
+    const flagged = inspected.filter(p => p.flags.length);
+    if (!flagged.length) return null;
+
+    const worst = flagged.reduce((a, b) => (b.days_stuck > a.days_stuck ? b : a));
+    const shipment = worst.parcel.shipment;
+    const lastEvent = shipment.events[0];
+    return {
+        ...row,
+        tracking_number: worst.parcel.tracking_number,
+        carrier: shipment.carrier,
+        status: shipment.status,
+        last_event: lastEvent ? { at: lastEvent.at, description: lastEvent.description, location: lastEvent.location } : null,
+        days_stuck: worst.days_stuck,
+        flags: STUCK_FLAGS.filter(f => flagged.some(p => p.flags.includes(f))),
+        link: linksForShipment(shipment, {
+            trackingNumber: worst.parcel.tracking_number,
+            destination: summary.country,
+            lang: language.source === "default" ? null : language.code
+        })?.localized_url ?? null,
+        parcels: inspected.map(p => ({ tracking_number: p.parcel.tracking_number, status: p.parcel.shipment?.status ?? null, days_stuck: p.days_stuck, flags: p.flags })),
+        shipment
+    };
+}
+
+// Exécute fn sur chaque élément, au plus "limit" à la fois
+async function mapWithLimit(list, limit, fn) {
+    const results = new Array(list.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < list.length) {
+            const i = next++;
+            results[i] = await fn(list[i]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+    return results;
+}
+
+// thresholds : valeurs de defaultThresholds() à remplacer.
+// Woo en panne : erreur typée (voir http.js). Un suivi indisponible pour une commande ne bloque
+// pas le rapport : la commande est listée dans "skipped".
+// Les lignes gardent leur objet "shipment" (pour les brouillons) : à retirer avant envoi (publicRow).
+export async function buildStuckParcelReport(overrides = {}) {
+    const thresholds = { ...defaultThresholds(), ...overrides };
+    const now = Date.now();
+    const after = new Date(now - thresholds.days * 86400000).toISOString();
+    const orders = await wooFetchRecentOrders({ after, statuses: orderStatuses() });
+
+    const skipped = [];
+    const rows = await mapWithLimit(orders, CONCURRENCY, async order => {
+        try {
+            return await inspectOrder(order, thresholds);
+        } catch (e) {
+            if (!isUpstreamUnavailable(e)) throw e;
+            skipped.push({ order_number: String(order.id), unavailable: e.service });
+            return null;
+        }
+    });
+
+    return {
+        generated_at: new Date(now).toISOString(),
+        thresholds,
+        order_statuses: orderStatuses(),
+        orders_checked: orders.length,
+        rows: rows.filter(Boolean),
+        skipped
+    };
+}
+
+export function publicRow(row) {
+    const { shipment, ...rest } = row;
+    return rest;
+}
+
+function sortKey(row, field) {
+    if (field === "customer") return `${row.customer.last_name || ""} ${row.customer.first_name || ""}`.trim().toLowerCase();
+    return row[field] ?? "";
+}
+
+// field : une valeur de STUCK_SORT_FIELDS ; order : "asc" | "desc"
+export function sortRows(rows, field = "days_stuck", order = "desc") {
+    const dir = order === "asc" ? 1 : -1;
+    return [...rows].sort((a, b) => {
+        const x = sortKey(a, field);
+        const y = sortKey(b, field);
+        if (x === y) return 0;
+        return (typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y))) * dir;
+    });
+}
+
+// ==========================================
+// EXPORT CSV
+// ==========================================
+
+const CSV_COLUMNS = [
+    ["order_number", r => r.order_number],
+    ["order_date", r => r.order_date?.substring(0, 10)],
+    ["order_status", r => r.order_status],
+    ["customer", r => [r.customer.first_name, r.customer.last_name].filter(Boolean).join(" ")],
+    ["email", r => r.customer.email],
+    ["country", r => r.country],
+    ["tracking_number", r => r.tracking_number],
+    ["carrier", r => r.carrier],
+    ["status", r => r.status],
+    ["last_event_at", r => r.last_event?.at],
+    ["last_event", r => r.last_event?.description],
+    ["days_stuck", r => r.days_stuck],
+    ["flags", r => r.flags.join("|")],
+    ["link", r => r.link],
+    ["draft", r => r.draft]
+];
+
+// Cellule qui commence par = + - @ (nom, texte transporteur) : préfixée d'une apostrophe pour
+// qu'un tableur ne l'exécute pas comme une formule
+function csvCell(value) {
+    let s = value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// BOM en tête : Excel ouvre alors le fichier en UTF-8 (accents)
+export function toCsv(rows) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+    for (const row of rows) lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(row))).join(","));
+    return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+// ==========================================
+// DERNIER RAPPORT (exécution planifiée)
+// ==========================================
+
+export function saveStuckParcelReport(report) {
+    writeJsonAtomic(REPORT_FILE, { ...report, rows: report.rows.map(publicRow) });
+}
+
+export function latestStuckParcelReport() {
+    return readJsonFile(REPORT_FILE, null);
+}
+
+// Effacement (voir lib/privacy.js) : retire du dernier rapport les lignes qui vérifient match(ligne)
+export function removeStuckReportRows(match) {
+    const report = latestStuckParcelReport();
+    if (!report) return 0;
+    const rows = report.rows.filter(r => !match(r));
+    const removed = report.rows.length - rows.length;
+    if (removed) writeJsonAtomic(REPORT_FILE, { ...report, rows });
+    return removed;
+}
+
+// Rétention (voir lib/privacy.js) : rapport généré avant before (ISO) supprimé, sinon ses lignes
+// de commandes passées avant before. Renvoie le nombre de lignes supprimées.
+export function purgeStuckReport(before) {
+    const report = latestStuckParcelReport();
+    if (!report) return 0;
+    if (report.generated_at < before) {
+        fs.rmSync(REPORT_FILE, { force: true });
+        return report.rows.length;
+    }
+    return removeStuckReportRows(r => (r.order_date || "") < before);
+}
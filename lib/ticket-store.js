@@ -0,0 +1,192 @@
+import fs from "fs";
+import crypto from "crypto";
+import { dataPath, ensureDir, readJsonFile, writeJsonAtomic } from "./storage.js";
+
+// ==========================================
+// FILE DE TICKETS PERSISTANTE (/chat/start, /chat/check)
+// ==========================================
+// Les tickets sont gardés dans DATA_DIR/tickets.json (+ l'image éventuelle dans
+// DATA_DIR/tickets/<id>.bin) pour survivre à un redémarrage Railway.
+// Cycle de vie : pending -> running -> done | error (retenté jusqu'à TICKET_MAX_ATTEMPTS)
+// Un ticket trop vieux devient "expired" (pierre tombale conservée quelques jours).
+
+const TICKETS_FILE = dataPath("tickets.json");
+const BLOBS_DIR = dataPath("tickets");
+
+const minutes = (name, def) => Number(process.env[name] || def) * 60 * 1000;
+const TTL_MS = minutes("TICKET_TTL_MINUTES", 24 * 60);           // durée de vie d'un ticket non lu
+const GRACE_MS = minutes("TICKET_GRACE_MINUTES", 15);            // relecture possible après le 1er check réussi
+const TOMBSTONE_MS = minutes("TICKET_TOMBSTONE_MINUTES", 7 * 24 * 60);
+export const MAX_ATTEMPTS = Number(process.env.TICKET_MAX_ATTEMPTS || 3);
+
+const TICKET_ID_RE = /^ticket_\d+_[a-f0-9]{12}$/;
+
+let tickets = null;
+
+function load() {
+    if (!tickets) tickets = readJsonFile(TICKETS_FILE, {});
+    return tickets;
+}
+
+function persist() {
+    writeJsonAtomic(TICKETS_FILE, tickets);
+}
+
+function blobPath(id) {
+    return dataPath("tickets", `${id}.bin`);
+}
+
+function removeBlob(ticket) {
+    if (!ticket.input?.image) return;
+    try { fs.unlinkSync(blobPath(ticket.id)); } catch (e) { /* déjà supprimée */ }
+    ticket.input.image = null;
+}
+
+function update(id, changes) {
+    const ticket = load()[id];
+    if (!ticket) return null;
+    Object.assign(ticket, changes, { updated_at: new Date().toISOString() });
+    persist();
+    return ticket;
+}
+
+// ID sans collision : horodatage + aléa
+export function newTicketId() {
+    return `ticket_${Date.now()}_${crypto.randomBytes(6).toString("hex")}`;
+}
+
+export function isTicketId(id) {
+    return TICKET_ID_RE.test(String(id || ""));
+}
+
+// input : paramètres nécessaires pour rejouer le traitement (message, new_thread...)
+export function createTicket(input, file) {
+    const id = newTicketId();
+    const now = Date.now();
+    let image = null;
+    if (file) {
+        ensureDir(BLOBS_DIR);
+        fs.writeFileSync(blobPath(id), file.buffer);
+        image = { mimetype: file.mimetype };
+    }
+    load()[id] = {
+        id,
+        status: "pending",
+        created_at: new Date(now).toISOString(),
+        updated_at: new Date(now).toISOString(),
+        expires_at: new Date(now + TTL_MS).toISOString(),
+        attempts: 0,
+        input: { ...input, image },
+        result: null,
+        error: null,
+        first_checked_at: null
+    };
+    persist();
+    return load()[id];
+}
+
+export function getTicket(id) {
+    return load()[id] ?? null;
+}
+
+// Reconstitue le "file" multer d'origine à partir du blob stocké
+export function loadTicketFile(ticket) {
+    if (!ticket.input?.image) return null;
+    try {
+        return { buffer: fs.readFileSync(blobPath(ticket.id)), mimetype: ticket.input.image.mimetype };
+    } catch (e) {
+        return null;
+    }
+}
+
+export function markRunning(id) {
+    const ticket = getTicket(id);
+    return update(id, { status: "running", attempts: (ticket?.attempts || 0) + 1 });
+}
+
+export function markDone(id, result) {
+    const ticket = update(id, { status: "done", result, error: null });
+    if (ticket) { removeBlob(ticket); persist(); }
+    return ticket;
+}
+
+// Renvoie true si le ticket sera retenté automatiquement
+// retry=false : erreur définitive (ex : budget dépassé), inutile de retenter
+export function markFailed(id, message, { retry = true } = {}) {
+    const ticket = getTicket(id);
+    if (!ticket) return false;
+    const willRetry = retry && ticket.attempts < MAX_ATTEMPTS;
+    update(id, { status: willRetry ? "pending" : "error", error: message });
+    return willRetry;
+}
+
+// Remet en file un ticket en erreur (retry manuel)
+export function requeue(id) {
+    const ticket = getTicket(id);
+    if (!ticket || ticket.status !== "error") return null;
+    return update(id, { status: "pending", attempts: 0, error: null, expires_at: new Date(Date.now() + TTL_MS).toISOString() });
+}
+
+// Premier check réussi : on laisse le résultat lisible pendant la période de grâce
+export function markChecked(id) {
+    const ticket = getTicket(id);
+    if (!ticket || ticket.first_checked_at) return ticket;
+    return update(id, {
+        first_checked_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + GRACE_MS).toISOString()
+    });
+}
+
+// Tickets laissés "pending" ou "running" (ex : redémarrage en plein traitement)
+export function unfinishedTickets() {
+    return Object.values(load()).filter(t => t.status === "pending" || t.status === "running");
+}
+
+export function listTickets({ status } = {}) {
+    return Object.values(load())
+        .filter(t => !status || t.status === status)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .map(t => ({
+            id: t.id,
+            status: t.status,
+            created_at: t.created_at,
+            updated_at: t.updated_at,
+            expires_at: t.expires_at,
+            attempts: t.attempts,
+            has_image: !!t.input?.image,
+            first_checked_at: t.first_checked_at,
+            error: t.error
+        }));
+}
+
+// Rétention et effacement (voir lib/privacy.js) : supprime les tickets qui vérifient
+// match(ticket), image comprise. Renvoie le nombre de tickets supprimés.
+export function removeTickets(match) {
+    let removed = 0;
+    for (const ticket of Object.values(load())) {
+        if (!match(ticket)) continue;
+        removeBlob(ticket);
+        delete tickets[ticket.id];
+        removed++;
+    }
+    if (removed) persist();
+    return removed;
+}
+
+// Expire les tickets périmés et supprime les pierres tombales trop anciennes
+export function sweepTickets(now = Date.now()) {
+    let changed = false;
+    for (const ticket of Object.values(load())) {
+        if (ticket.status === "expired") {
+            if (now - Date.parse(ticket.updated_at) > TOMBSTONE_MS) {
+                delete tickets[ticket.id];
+                changed = true;
+            }
+        } else if (ticket.status !== "running" && Date.parse(ticket.expires_at) < now) {
+            removeBlob(ticket);
+            Object.assign(ticket, { status: "expired", result: null, input: null, updated_at: new Date(now).toISOString() });
+            changed = true;
+        }
+    }
+    if (changed) persist();
+}
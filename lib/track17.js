@@ -0,0 +1,49 @@
+import { httpJson, cached, ttlFromEnv } from "./http.js";
+
+// ==========================================
+// CLIENT 17TRACK (API v2.2)
+// ==========================================
+// TRACK17_BASE_URL : défaut https://api.17track.net
+// Cache des suivis : TRACK17_CACHE_TTL_S (défaut 300 s, 0 pour couper)
+
+const CACHE_TTL = ttlFromEnv("TRACK17_CACHE_TTL_S", 300);
+
+async function track17Post(endpoint, trackingNumber) {
+    const base = (process.env.TRACK17_BASE_URL || "https://api.17track.net").replace(/\/$/, "");
+    return httpJson("17TRACK", `${base}/track/v2.2/${endpoint}`, {
+        method: "POST",
+        headers: { "17token": process.env.TRACK17_KEY },
+        body: [{ number: trackingNumber }]
+    });
+}
+
+async function getTrackInfo(trackingNumber) {
+    const infoData = await track17Post("gettrackinfo", trackingNumber);
+    return infoData?.data?.accepted?.[0] ?? null;
+}
+
+// Enregistre le numéro puis récupère ses infos.
+// Renvoie { info } (objet "accepted" de 17TRACK), { rejected: error } ou { info: null }.
+export async function track17Lookup(trackingNumber) {
+    return cached(`17track ${trackingNumber}`, CACHE_TTL, () => lookup(trackingNumber));
+}
+
+async function lookup(trackingNumber) {
+    const trackData = await track17Post("register", trackingNumber);
+
+    if (trackData?.data?.accepted?.length > 0) {
+        // L'enregistrement ne renvoie que le transporteur : l'historique vient de gettrackinfo
+        const registered = trackData.data.accepted[0];
+        return { info: (await getTrackInfo(trackingNumber)) ?? registered };
+    }
+    if (trackData?.data?.rejected?.length > 0) {
+        const error = trackData.data.rejected[0].error;
+        // -18019901 : numéro déjà enregistré -> on lit directement ses infos
+        if (error?.code === -18019901) {
+            console.log("📍 Colis déjà suivi, appel endpoint 'gettrackinfo'...");
+            return { info: await getTrackInfo(trackingNumber) };
+        }
+        return { info: null, rejected: error };
+    }
+    return { info: null };
+}
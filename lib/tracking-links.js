@@ -0,0 +1,133 @@
+import { parseTrackingNumber } from "./tracking-number.js";
+
+// ==========================================
+// LIENS DE SUIVI PAR TRANSPORTEUR
+// ==========================================
+// Remplace le lien La Poste en dur : le lien dépend du transporteur détecté,
+// du pays de destination et de la langue de la cliente. Sans transporteur
+// connu, on renvoie le suivi universel 17TRACK.
+
+// Codes transporteurs (Sendcloud, 17TRACK, tracking-number.js) -> transporteur canonique
+const CARRIER_ALIASES = [
+    [/^(colissimo|la_?poste|laposte|lettre_suivie|postal_fr)/, "la_poste"],
+    [/^chronopost/, "chronopost"],
+    [/^mondial_?relay|^mondialrelay/, "mondial_relay"],
+    [/^dhl/, "dhl"],
+    [/^ups/, "ups"],
+    [/^gls/, "gls"],
+    [/^bpost|^belgian_?post/, "bpost"],
+    [/^(swiss_?post|post_?ch|la_poste_suisse|die_post)/, "swiss_post"],
+    [/^canada_?post|^postes_canada/, "canada_post"]
+];
+
+// Opérateur postal du pays de destination (relais des envois S10 internationaux)
+const DESTINATION_POSTAL = { BE: "bpost", CH: "swiss_post", CA: "canada_post", FR: "la_poste" };
+
+// Langue par défaut selon le pays de destination
+const COUNTRY_LANG = {
+    FR: "fr", BE: "fr", CH: "fr", LU: "fr", MC: "fr", CA: "fr",
+    GP: "fr", MQ: "fr", GF: "fr", RE: "fr", YT: "fr", NC: "fr", PF: "fr",
+    DE: "de", AT: "de", ES: "es", IT: "it", NL: "nl", PT: "pt",
+    GB: "en", IE: "en", US: "en", AU: "en"
+};
+
+const lower = cc => (cc || "fr").toLowerCase();
+const upper = cc => (cc || "FR").toUpperCase();
+
+// Chaque constructeur reçoit (numéro, langue, pays de destination) et renvoie
+// { url, localized } : localized=false si le transporteur n'a pas de version traduite.
+const BUILDERS = {
+    la_poste: (tn, lang) => lang === "fr"
+        ? { url: `https://www.laposte.fr/outils/suivre-vos-envois?code=${tn}`, localized: true }
+        : { url: `https://www.laposte.fr/outils/track-a-parcel?code=${tn}`, localized: true },
+    chronopost: (tn, lang) => ({
+        url: `https://www.chronopost.fr/tracking-no-cms/suivi-page?listeNumerosLT=${tn}&langue=${lang === "fr" ? "fr" : "en"}`,
+        localized: true
+    }),
+    mondial_relay: tn => ({ url: `https://www.mondialrelay.fr/suivi-de-colis/?NumeroExpedition=${tn}`, localized: false }),
+    dhl: (tn, lang, cc) => ({
+        url: `https://www.dhl.com/${lower(cc)}-${lang}/home/tracking/tracking-parcel.html?submit=1&tracking-id=${tn}`,
+        localized: true
+    }),
+    ups: (tn, lang, cc) => ({ url: `https://www.ups.com/track?loc=${lang}_${upper(cc)}&tracknum=${tn}`, localized: true }),
+    gls: (tn, lang, cc) => lang === "fr"
+        ? { url: `https://gls-group.com/${upper(cc)}/fr/suivi-colis?match=${tn}`, localized: true }
+        : { url: `https://gls-group.com/${upper(cc)}/en/parcel-tracking?match=${tn}`, localized: true },
+    bpost: (tn, lang) => ({
+        url: `https://track.bpost.cloud/btr/web/#/search?itemCode=${tn}&lang=${["fr", "nl", "de", "en"].includes(lang) ? lang : "en"}`,
+        localized: true
+    }),
+    swiss_post: tn => ({ url: `https://service.post.ch/ekp-web/ui/entry/search/${tn}`, localized: false }),
+    canada_post: (tn, lang) => ({
+        url: `https://www.canadapost-postescanada.ca/track-reperage/${lang === "fr" ? "fr" : "en"}#/search?searchFor=${tn}`,
+        localized: true
+    })
+};
+
+export function universalTrackingUrl(tn, lang = "fr") {
+    return `https://t.17track.net/${lang}#nums=${tn}`;
+}
+
+export function normalizeCarrier(carrier) {
+    if (!carrier) return null;
+    const key = String(carrier).trim().toLowerCase().replace(/[\s-]+/g, "_");
+    const hit = CARRIER_ALIASES.find(([re]) => re.test(key));
+    return hit ? hit[1] : null;
+}
+
+export function languageForCountry(country) {
+    return COUNTRY_LANG[upper(country)] || "en";
+}
+
+// Construit les liens de suivi.
+// { trackingNumber, carrier, destination, lang, format, providedUrl } -> {
+//   carrier, lang, url (version FR / par défaut), localized_url (langue cliente),
+//   universal_url (17TRACK), is_fallback
+// }
+// format : format détecté par tracking-number.js ("upu_s10" permet de basculer
+// vers l'opérateur postal du pays de destination).
+// providedUrl : lien donné par Sendcloud, utilisé seulement si le transporteur est inconnu.
+export function buildTrackingLinks({ trackingNumber, carrier, destination, lang, format, providedUrl } = {}) {
+    if (!trackingNumber) return null;
+    const tn = encodeURIComponent(String(trackingNumber).trim());
+    const dest = destination ? upper(destination) : null;
+    const customerLang = (lang || languageForCountry(dest || "FR")).toLowerCase();
+
+    let canonical = normalizeCarrier(carrier);
+    // Envoi postal international (S10) : passé la frontière, c'est la poste locale qui suit le colis.
+    // Un numéro Colissimo domestique (non S10) n'existe pas chez la poste de destination.
+    if (format === "upu_s10" && dest && dest !== "FR" && DESTINATION_POSTAL[dest]) canonical = DESTINATION_POSTAL[dest];
+
+    const universal = universalTrackingUrl(tn, customerLang);
+    const builder = BUILDERS[canonical];
+    if (!builder) {
+        const url = providedUrl || universal;
+        return { carrier: canonical, lang: customerLang, url, localized_url: url, universal_url: universal, is_fallback: !providedUrl };
+    }
+
+    const base = builder(tn, "fr", dest || "FR");
+    const localized = builder(tn, customerLang, dest || "FR");
+    return {
+        carrier: canonical,
+        lang: customerLang,
+        url: base.url,
+        localized_url: localized.localized ? localized.url : base.url,
+        universal_url: universal,
+        is_fallback: false
+    };
+}
+
+// Raccourci pour les routes : transporteur et format déduits du shipment et du numéro lui-même
+export function linksForShipment(shipment, { trackingNumber, destination, lang } = {}) {
+    const tn = trackingNumber || shipment?.tracking_number;
+    if (!tn) return null;
+    const parsed = parseTrackingNumber(tn);
+    return buildTrackingLinks({
+        trackingNumber: parsed.valid ? parsed.number : tn,
+        carrier: shipment?.carrier || parsed.carrier,
+        destination: shipment?.destination || destination,
+        lang,
+        format: parsed.format,
+        providedUrl: shipment?.tracking_url
+    });
+}
@@ -0,0 +1,283 @@
+// ==========================================
+// MODÈLE DE SUIVI UNIFIÉ (Sendcloud + 17TRACK)
+// ==========================================
+// Les deux fournisseurs sont convertis vers le même objet "shipment" :
+// {
+//   provider, tracking_number, carrier, found,
+//   status,            // une valeur de SHIPMENT_STATUS
+//   status_label,      // texte brut du dernier évènement transporteur
+//   origin, destination,   // code pays ISO ou null
+//   events: [{ at, status, description, location }],   // du plus récent au plus ancien
+//   last_update_at, last_update_age_days,
+//   tracking_url       // lien fourni par le transporteur, s'il y en a un
+// }
+// Tous les prompts de rédaction consomment cet objet via shipmentPromptBlock().
+
+export const SHIPMENT_STATUS = Object.freeze({
+    LABEL_CREATED: "label_created",
+    IN_TRANSIT: "in_transit",
+    CUSTOMS: "customs",
+    OUT_FOR_DELIVERY: "out_for_delivery",
+    PICKUP_POINT: "pickup_point",
+    DELIVERED: "delivered",
+    EXCEPTION: "exception",
+    RETURNED: "returned",
+    UNKNOWN: "unknown"
+});
+
+const S = SHIPMENT_STATUS;
+
+export const STATUS_LABELS_FR = {
+    label_created: "Étiquette créée, colis pas encore pris en charge par le transporteur",
+    in_transit: "En transit",
+    customs: "En cours de dédouanement",
+    out_for_delivery: "En cours de livraison",
+    pickup_point: "Disponible en point de retrait",
+    delivered: "Livré",
+    exception: "Incident de livraison",
+    returned: "En retour vers l'expéditeur",
+    unknown: "En attente de mise à jour transporteur"
+};
+
+// Classement d'un texte transporteur (FR / EN / DE), l'ordre des règles compte :
+// point relais et livré passent avant "en transit", dont les mots courts (tri, centre, hub)
+// sont bornés pour ne pas matcher "distribution", "retrieval" ou "centre de retrait".
+const TEXT_RULES = [
+    [S.RETURNED, /retour(né)? (à|a) l'exp|renvoy|return(ed|ing)? to (sender|shipper)|rücksendung|zurück an (den )?absender/i],
+    [S.EXCEPTION, /n'a pas pu|pas pu être|non livr|impossible|échec|echec|incident|anomalie|adresse (incorrecte|incomplète)|refus|not delivered|undeliver|could not|failed|delivery attempt|exception|damaged|endommag|nicht zugestellt/i],
+    [S.DELIVERED, /retiré par|collected by (the )?(customer|recipient)|shipment collected/i],
+    [S.PICKUP_POINT, /point relais|point (de )?retrait|centre de retrait|bureau de poste|consigne|locker|pick ?up point|parcel ?shop|disponible (au|en|dans)|awaiting (customer )?(collection|pick ?up)|(ready|available) for (collection|pick ?up)|abholbereit|filiale/i],
+    [S.DELIVERED, /livré|delivered|zugestellt|remis au destinataire|distribué/i],
+    [S.OUT_FOR_DELIVERY, /en cours de livraison|en livraison|out for delivery|with (the )?courier|in zustellung|driver en route/i],
+    [S.CUSTOMS, /douane|dédouan|customs|zoll|import clearance/i],
+    [S.IN_TRANSIT, /(?<!\p{L})(transit|achemin|en route|pris en charge|arrivé|arrived|departed|départ|sorting|(tri|centres?|hubs?)(?!\p{L})|expédié|shipped|dispatched|accepted|übernommen)/iu],
+    [S.LABEL_CREATED, /étiquette|etiquette|label|annonc|announced|information received|informations reçues|ready to send|prêt à l'envoi|données reçues|pre-?advice/i]
+];
+
+export function classifyStatusText(text) {
+    if (!text) return null;
+    const rule = TEXT_RULES.find(([, re]) => re.test(text));
+    return rule ? rule[0] : null;
+}
+
+// Date ISO, ou null si la valeur est absente ou illisible
+export function toIso(value) {
+    if (!value) return null;
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function ageInDays(iso, now = Date.now()) {
+    if (!iso) return null;
+    return Math.max(0, Math.floor((now - Date.parse(iso)) / 86400000));
+}
+
+function countryCode(value) {
+    if (!value) return null;
+    const s = String(value).trim().toUpperCase();
+    return s === "FRANCE" ? "FR" : s;
+}
+
+function finalize(shipment) {
+    shipment.events.sort((a, b) => (b.at || "").localeCompare(a.at || ""));
+    shipment.last_update_at = shipment.events[0]?.at ?? null;
+    shipment.last_update_age_days = ageInDays(shipment.last_update_at);
+    if (!shipment.status) shipment.status = shipment.events[0]?.status || (shipment.found ? S.LABEL_CREATED : S.UNKNOWN);
+    if (!shipment.status_label) shipment.status_label = shipment.events[0]?.description ?? null;
+    return shipment;
+}
+
+function emptyShipment(provider, trackingNumber) {
+    return {
+        provider,
+        tracking_number: trackingNumber,
+        carrier: null,
+        found: false,
+        status: null,
+        status_label: null,
+        origin: null,
+        destination: null,
+        events: [],
+        last_update_at: null,
+        last_update_age_days: null,
+        tracking_url: null
+    };
+}
+
+// ==========================================
+// SENDCLOUD -> shipment
+// ==========================================
+
+// Identifiants de statut colis Sendcloud les plus courants
+const SENDCLOUD_STATUS_IDS = {
+    1: S.LABEL_CREATED, 1000: S.LABEL_CREATED, 13: S.LABEL_CREATED,
+    3: S.IN_TRANSIT, 5: S.IN_TRANSIT, 7: S.IN_TRANSIT, 22: S.IN_TRANSIT, 91: S.IN_TRANSIT,
+    92: S.OUT_FOR_DELIVERY,
+    12: S.PICKUP_POINT,
+    11: S.DELIVERED, 93: S.DELIVERED,
+    8: S.EXCEPTION, 80: S.EXCEPTION, 15: S.EXCEPTION, 1002: S.EXCEPTION
+};
+
+// Les identifiants "en transit" sont génériques (91 couvre aussi la douane) : un texte
+// transporteur plus précis l'emporte sur eux
+const SPECIFIC_TEXT_STATUSES = [S.CUSTOMS, S.EXCEPTION, S.RETURNED];
+
+function sendcloudStatus(id, text) {
+    const byId = SENDCLOUD_STATUS_IDS[id];
+    const byText = classifyStatusText(text);
+    if (byId === S.IN_TRANSIT && SPECIFIC_TEXT_STATUSES.includes(byText)) return byText;
+    return byId || byText;
+}
+
+export function fromSendcloud(payload, trackingNumber) {
+    const shipment = emptyShipment("sendcloud", trackingNumber);
+    if (!payload) return finalize(shipment);
+
+    shipment.found = true;
+    shipment.carrier = payload.carrier_code || payload.carrier?.code || (typeof payload.carrier === "string" ? payload.carrier : null);
+    shipment.origin = countryCode(payload.from_country || payload.origin_country || payload.origin);
+    shipment.destination = countryCode(payload.to_country || payload.destination_country || payload.destination);
+    shipment.tracking_url = payload.carrier_tracking_url || payload.sendcloud_tracking_url || null;
+
+    const statuses = Array.isArray(payload.statuses) ? payload.statuses : [];
+    shipment.events = statuses.map(s => {
+        const description = s.carrier_message || s.status || s.message || null;
+        const id = s.parcel_status ?? s.parcel_status_id ?? s.status_id;
+        return {
+            at: toIso(s.carrier_update_timestamp || s.timestamp || s.created || s.date),
+            status: sendcloudStatus(id, description) || S.IN_TRANSIT,
+            description,
+            location: s.location || null
+        };
+    });
+
+    // Statut global fourni par Sendcloud (prioritaire sur le dernier évènement)
+    const globalText = payload.status?.message || payload.carrier_status || null;
+    const globalId = payload.status?.id ?? payload.parcel_status;
+    shipment.status = sendcloudStatus(globalId, globalText) || null;
+    shipment.status_label = globalText;
+    return finalize(shipment);
+}
+
+// ==========================================
+// 17TRACK -> shipment
+// ==========================================
+
+// Ancien format (track.e) et format v2.2 (latest_status.status / sub_status)
+const TRACK17_CODES = { 0: S.UNKNOWN, 10: S.IN_TRANSIT, 20: S.EXCEPTION, 30: S.PICKUP_POINT, 35: S.EXCEPTION, 40: S.DELIVERED, 50: S.EXCEPTION };
+const TRACK17_V2 = {
+    NotFound: S.UNKNOWN,
+    InfoReceived: S.LABEL_CREATED,
+    InTransit: S.IN_TRANSIT,
+    Expired: S.EXCEPTION,
+    AvailableForPickup: S.PICKUP_POINT,
+    OutForDelivery: S.OUT_FOR_DELIVERY,
+    DeliveryFailure: S.EXCEPTION,
+    Delivered: S.DELIVERED,
+    Exception: S.EXCEPTION
+};
+
+function track17SubStatus(sub) {
+    if (!sub) return null;
+    if (/Return/i.test(sub)) return S.RETURNED;
+    if (/Customs/i.test(sub)) return S.CUSTOMS;
+    return null;
+}
+
+export function fromTrack17(info, trackingNumber) {
+    const shipment = emptyShipment("17track", trackingNumber);
+    if (!info) return finalize(shipment);
+
+    // Format v2.2 : info.track_info
+    const ti = info.track_info;
+    if (ti) {
+        shipment.found = true;
+        shipment.carrier = ti.tracking?.providers?.[0]?.provider?.name || (info.carrier != null ? String(info.carrier) : null);
+        shipment.origin = countryCode(ti.shipping_info?.shipper_address?.country);
+        shipment.destination = countryCode(ti.shipping_info?.recipient_address?.country);
+        const events = (ti.tracking?.providers || []).flatMap(p => p.events || []);
+        shipment.events = events.map(e => ({
+            at: toIso(e.time_iso || e.time_utc),
+            status: track17SubStatus(e.sub_status) || classifyStatusText(e.description) || S.IN_TRANSIT,
+            description: e.description || null,
+            location: e.location || null
+        }));
+        const latest = ti.latest_status || {};
+        shipment.status = track17SubStatus(latest.sub_status) || TRACK17_V2[latest.status] || null;
+        shipment.status_label = ti.latest_event?.description ?? null;
+        return finalize(shipment);
+    }
+
+    // Ancien format : info.track.z0 / z1, évènements { a: date, z: texte, c: lieu }
+    shipment.destination = countryCode(info.recipientCountry);
+    const track = info.track;
+    if (!track) return finalize(shipment);
+
+    shipment.found = true;
+    shipment.events = [...(track.z0 || []), ...(track.z1 || [])].map(e => ({
+        at: toIso(e.a),
+        status: classifyStatusText(e.z) || S.IN_TRANSIT,
+        description: e.z || null,
+        location: e.c || null
+    }));
+    const latestText = track.z1?.[0]?.z || track.z0?.[0]?.z || null;
+    shipment.status = classifyStatusText(latestText) === S.CUSTOMS ? S.CUSTOMS : (TRACK17_CODES[track.e] || null);
+    shipment.status_label = latestText;
+    return finalize(shipment);
+}
+
+// ==========================================
+// RENDU POUR LES PROMPTS
+// ==========================================
+
+function formatAge(days) {
+    if (days === null || days === undefined) return "inconnue";
+    if (days === 0) return "aujourd'hui";
+    if (days === 1) return "il y a 1 jour";
+    return `il y a ${days} jours`;
+}
+
+// Texte brut du transporteur, tel qu'on peut le citer au modèle : espaces normalisés, longueur
+// bornée, et null s'il contient une autre écriture que l'alphabet latin (chinois, cyrillique...) :
+// seul le libellé normalisé (STATUS_LABELS_FR) est alors transmis. Le prompt demande de
+// traduire ou reformuler les textes cités (voir prompts/reply_language).
+const CARRIER_TEXT_MAX = 160;
+
+export function carrierText(text) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    if (!/\p{L}/u.test(clean) || /(?!\p{Script=Latin})\p{L}/u.test(clean)) return null;
+    return clean.length > CARRIER_TEXT_MAX ? `${clean.substring(0, CARRIER_TEXT_MAX - 1)}…` : clean;
+}
+
+function labelWithCarrierText(label, raw) {
+    const quoted = carrierText(raw);
+    return quoted && quoted !== label ? `${label} (transporteur : "${quoted}")` : label;
+}
+
+export function shipmentHistory(shipment, limit = 3) {
+    if (!shipment?.events?.length) return "Pas d'historique disponible.";
+    return shipment.events.slice(0, limit)
+        .map(e => {
+            const label = labelWithCarrierText(STATUS_LABELS_FR[e.status] || STATUS_LABELS_FR.unknown, e.description);
+            return ` - ${e.at ? e.at.substring(0, 10) : "?"} : ${label}${e.location ? ` (${e.location})` : ""}`;
+        })
+        .join("\n");
+}
+
+export function shipmentStatusText(shipment) {
+    if (!shipment) return STATUS_LABELS_FR.unknown;
+    return labelWithCarrierText(STATUS_LABELS_FR[shipment.status] || STATUS_LABELS_FR.unknown, shipment.status_label);
+}
+
+// Bloc texte identique pour tous les prompts de rédaction
+export function shipmentPromptBlock(shipment) {
+    return [
+        `Numéro de suivi : ${shipment?.tracking_number ?? "inconnu"}`,
+        `Transporteur : ${shipment?.carrier ?? "inconnu"}`,
+        `Statut (code) : ${shipment?.status ?? S.UNKNOWN}`,
+        `Statut : ${shipmentStatusText(shipment)}`,
+        `Origine : ${shipment?.origin ?? "inconnue"} / Destination : ${shipment?.destination ?? "inconnue"}`,
+        `Dernière mise à jour : ${formatAge(shipment?.last_update_age_days)}`,
+        `Historique récent :\n${shipmentHistory(shipment)}`
+    ].join("\n");
+}
@@ -0,0 +1,212 @@
+// ==========================================
+// NUMÉROS DE SUIVI : RECONNAISSANCE, VALIDATION, CORRECTION OCR
+// ==========================================
+// Remplace les règles "2 lettres + 9 chiffres + 2 lettres" des prompts par un
+// contrôle déterministe. Un numéro n'est corrigé (0/O, 1/I, 5/S...) que si la
+// version corrigée passe la validation du format (clé de contrôle quand il y en a une),
+// si aucun format ne reconnaît le numéro tel quel et si un seul format accepte la correction.
+// Les formats tout en chiffres sans clé de contrôle ressemblent à n'importe quel numéro de
+// commande ou date : ils sont "non vérifiés" (verified=false) et ne sont retenus dans un texte
+// OCR que si le transporteur y est nommé (context).
+
+const COLISSIMO_CONTEXT = /colissimo|la ?poste/i;
+
+// Gabarits : L = lettre, D = chiffre, A = alphanumérique, autre = caractère littéral
+const FORMATS = [
+    { id: "upu_s10", template: "LLDDDDDDDDDLL", checksum: s10CheckOk, carrier: s10Carrier },
+    { id: "ups", template: "1ZAAAAAAAAAAAAAAAA", checksum: upsCheckOk, carrier: () => "ups" },
+    { id: "colissimo", template: "DLDDDDDDDDDDD", carrier: () => "colissimo" },
+    { id: "colissimo", template: "DDDDDDDDDDDDD", carrier: () => "colissimo", context: COLISSIMO_CONTEXT },
+    { id: "dhl_ecommerce", regex: /^(JJD\d{16,21}|JVGL\d{12,20}|GM\d{16,20})$/, carrier: () => "dhl" },
+    { id: "dhl_express", template: "DDDDDDDDDD", checksum: dhlCheckOk, carrier: () => "dhl" },
+    // 11 chiffres : Colissimo ou GLS (ambigu sans contexte, Colissimo en premier pour la France)
+    { id: "colissimo", template: "DDDDDDDDDDD", carrier: () => "colissimo", alternatives: ["gls"], context: /colissimo|la ?poste|\bgls\b/i },
+    { id: "gls", template: "DDDDDDDDDDDD", carrier: () => "gls", context: /\bgls\b/i },
+    { id: "mondial_relay", template: "DDDDDDDD", carrier: () => "mondial_relay", context: /mondial ?relay/i }
+];
+
+// Opérateurs postaux connus pour le suffixe pays d'un numéro S10
+const POSTAL_OPERATORS = {
+    FR: "la_poste", BE: "bpost", CH: "swiss_post", CA: "canada_post", DE: "deutsche_post",
+    GB: "royal_mail", US: "usps", ES: "correos", IT: "poste_italiane", NL: "postnl",
+    LU: "post_luxembourg", CN: "china_post", HK: "hongkong_post"
+};
+
+// Confusions OCR classiques, dans les deux sens
+const TO_DIGIT = { O: "0", Q: "0", D: "0", I: "1", L: "1", T: "1", Z: "2", S: "5", G: "6", B: "8" };
+const TO_LETTER = { 0: "O", 1: "I", 2: "Z", 5: "S", 6: "G", 8: "B" };
+
+// --- Clés de contrôle ---
+
+// UPU S10 : poids 8 6 4 2 3 5 9 7 sur les 8 chiffres, clé = 11 - (somme mod 11), 10 -> 0, 11 -> 5
+function s10CheckOk(n) {
+    const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+    const sum = weights.reduce((acc, w, i) => acc + w * Number(n[2 + i]), 0);
+    let check = 11 - (sum % 11);
+    if (check === 10) check = 0;
+    if (check === 11) check = 5;
+    return check === Number(n[10]);
+}
+
+function s10Carrier(n) {
+    const country = n.slice(11);
+    if (country === "FR") {
+        if (n[0] === "X" || n[0] === "E") return "chronopost";
+        if (n[0] === "C") return "colissimo";
+    }
+    return POSTAL_OPERATORS[country] || "postal";
+}
+
+// UPS 1Z : lettres converties ((code - 63) mod 10), poids 1/2 alternés, clé = (10 - somme mod 10) mod 10
+function upsCheckOk(n) {
+    const body = n.slice(2, 17);
+    let sum = 0;
+    [...body].forEach((c, i) => {
+        const v = /\d/.test(c) ? Number(c) : (c.charCodeAt(0) - 63) % 10;
+        sum += i % 2 === 0 ? v : 2 * v;
+    });
+    return (10 - (sum % 10)) % 10 === Number(n[17]);
+}
+
+// DHL Express (10 chiffres) : clé = 9 premiers chiffres mod 7
+function dhlCheckOk(n) {
+    return Number(n.slice(0, 9)) % 7 === Number(n[9]);
+}
+
+// --- Gabarits ---
+
+function matchesTemplate(s, template) {
+    if (s.length !== template.length) return false;
+    return [...template].every((t, i) => {
+        const c = s[i];
+        if (t === "L") return /[A-Z]/.test(c);
+        if (t === "D") return /\d/.test(c);
+        if (t === "A") return /[A-Z0-9]/.test(c);
+        return c === t;
+    });
+}
+
+// Applique les confusions OCR position par position selon le gabarit
+function correctForTemplate(s, template) {
+    if (s.length !== template.length) return null;
+    const out = [...s].map((c, i) => {
+        const t = template[i];
+        if (t === "D" && TO_DIGIT[c]) return TO_DIGIT[c];
+        if (t === "L" && TO_LETTER[c]) return TO_LETTER[c];
+        if (t !== "L" && t !== "D" && t !== "A" && c !== t) {
+            if (TO_DIGIT[c] === t || TO_LETTER[c] === t) return t;
+        }
+        return c;
+    }).join("");
+    return out !== s ? out : null;
+}
+
+// Mot collé devant le numéro ("TEL0612345678", "CMD...") : corriger ses lettres inventerait un numéro
+function touchesWordPrefix(input, fixed) {
+    const prefix = input.match(/^[A-Z]{2,}/)?.[0] ?? "";
+    return fixed.slice(0, prefix.length) !== prefix;
+}
+
+function shapeMatches(s, format) {
+    return format.regex ? format.regex.test(s) : matchesTemplate(s, format.template);
+}
+
+function isValidFor(s, format) {
+    return shapeMatches(s, format) && (!format.checksum || format.checksum(s));
+}
+
+// Nettoyage brut : on garde lettres et chiffres, en majuscules
+export function cleanTrackingNumber(raw) {
+    return String(raw ?? "").replace(/[^a-zA-Z0-9]/g, "").toUpperCase();
+}
+
+// Analyse un numéro candidat.
+// Renvoie { number, carrier, format, valid, verified, corrected, checksum, alternatives, reason }
+//   verified=false                        : format tout en chiffres sans clé de contrôle (à confirmer par le contexte)
+//   valid=false + reason "checksum"       : a la forme d'un format connu mais la clé est fausse (même après correction)
+//   valid=false + reason "unknown_format" : ne ressemble à aucun format connu (transporteur exotique ?)
+export function parseTrackingNumber(raw) {
+    const input = cleanTrackingNumber(raw);
+    if (!input) return { input: raw ?? null, number: null, valid: false, reason: "empty" };
+
+    // Correspondance exacte d'abord, sur tous les formats : une correction ne doit jamais
+    // abîmer un numéro qu'un format suivant reconnaît tel quel
+    const exact = FORMATS.find(format => isValidFor(input, format));
+    if (exact) return result(input, exact, false);
+    const badChecksum = FORMATS.some(format => format.checksum && shapeMatches(input, format));
+
+    const corrections = FORMATS
+        .map(format => ({ format, fixed: format.template ? correctForTemplate(input, format.template) : null }))
+        .filter(({ format, fixed }) => fixed && !touchesWordPrefix(input, fixed) && isValidFor(fixed, format));
+    if (corrections.length === 1) return result(corrections[0].fixed, corrections[0].format, true);
+
+    return {
+        input, number: input, carrier: null, format: null, valid: false, verified: false, corrected: false,
+        reason: corrections.length > 1 ? "ambiguous" : badChecksum ? "checksum" : "unknown_format"
+    };
+
+    function result(number, format, corrected) {
+        return {
+            input,
+            number,
+            carrier: format.carrier(number),
+            format: format.id,
+            valid: true,
+            verified: !format.context,
+            corrected,
+            checksum: !!format.checksum,
+            alternatives: format.alternatives || []
+        };
+    }
+}
+
+// Le transporteur d'un numéro non vérifié est-il nommé dans le texte ?
+function hasCarrierContext(parsed, text) {
+    const format = FORMATS.find(f => f.id === parsed.format && f.context && isValidFor(parsed.number, f));
+    return !format || format.context.test(text);
+}
+
+// Cherche les numéros valides dans un texte OCR. Les morceaux séparés par des espaces
+// ("LE 14 55...") sont recollés, mais seulement si le résultat porte une clé de contrôle
+// ou des lettres (sinon n'importe quel numéro de téléphone espacé passerait).
+// Un numéro non vérifié (tout en chiffres, sans clé) n'est retenu que si son transporteur est nommé.
+export function findTrackingNumbers(text) {
+    const tokens = String(text ?? "").split(/[\s:;,|/()[\]"'«»]+/).map(cleanTrackingNumber).filter(Boolean);
+    const found = new Map();
+    for (let i = 0; i < tokens.length; i++) {
+        let joined = "";
+        for (let j = i; j < Math.min(tokens.length, i + 5); j++) {
+            joined += tokens[j];
+            if (joined.length > 30) break;
+            const parsed = parseTrackingNumber(joined);
+            if (!parsed.valid || found.has(parsed.number)) continue;
+            if (looksLikePhone(joined)) continue;
+            const spliced = j > i;
+            if (spliced && !parsed.checksum && !/[A-Z]/.test(parsed.number)) continue;
+            if (!parsed.verified && !hasCarrierContext(parsed, String(text))) continue;
+            found.set(parsed.number, parsed);
+        }
+    }
+    // Les numéros à clé de contrôle d'abord (les plus fiables), les non vérifiés en dernier
+    return [...found.values()].sort((a, b) => Number(b.checksum) - Number(a.checksum) || Number(b.verified) - Number(a.verified));
+}
+
+function looksLikePhone(s) {
+    return /^0[1-9]\d{8}$/.test(s) || /^(33|32|41)\d{9}$/.test(s);
+}
+
+// Contrôle final d'un numéro proposé par le modèle, avec repli sur le texte OCR brut.
+// Renvoie le résultat de parseTrackingNumber enrichi de `source` ("llm" | "ocr").
+// Un numéro vérifié (clé de contrôle ou lettres) passe avant un numéro tout en chiffres.
+export function checkTrackingNumber(llmValue, rawText) {
+    const fromLlm = llmValue ? parseTrackingNumber(llmValue) : null;
+    if (fromLlm?.valid && fromLlm.verified) return { ...fromLlm, source: "llm" };
+
+    const fromText = rawText ? findTrackingNumbers(rawText)[0] : null;
+    if (fromText?.verified) return { ...fromText, source: "ocr" };
+    if (fromLlm?.valid) return { ...fromLlm, source: "llm" };
+    if (fromText) return { ...fromText, source: "ocr" };
+
+    if (fromLlm) return { ...fromLlm, source: "llm" };
+    return { input: null, number: null, valid: false, reason: "empty", source: null };
+}
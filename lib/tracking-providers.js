@@ -0,0 +1,37 @@
+import { sendcloudTrackByTrackingNumber } from "./sendcloud.js";
+import { track17Lookup } from "./track17.js";
+import { fromSendcloud, fromTrack17 } from "./tracking-model.js";
+
+// ==========================================
+// FOURNISSEURS DE SUIVI
+// ==========================================
+// Interface TrackingProvider :
+//   name  : identifiant du fournisseur
+//   track(trackingNumber) -> Promise<shipment>  (voir tracking-model.js)
+// Ajouter un fournisseur = l'ajouter ici avec sa fonction de conversion.
+
+export const sendcloudTracking = {
+    name: "sendcloud",
+    async track(trackingNumber) {
+        const payload = await sendcloudTrackByTrackingNumber(trackingNumber);
+        return fromSendcloud(payload, trackingNumber);
+    }
+};
+
+export const track17Tracking = {
+    name: "17track",
+    async track(trackingNumber) {
+        const { info, rejected } = await track17Lookup(trackingNumber);
+        const shipment = fromTrack17(info, trackingNumber);
+        if (rejected) shipment.status_label = "Numéro non reconnu ou incorrect.";
+        return shipment;
+    }
+};
+
+const PROVIDERS = { sendcloud: sendcloudTracking, "17track": track17Tracking };
+
+export function getTrackingProvider(name) {
+    const provider = PROVIDERS[name];
+    if (!provider) throw new Error(`Fournisseur de suivi inconnu : ${name}`);
+    return provider;
+}
@@ -0,0 +1,266 @@
+import fs from "fs";
+import { AsyncLocalStorage } from "async_hooks";
+import { dataPath, ensureDir } from "./storage.js";
+
+// ==========================================
+// CONSOMMATION OPENAI : COMPTAGE ET BUDGETS
+// ==========================================
+// Chaque appel modèle est inscrit dans DATA_DIR/usage/<AAAA-MM>.jsonl :
+//   { at, route, key, task, model, requested_model, downgraded, input_tokens, cached_tokens, output_tokens, cost_usd }
+// La route et la clé API viennent du contexte de la requête (withUsageContext), y compris
+// pour le travail lancé en arrière-plan par cette requête.
+//
+// Budgets (USD), USAGE_BUDGETS en JSON, par route ou "total" :
+//   { "total": { "daily": { "soft": 5, "hard": 10 }, "monthly": { "soft": 80, "hard": 120 } },
+//     "/sav/analyze": { "daily": { "soft": 2, "hard": 4 } } }
+// Limite douce atteinte : le modèle demandé est remplacé par le suivant de USAGE_DOWNGRADE.
+// Limite dure atteinte : l'appel est refusé (erreur code BUDGET_EXCEEDED).
+
+// Prix en USD par million de jetons ; surcharge possible via MODEL_PRICES (même format)
+const DEFAULT_PRICES = {
+    "gpt-5.2": { input: 1.75, cached_input: 0.175, output: 14 },
+    "gpt-5-nano": { input: 0.05, cached_input: 0.005, output: 0.4 },
+    "gpt-5-mini": { input: 0.25, cached_input: 0.025, output: 2 },
+    "gpt-5": { input: 1.25, cached_input: 0.125, output: 10 },
+    "gpt-4.1-mini": { input: 0.4, cached_input: 0.1, output: 1.6 },
+    "gpt-4o-mini": { input: 0.15, cached_input: 0.075, output: 0.6 }
+};
+
+// Modèle de repli en limite douce
+const DEFAULT_DOWNGRADE = { "gpt-5.2": "gpt-5-mini", "gpt-5": "gpt-5-mini", "gpt-5-mini": "gpt-5-nano" };
+
+function jsonEnv(name, fallback) {
+    if (!process.env[name]) return fallback;
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (e) {
+        console.error(`⚠️ ${name} n'est pas du JSON valide, valeur par défaut utilisée.`);
+        return fallback;
+    }
+}
+
+const PRICES = { ...DEFAULT_PRICES, ...jsonEnv("MODEL_PRICES", {}) };
+const DOWNGRADE = { ...DEFAULT_DOWNGRADE, ...jsonEnv("USAGE_DOWNGRADE", {}) };
+const BUDGETS = jsonEnv("USAGE_BUDGETS", {});
+
+// ==========================================
+// CONTEXTE DE REQUÊTE
+// ==========================================
+
+const context = new AsyncLocalStorage();
+
+// ctx : { route, key } ou { req } (route et clé lues au moment de l'appel modèle,
+// la clé n'étant connue qu'après le middleware d'authentification)
+export function withUsageContext(ctx, fn) {
+    return context.run(ctx, fn);
+}
+
+// Middleware : à placer après multer et l'authentification
+export function usageContext(req, res, next) {
+    context.run({ req }, next);
+}
+
+function currentContext() {
+    const ctx = context.getStore() || {};
+    if (ctx.req) return { route: ctx.req.route?.path || ctx.req.path, key: ctx.req.apiKey?.id ?? null };
+    return { route: ctx.route || "interne", key: ctx.key ?? null };
+}
+
+// ==========================================
+// COÛT D'UN APPEL
+// ==========================================
+
+function priceFor(model) {
+    const name = String(model || "").replace(/^fake:/, "");
+    if (String(model || "").startsWith("fake")) return { input: 0, cached_input: 0, output: 0 };
+    // "gpt-5-2025-08-07" -> "gpt-5" : préfixe le plus long
+    const match = Object.keys(PRICES).filter(k => name === k || name.startsWith(`${k}-`)).sort((a, b) => b.length - a.length)[0];
+    return match ? PRICES[match] : null;
+}
+
+// usage Chat Completions / Assistants (prompt_tokens...) ou Responses (input_tokens...)
+function tokensOf(usage) {
+    if (!usage) return { input_tokens: 0, cached_tokens: 0, output_tokens: 0 };
+    return {
+        input_tokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+        cached_tokens: usage.input_tokens_details?.cached_tokens ?? usage.prompt_tokens_details?.cached_tokens ?? 0,
+        output_tokens: usage.output_tokens ?? usage.completion_tokens ?? 0
+    };
+}
+
+export function costOf(model, usage) {
+    const price = priceFor(model);
+    const t = tokensOf(usage);
+    if (!price) return null;
+    const cost = ((t.input_tokens - t.cached_tokens) * price.input + t.cached_tokens * price.cached_input + t.output_tokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+// ==========================================
+// JOURNAL + TOTAUX EN MÉMOIRE
+// ==========================================
+
+const month = (d = new Date()) => d.toISOString().substring(0, 7);
+const day = (d = new Date()) => d.toISOString().substring(0, 10);
+const ledgerFile = m => dataPath("usage", `${m}.jsonl`);
+
+// totaux du mois en cours : "<période>|<route>" -> USD
+let totals = null;
+let totalsMonth = null;
+
+function addToTotals(record) {
+    for (const period of [record.at.substring(0, 10), record.at.substring(0, 7)]) {
+        for (const route of [record.route, "total"]) {
+            const k = `${period}|${route}`;
+            totals.set(k, (totals.get(k) || 0) + (record.cost_usd || 0));
+        }
+    }
+}
+
+function loadTotals() {
+    const m = month();
+    if (totals && totalsMonth === m) return totals;
+    totals = new Map();
+    totalsMonth = m;
+    for (const record of readLedger(m)) addToTotals(record);
+    return totals;
+}
+
+export function readLedger(m) {
+    try {
+        return fs.readFileSync(ledgerFile(m), "utf-8").split("\n").filter(Boolean).map(line => JSON.parse(line));
+    } catch (e) {
+        if (e.code !== "ENOENT") console.error(`Erreur lecture journal de consommation ${m} :`, e.message);
+        return [];
+    }
+}
+
+export function recordUsage({ task, model, requestedModel, downgraded = false, usage }) {
+    const { route, key } = currentContext();
+    const cost = costOf(model, usage);
+    if (cost === null) console.warn(`⚠️ Prix inconnu pour le modèle ${model} (MODEL_PRICES), coût compté à 0.`);
+    const record = {
+        at: new Date().toISOString(),
+        route,
+        key,
+        task,
+        model,
+        requested_model: requestedModel ?? model,
+        downgraded,
+        ...tokensOf(usage),
+        cost_usd: cost ?? 0
+    };
+    try {
+        ensureDir(dataPath("usage"));
+        fs.appendFileSync(ledgerFile(month()), `${JSON.stringify(record)}\n`);
+    } catch (e) {
+        console.error("⚠️ Impossible d'écrire la consommation :", e.message);
+    }
+    loadTotals();
+    addToTotals(record);
+    return record;
+}
+
+// ==========================================
+// BUDGETS
+// ==========================================
+
+function spent(period, route) {
+    return loadTotals().get(`${period}|${route}`) || 0;
+}
+
+// État des budgets applicables à une route : { level: "ok" | "soft" | "hard", reasons: [...] }
+export function budgetStatus(route) {
+    const reasons = [];
+    let level = "ok";
+    for (const scope of ["total", route]) {
+        const budget = BUDGETS[scope];
+        if (!budget) continue;
+        for (const [name, period] of [["daily", day()], ["monthly", month()]]) {
+            const limits = budget[name];
+            if (!limits) continue;
+            const value = spent(period, scope);
+            if (limits.hard !== undefined && value >= limits.hard) {
+                level = "hard";
+                reasons.push(`${scope} ${name} : ${value.toFixed(2)} / ${limits.hard} USD (limite dure)`);
+            } else if (limits.soft !== undefined && value >= limits.soft) {
+                if (level === "ok") level = "soft";
+                reasons.push(`${scope} ${name} : ${value.toFixed(2)} / ${limits.soft} USD (limite douce)`);
+            }
+        }
+    }
+    return { level, reasons };
+}
+
+// Modèle à utiliser vu les budgets. Lève une erreur (code BUDGET_EXCEEDED) en limite dure.
+export function modelForBudget(model) {
+    const { route } = currentContext();
+    const status = budgetStatus(route);
+    if (status.level === "hard") {
+        const err = new Error(`Budget OpenAI dépassé : ${status.reasons.join(" ; ")}`);
+        err.code = "BUDGET_EXCEEDED";
+        throw err;
+    }
+    if (status.level === "soft" && model && DOWNGRADE[model]) {
+        console.warn(`💸 Limite douce atteinte (${status.reasons.join(" ; ")}) : ${model} -> ${DOWNGRADE[model]}`);
+        return { model: DOWNGRADE[model], downgraded: true };
+    }
+    return { model, downgraded: false };
+}
+
+// ==========================================
+// RAPPORT (GET /usage)
+// ==========================================
+
+function group(records, keyOf) {
+    const out = {};
+    for (const r of records) {
+        const k = keyOf(r);
+        const g = out[k] || (out[k] = { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+        g.calls++;
+        g.input_tokens += r.input_tokens;
+        g.output_tokens += r.output_tokens;
+        g.cost_usd = Math.round((g.cost_usd + r.cost_usd) * 1e6) / 1e6;
+    }
+    return out;
+}
+
+// Date AAAA-MM-JJ qui existe au calendrier (Date.parse accepte "2026-02-30")
+export function isCalendarDay(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return false;
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return !Number.isNaN(time) && day(new Date(time)) === value;
+}
+
+// from / to : dates AAAA-MM-JJ incluses (défaut : mois en cours)
+export function usageReport({ from = null, to = null } = {}) {
+    for (const value of [from, to]) {
+        if (value && !isCalendarDay(value)) {
+            const err = new Error(`Date invalide : ${value} (format AAAA-MM-JJ)`);
+            err.code = "INVALID_DATE";
+            throw err;
+        }
+    }
+    const start = from || `${month()}-01`;
+    const end = to || day();
+    const months = [];
+    for (let d = new Date(`${start.substring(0, 7)}-01T00:00:00Z`); month(d) <= end.substring(0, 7); d.setUTCMonth(d.getUTCMonth() + 1)) {
+        months.push(month(d));
+    }
+    const records = months.flatMap(readLedger).filter(r => r.at.substring(0, 10) >= start && r.at.substring(0, 10) <= end);
+    return {
+        from: start,
+        to: end,
+        total: group(records, () => "total").total ?? { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 },
+        by_day: group(records, r => r.at.substring(0, 10)),
+        by_route: group(records, r => r.route),
+        by_model: group(records, r => r.model),
+        by_key: group(records, r => r.key ?? "aucune"),
+        downgraded_calls: records.filter(r => r.downgraded).length,
+        budgets: Object.fromEntries(Object.keys(BUDGETS).map(scope => [scope, {
+            ...BUDGETS[scope],
+            spent_today: Math.round(spent(day(), scope) * 100) / 100,
+            spent_this_month: Math.round(spent(month(), scope) * 100) / 100
+        }]))
+    };
+}
@@ -0,0 +1,32 @@
+import crypto from "crypto";
+
+// ==========================================
+// SIGNATURES DES WEBHOOKS ENTRANTS
+// ==========================================
+// Sendcloud : en-tête "Sendcloud-Signature" = HMAC-SHA256 (hex) du corps brut, clé
+//   SENDCLOUD_WEBHOOK_SECRET (défaut : SENDCLOUD_SECRET_KEY, comme le signe Sendcloud).
+// WooCommerce : en-tête "X-WC-Webhook-Signature" = HMAC-SHA256 (base64) du corps brut,
+//   clé WC_WEBHOOK_SECRET (le "secret" saisi à la création du webhook dans Woo).
+// Sans secret configuré, toute requête est refusée.
+
+function sameSignature(expected, received) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(received || ""));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function hmac(secret, rawBody, encoding) {
+    return crypto.createHmac("sha256", secret).update(rawBody || "").digest(encoding);
+}
+
+export function verifySendcloudSignature(rawBody, signature) {
+    const secret = process.env.SENDCLOUD_WEBHOOK_SECRET || process.env.SENDCLOUD_SECRET_KEY;
+    if (!secret || !signature) return false;
+    return sameSignature(hmac(secret, rawBody, "hex"), String(signature).toLowerCase());
+}
+
+export function verifyWooSignature(rawBody, signature) {
+    const secret = process.env.WC_WEBHOOK_SECRET;
+    if (!secret || !signature) return false;
+    return sameSignature(hmac(secret, rawBody, "base64"), signature);
+}
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { withLock } from "./storage.js";
+import { wooFetchOrderById, wooFetchOrderNotes, wooAddOrderNote, wooUpdateOrderMeta, trackingMetaKeys, trackingNumberFromMeta } from "./woocommerce.js";
+
+// ==========================================
+// TRACE SAV SUR LA COMMANDE WOOCOMMERCE (facultative)
+// ==========================================
+// Ce que le pont a compris et proposé est recopié sur la commande, pour l'équipe qui l'ouvre
+// dans wp-admin :
+//   - note privée : intention, statut du colis vu, brouillon proposé
+//   - WOO_WRITEBACK_TRACKING=on : numéro de suivi résolu dans la première clé de TRACKING_META_KEYS,
+//     seulement si la commande n'en a pas déjà un
+//   - WOO_SAV_STATUS : statut SAV (ex : "repondu") dans la méta WOO_SAV_STATUS_META_KEY (défaut _sav_status).
+//     Le statut Woo de la commande n'est jamais modifié (il déclenche des emails).
+// Mode : WOO_WRITEBACK = off (défaut) | on | dry_run ; une requête peut le changer (champ writeback).
+// dry_run : rien n'est écrit, le résultat décrit ce qui l'aurait été.
+// Idempotence : la note porte la clé de la requête ("[sav:<clé>]") ; si une note de la commande
+// la porte déjà, rien n'est réécrit. Sans clé fournie, elle dérive de la route, de la commande et
+// de l'empreinte de l'entrée (voir writebackKey) : la même capture rejouée garde la même clé.
+
+export const WRITEBACK_MODES = ["off", "on", "dry_run"];
+const DRAFT_EXCERPT_CHARS = 500;
+
+// Mode demandé (ou celui de la config) ; null si la valeur est inconnue
+export function writebackMode(requested = null) {
+    const mode = String(requested || process.env.WOO_WRITEBACK || "off").trim().toLowerCase().replace("-", "_");
+    return WRITEBACK_MODES.includes(mode) ? mode : null;
+}
+
+const marker = key => `[sav:${key}]`;
+
+// Clé par défaut. fingerprint : empreinte de l'entrée (inputFingerprint, lib/case-log.js)
+export function writebackKey(route, orderNumber, fingerprint) {
+    const source = `${route}|${orderNumber}|${fingerprint?.sha256 ?? ""}`;
+    return `req_${crypto.createHash("sha256").update(source).digest("hex").substring(0, 24)}`;
+}
+
+// summary : { route, intent, tracking_number, parcel_status, draft, language, return_id }
+export function orderNoteText(summary, key) {
+    const intent = summary.intent
+        ? `${summary.intent.routed_intent ?? summary.intent.intent}${summary.intent.confidence != null ? ` (confiance ${summary.intent.confidence})` : ""}`
+        : "non classée";
+    const excerpt = summary.draft
+        ? summary.draft.length > DRAFT_EXCERPT_CHARS ? `${summary.draft.substring(0, DRAFT_EXCERPT_CHARS)}…` : summary.draft
+        : null;
+    return [
+        `Demande SAV traitée par le pont (${summary.route}) ${marker(key)}`,
+        `Intention : ${intent}`,
+        `Colis : ${summary.tracking_number ? `${summary.tracking_number}, ${summary.parcel_status || "statut inconnu"}` : "aucun numéro de suivi"}`,
+        summary.return_id ? `Retour : ${summary.return_id}` : null,
+        excerpt ? `Brouillon proposé${summary.language ? ` (${summary.language})` : ""} :\n${excerpt}` : "Aucun brouillon proposé"
+    ].filter(Boolean).join("\n");
+}
+
+// Métas à écrire (seulement celles qui changent quelque chose)
+function plannedMeta(order, summary) {
+    const meta = {};
+    const trackingKey = trackingMetaKeys()[0];
+    if (process.env.WOO_WRITEBACK_TRACKING === "on" && trackingKey && summary.tracking_number && !trackingNumberFromMeta(order)) {
+        meta[trackingKey] = summary.tracking_number;
+    }
+    const status = process.env.WOO_SAV_STATUS;
+    const statusKey = process.env.WOO_SAV_STATUS_META_KEY || "_sav_status";
+    if (status && order.meta_data?.find(m => m.key === statusKey)?.value !== status) meta[statusKey] = status;
+    return meta;
+}
+
+// Renvoie { mode, key, status, note, meta, note_id, error }
+// status : written | dry_run | already_written | order_not_found | failed
+// Ne lève jamais d'erreur : la trace ne doit pas faire échouer la réponse SAV.
+export async function writeBackToOrder(orderNumber, summary, { mode, key }) {
+    const result = { mode, key, status: null, note: null, meta: {}, note_id: null, error: null };
+    try {
+        const order = await wooFetchOrderById(orderNumber);
+        if (!order) return { ...result, status: "order_not_found" };
+        // Lecture des notes puis écriture : deux requêtes rejouées en même temps passent l'une après l'autre
+        return await withLock(`writeback:${order.id}:${key}`, async () => {
+            const notes = await wooFetchOrderNotes(order.id);
+            if (notes.some(n => String(n.note || "").includes(marker(key)))) return { ...result, status: "already_written" };
+
+            result.note = orderNoteText(summary, key);
+            result.meta = plannedMeta(order, summary);
+            if (mode === "dry_run") return { ...result, status: "dry_run" };
+
+            // La note (et sa clé) en dernier : si les métas échouent, la requête rejouée réessaie tout
+            if (Object.keys(result.meta).length) await wooUpdateOrderMeta(order.id, result.meta);
+            const created = await wooAddOrderNote(order.id, result.note);
+            result.note_id = created?.id ?? null;
+            console.log(`📝 Trace SAV écrite sur la commande ${order.id} (${key})`);
+            return { ...result, status: "written" };
+        });
+    } catch (e) {
+        console.error(`⚠️ Trace SAV non écrite sur la commande ${orderNumber} :`, e.message);
+        return { ...result, status: "failed", error: e.message };
+    }
+}
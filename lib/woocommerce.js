@@ -0,0 +1,137 @@
+import { requireEnv, basicAuthHeader } from "./helpers.js";
+import { samePhone } from "./phone.js";
+import { httpJson, cached, uncache, ttlFromEnv, isNotFound } from "./http.js";
+import { rememberNames } from "./redact.js";
+
+// ==========================================
+// CLIENT WOOCOMMERCE
+// ==========================================
+// WC_BASE_URL : URL de la boutique (ou d'un serveur de test).
+// Cache des lectures : WOO_CACHE_TTL_S (défaut 60 s, 0 pour couper).
+// Une panne de Woo lève une erreur typée (voir http.js) : elle n'est jamais
+// confondue avec "aucune commande".
+// Les noms des clientes lus ici sont masqués dans les journaux (voir redact.js).
+
+const CACHE_TTL = ttlFromEnv("WOO_CACHE_TTL_S", 60);
+
+function rememberOrderNames(payload) {
+  for (const order of Array.isArray(payload) ? payload : [payload]) {
+      for (const address of [order?.billing, order?.shipping]) rememberNames(address?.first_name, address?.last_name);
+  }
+  return payload;
+}
+
+function wooUrl(path) {
+  return new URL(`${requireEnv("WC_BASE_URL").replace(/\/$/, "")}/wp-json/wc/v3${path}`);
+}
+
+function wooAuth() {
+  return { Authorization: basicAuthHeader(requireEnv("WC_CONSUMER_KEY"), requireEnv("WC_CONSUMER_SECRET")) };
+}
+
+function wooGet(path, params = {}) {
+  const url = wooUrl(path);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return cached(`woo ${url}`, CACHE_TTL, () => httpJson("WooCommerce", url.toString(), { headers: wooAuth() }))
+      .then(rememberOrderNames);
+}
+
+// Écriture : pas de nouvel essai (une note envoyée deux fois apparaîtrait deux fois),
+// et la commande relue ensuite ne sort pas du cache
+async function wooWrite(method, path, body, orderId) {
+  const result = await httpJson("WooCommerce", wooUrl(path).toString(), { method, headers: wooAuth(), body, retries: 0 });
+  uncache(`woo ${wooUrl(`/orders/${encodeURIComponent(String(orderId))}`)}`);
+  return result;
+}
+
+export async function wooFetchOrdersBySearch(term) {
+  const orders = await wooGet("/orders", { search: term, per_page: "10" });
+  return Array.isArray(orders) ? orders : [];
+}
+
+// Commandes créées depuis "after" (date ISO) dans les statuts donnés, page par page
+export async function wooFetchRecentOrders({ after, statuses = ["processing", "completed"], perPage = 50, maxPages = 10 }) {
+  const orders = [];
+  for (let page = 1; page <= maxPages; page++) {
+      const batch = await wooGet("/orders", {
+          after,
+          status: statuses.join(","),
+          per_page: String(perPage),
+          page: String(page),
+          orderby: "date",
+          order: "desc"
+      });
+      if (!Array.isArray(batch)) break;
+      orders.push(...batch);
+      if (batch.length < perPage) break;
+  }
+  return orders;
+}
+
+// null si la commande n'existe pas
+export async function wooFetchOrderById(id) {
+    try {
+        return await wooGet(`/orders/${encodeURIComponent(String(id))}`);
+    } catch (e) {
+        if (isNotFound(e)) return null;
+        throw e;
+    }
+}
+
+// Notes de la commande, lues sans cache (elles servent à ne pas écrire deux fois la même)
+export async function wooFetchOrderNotes(id) {
+  const notes = await httpJson("WooCommerce", wooUrl(`/orders/${encodeURIComponent(String(id))}/notes`).toString(), { headers: wooAuth() });
+  return Array.isArray(notes) ? notes : [];
+}
+
+// Note de commande, privée par défaut (visible seulement dans l'admin)
+export async function wooAddOrderNote(id, note, { customerNote = false } = {}) {
+  return wooWrite("POST", `/orders/${encodeURIComponent(String(id))}/notes`, { note, customer_note: customerNote }, id);
+}
+
+// entries : { clé: valeur } ; les autres métas de la commande ne bougent pas
+export async function wooUpdateOrderMeta(id, entries) {
+  const meta_data = Object.entries(entries).map(([key, value]) => ({ key, value }));
+  return wooWrite("PUT", `/orders/${encodeURIComponent(String(id))}`, { meta_data }, id);
+}
+
+export function trackingMetaKeys() {
+  return (process.env.TRACKING_META_KEYS || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+export function trackingNumberFromMeta(order) {
+  const meta = order?.meta_data || [];
+  let tn = null;
+  for (const k of trackingMetaKeys()) {
+      const hit = meta.find(m => m.key === k && m.value);
+      if (hit) tn = hit.value;
+  }
+  return tn;
+}
+
+// Vue résumée d'une commande (ce dont la résolution et les brouillons ont besoin)
+export function summarizeOrder(order) {
+  return {
+      order_number: order.id,
+      date: order.date_created || null,
+      status: order.status || null,
+      total: order.total || null,
+      currency: order.currency || null,
+      country: order.shipping?.country || order.billing?.country || "FR",
+      first_name: order.billing?.first_name || null,
+      items: (order.line_items || []).map(li => ({ name: li.name, quantity: li.quantity, sku: li.sku || null, product_id: li.product_id ?? null })),
+      tracking_number: trackingNumberFromMeta(order)
+  };
+}
+
+// Toutes les commandes correspondant à un terme de recherche, résumées.
+// match.phone (E.164) : on ne garde que les commandes dont le téléphone est vraiment le même
+// (la recherche Woo est un LIKE et peut remonter des numéros qui se ressemblent)
+export async function wooFindOrders(term, match = {}) {
+  let orders = await wooFetchOrdersBySearch(term);
+  if (!Array.isArray(orders)) return [];
+  if (match.phone) {
+      orders = orders.filter(o => samePhone(match.phone, o.billing?.phone, { orderCountry: o.billing?.country }));
+  }
+  return orders.map(summarizeOrder);
+}
@@ -1,127 +1,155 @@
 ﻿import "dotenv/config";
 import express from "express";
 import multer from "multer";
-import OpenAI from "openai";
 import { Agent, Runner, fileSearchTool } from "@openai/agents";
-import fs from "fs";
 import path from "path";
-// Stockage temporaire des réponses (en mémoire RAM)
-// Structure : { "ticket_ID": { status: "pending" | "done", result: "..." } }
-const tasks = {};
+import { checkTrackingNumber, parseTrackingNumber } from "./lib/tracking-number.js";
+import { parsePhone, phoneSearchFormats } from "./lib/phone.js";
+import { wooFetchOrderById, wooFindOrders, summarizeOrder, trackingNumberFromMeta, wooAddOrderNote, wooUpdateOrderMeta } from "./lib/woocommerce.js";
+import { parcelTrackingNumber, sendcloudCreateReturnParcel, sendcloudDownloadLabel, parcelLabelUrl } from "./lib/sendcloud.js";
+import { pickOrder } from "./lib/order-ranking.js";
+import { trackOrderParcels } from "./lib/parcels.js";
+import { isUpstreamUnavailable } from "./lib/http.js";
+import { sendcloudTracking, track17Tracking } from "./lib/tracking-providers.js";
+import { shipmentPromptBlock, shipmentStatusText, shipmentHistory, fromSendcloud, toIso } from "./lib/tracking-model.js";
+import { linksForShipment } from "./lib/tracking-links.js";
+import { chatCompletion, createResponse, runAssistant, structuredCompletion, llmBreakers, needsOpenAIKey, textPart, imagePart } from "./lib/llm.js";
+import { ERROR_CODES, sendResult, sendError, sendFailure, noteModel } from "./lib/api-response.js";
+import { withUsageContext, usageContext, usageReport, isCalendarDay } from "./lib/usage.js";
+import { enforceBrandStyle } from "./lib/brand-style.js";
+import { routeClassification } from "./lib/intents.js";
+import { DEFAULT_LANGUAGE, normalizeLanguage, orderLocale, resolveLanguage, languagePromptVariables, draftLanguage } from "./lib/language.js";
+import { renderPrompt, promptExists, listPrompts } from "./lib/prompts.js";
+import { requireScope, issueKey, listKeys, revokeKey, authDisabled } from "./lib/api-keys.js";
+import { sandboxEnabled, startSandbox } from "./lib/sandbox.js";
+import { withLock } from "./lib/storage.js";
+import { verifySendcloudSignature, verifyWooSignature } from "./lib/webhooks.js";
+import { PROACTIVE_STATUSES, recordOrder, getOrderState, recordShipmentStatus, listShipmentStates } from "./lib/shipment-state.js";
+import { REVIEW_STATUSES, isReviewId, findReviewItem, enqueueReview, getReviewItem, listReviewItems, reviewItem } from "./lib/review-queue.js";
+import { caseRecorder, isCaseId, getCase, searchCases, inputFingerprint } from "./lib/case-log.js";
+import { installLogRedaction, rememberNames } from "./lib/redact.js";
+import { retentionEnabled, purgeExpiredData, parseSubject, eraseSubject } from "./lib/privacy.js";
+import { writebackMode, writebackKey, writeBackToOrder } from "./lib/woo-writeback.js";
+import {
+    returnPolicy, selectReturnItems, checkReturnEligibility, returnParcelPayload, newReturnId, findOpenReturn,
+    saveReturn, updateReturn, getReturn, listReturns, isReturnId, checkLabelToken, saveLabel, readLabel
+} from "./lib/returns.js";
+import { STUCK_SORT_FIELDS, buildStuckParcelReport, publicRow, sortRows, toCsv, saveStuckParcelReport, latestStuckParcelReport } from "./lib/stuck-parcels.js";
+import {
+    DEFAULT_USER, DEFAULT_CONVERSATION, cleanId, withConversation, newConversation, saveConversation, loadConversation,
+    listConversations, renameConversation, truncateConversation, deleteConversation, exportConversation,
+    needsCompaction, compactConversation, contextMessages, importLegacyHistory, conversationOwner
+} from "./lib/conversations.js";
+import {
+    createTicket, getTicket, loadTicketFile, markRunning, markDone, markFailed, markChecked,
+    requeue, unfinishedTickets, listTickets, sweepTickets
+} from "./lib/ticket-store.js";
 // ==========================================
 // 1. CONFIGURATION
 // ==========================================
 
-if (!process.env.OPENAI_API_KEY) {
-    console.error("❌ ERREUR FATALE : OPENAI_API_KEY manquante.");
+// Emails, téléphones, adresses et noms masqués dans tous les journaux (voir lib/redact.js)
+installLogRedaction();
+
+// SANDBOX=on : Woo, Sendcloud et 17TRACK simulés en local (voir lib/sandbox.js)
+if (sandboxEnabled()) await startSandbox();
+
+// La clé n'est obligatoire que si une tâche utilise réellement le fournisseur OpenAI
+if (!process.env.OPENAI_API_KEY && needsOpenAIKey()) {
+    console.error("❌ ERREUR FATALE : OPENAI_API_KEY manquante (ou définir LLM_PROVIDER=fake).");
     process.exit(1);
 }
 if (!process.env.TRACK17_KEY) {
     console.error("⚠️ ATTENTION : TRACK17_KEY manquante.");
 }
+if (authDisabled()) {
+    console.error("⚠️ ATTENTION : API_AUTH=off, toutes les routes sont ouvertes sans clé.");
+} else if (!process.env.ADMIN_API_KEY && !listKeys().length) {
+    console.error("⚠️ ATTENTION : aucune clé API ni ADMIN_API_KEY, toutes les routes protégées refuseront l'accès.");
+}
 
 const app = express();
 
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+// Corps brut conservé pour vérifier la signature des webhooks
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ limit: "50mb", verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: "50mb", verify: keepRawBody }));
+
+// Authentification par clé API puis contexte de comptage OpenAI (route + clé) pour tous
+// les appels modèle de la requête. Toujours après multer (champ api_key des formulaires).
+const guard = scope => [requireScope(scope), usageContext];
 
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 15 * 1024 * 1024 }
 });
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 // ==========================================
-// 2. HELPERS
+// 3. EXTRACTION (chaîne LLM_MODELS_EXTRACT, défaut gpt-5-nano puis gpt-5-mini)
 // ==========================================
 
-function requireEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env var: ${name}`);
-  return v;
-}
-
-function basicAuthHeader(user, pass) {
-  const token = Buffer.from(`${user}:${pass}`, "utf8").toString("base64");
-  return `Basic ${token}`;
-}
-
-function parseTrackInfo(info) {
-    const dest = info.recipientCountry || "International";
-    const track = info.track;
-    
-    if (!track) {
-        return { 
-            dest, 
-            status: "En attente de mise à jour transporteur", 
-            history: "Information en cours de récupération..." 
-        };
-    }
-
-    let status = "En transit";
-    let history = "";
-
-    const latest = track.z1?.[0] || track.z0?.[0];
-    if (latest && latest.z) status = latest.z;
-
-    const allEvents = [...(track.z0 || []), ...(track.z1 || [])]
-        .sort((a, b) => new Date(b.a) - new Date(a.a))
-        .slice(0, 3);
-    
-    if (allEvents.length > 0) {
-        history = allEvents.map(e => ` - ${e.a} : ${e.z}`).join("\n");
-    }
-    return { dest, status, history };
+// Conversation à analyser : capture d'écran (input.file) ou texte copié (input.text)
+function conversationPart(input) {
+    return input.file ? imagePart(input.file) : textPart(`"""${input.text}"""`);
 }
 
-// ==========================================
-// 3. EXTRACTION (Modèle: gpt-5-nano)
-// ==========================================
-
-async function extractIdentifiers(file) {
-    const b64 = file.buffer.toString("base64");
-    const dataUrl = `data:${file.mimetype};base64,${b64}`;
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-5-nano", 
-      response_format: { type: "json_object" },
+// Sortie validée par le schéma du prompt (output_schema), voir structuredCompletion
+async function extractIdentifiers(input, models) {
+    const prompt = renderPrompt("extract_identifiers");
+    const response = noteModel(models, "extract", await structuredCompletion("extract", {
+      name: prompt.name,
+      schema: prompt.output_schema,
       messages: [
         { role: "system", content: "Tu es un extracteur de données techniques." },
         {
           role: "user",
           content: [
-            {
-              type: "text",
-              text: [
-                "Extrais les identifiants techniques.",
-                "JSON ATTENDU :",
-                "{",
-                '  "customer_first_name": string | null,',
-                '  "identifiers": { "email": null, "phone": null, "order_number": null, "tracking_number": null }',
-                "}",
-                "RÈGLES STRICTES POUR LE TRACKING NUMBER :",
-                "1. Cherche un code alphanumérique de 13 caractères.",
-                "2. FORMAT TYPE : 2 lettres + 9 chiffres + 2 lettres (Exemple: LE123456789FR).",
-                "3. IMPORTANT : Tu DOIS inclure les lettres du début (ex: LE, LP, RK) et de la fin (ex: FR).",
-                "4. Si tu vois 'LE 14...', écris 'LE14...'.",
-                "- Phone : Prends TOUS les chiffres.",
-                "- Prénom : Cherche sur l'étiquette d'expédition."
-              ].join("\n")
-            },
-            { type: "image_url", image_url: { url: dataUrl } }
+            textPart(prompt.text),
+            conversationPart(input)
           ]
         }
       ]
-    });
-    const text = response.choices[0].message.content?.trim() ?? "";
-    const jsonStart = text.indexOf('{');
-    const jsonEnd = text.lastIndexOf('}');
-    return JSON.parse(text.substring(jsonStart, jsonEnd + 1));
+    }));
+    rememberNames(response.data.customer_first_name);
+    return applyTrackingCheck({ ...response.data, prompt: { name: prompt.name, version: prompt.version } });
 }
 
-async function resolveTrackingLogic(identifiers) {
+// Contrôle déterministe du numéro de suivi : sortie du modèle d'abord, texte OCR brut en repli.
+// Un numéro dont la clé de contrôle est fausse n'est jamais envoyé à Sendcloud.
+function applyTrackingCheck(extracted) {
+    const ids = extracted.identifiers || (extracted.identifiers = {});
+    const check = checkTrackingNumber(ids.tracking_number, extracted.ocr_text);
+    extracted.tracking_check = check;
+
+    if (check.valid) {
+        if (check.corrected || check.source === "ocr") console.log(`🔧 Numéro de suivi corrigé : ${check.input ?? "-"} -> ${check.number} (${check.carrier})`);
+        if (!check.verified) console.warn(`⚠️ Numéro de suivi sans clé de contrôle, non vérifié : ${check.number} (${check.carrier})`);
+        ids.tracking_number = check.number;
+        ids.tracking_carrier = check.carrier;
+    } else if (check.reason === "checksum") {
+        console.warn(`⚠️ Numéro de suivi rejeté (clé de contrôle invalide) : ${check.input}`);
+        ids.tracking_number = null;
+    } else if (check.number) {
+        console.warn(`⚠️ Numéro de suivi de format inconnu, transmis sans garantie : ${check.number}`);
+        ids.tracking_number = check.number;
+    }
+    return extracted;
+}
+
+// Un service en panne (Woo, Sendcloud) donne le statut "upstream_unavailable" avec le nom
+// du service dans "unavailable" : jamais "commande introuvable" (voir lib/http.js)
+async function resolveTrackingLogic(identifiers, hints = {}) {
     const logs = [];
+    try {
+        return await resolveTrackingSteps(identifiers, hints, logs);
+    } catch (e) {
+        if (!isUpstreamUnavailable(e)) throw e;
+        logs.push(e.message);
+        return { logs, status: "upstream_unavailable", unavailable: e.service, shipment: null, tracking_number: null, woo_order: null, via: null };
+    }
+}
+
+async function resolveTrackingSteps(identifiers, hints, logs) {
     const email = identifiers?.email ?? null;
     const phone = identifiers?.phone ?? null;
     const order_number_in = identifiers?.order_number ?? null;
@@ -129,50 +157,42 @@ async function resolveTrackingLogic(identifiers) {
 
     if (order_number_in) {
       const wooOrder = await wooFetchOrderById(order_number_in);
-      if (checkInternational(wooOrder)) return { isInternational: true, logs };
+      if (checkInternational(wooOrder)) return { isInternational: true, logs, woo_order: wooOrder, via: "order_number" };
       
-      const parcels = await sendcloudFindParcelByOrderNumber(order_number_in);
-      const tn = pickTrackingNumberFromParcelsResponse(parcels);
-      if (tn) {
-          const tracking = await sendcloudTrackByTrackingNumber(tn);
-          return { logs, data: tracking, tracking_number: tn, woo_order: wooOrder };
-      }
+      const found = await resolveOrderParcels(order_number_in, wooOrder, logs);
+      if (found.tracking_number) return { logs, ...found, woo_order: wooOrder, via: "order_number" };
+      if (found.unavailable) return { logs, ...found, woo_order: wooOrder, status: "upstream_unavailable", via: "order_number" };
     }
 
     if (email) {
-      const res = await tryResolveViaWooSearch(email, logs);
-      if (res) return res;
+      const res = await tryResolveViaWooSearch(email, logs, {}, hints);
+      if (res) return { ...res, via: "email" };
     }
 
     if (phone) {
-      let rawDigits = phone.replace(/\D/g, ''); 
-      let candidates = new Set();
-      candidates.add(rawDigits);
-      candidates.add('+' + rawDigits);
-      candidates.add('00' + rawDigits);
-      if (rawDigits.startsWith('33') && rawDigits.length > 9) candidates.add('0' + rawDigits.substring(2));
-      if (rawDigits.startsWith('0') && rawDigits.length === 10) {
-          candidates.add('33' + rawDigits.substring(1));
-          candidates.add('+33' + rawDigits.substring(1));
+      // Normalisation E.164 (pays : en-tête de la capture, sinon FR), puis recherche
+      // séquentielle des formats stockés dans Woo, du plus probable au moins probable
+      const parsedPhone = parsePhone(phone, { countryHint: hints.country });
+      if (!parsedPhone) {
+          logs.push(`Téléphone non interprétable : ${phone}`);
+      } else {
+          logs.push(`Téléphone normalisé : ${parsedPhone.e164} (${parsedPhone.country})`);
+          for (const candidate of phoneSearchFormats(parsedPhone)) {
+              const res = await tryResolveViaWooSearch(candidate, logs, { phone: parsedPhone.e164 }, hints);
+              if (res) return { ...res, via: "phone" };
+          }
       }
-      if (rawDigits.startsWith('32') && rawDigits.length > 8) candidates.add('0' + rawDigits.substring(2));
-      if (rawDigits.startsWith('41') && rawDigits.length > 8) candidates.add('0' + rawDigits.substring(2));
-
-      const searchPromises = Array.from(candidates).map(c => tryResolveViaWooSearch(c, logs));
-      const results = await Promise.all(searchPromises);
-      const validResult = results.find(r => r !== null);
-      if (validResult) return validResult;
     }
 
     if (tracking_in) {
-      const tracking = await sendcloudTrackByTrackingNumber(tracking_in);
-      if (tracking.destination && tracking.destination !== 'FR' && tracking.destination !== 'FRANCE') {
-           return { isInternational: true, logs };
+      const shipment = await sendcloudTracking.track(tracking_in);
+      if (shipment.destination && shipment.destination !== 'FR') {
+           return { isInternational: true, logs, via: "tracking_number" };
       }
-      return { logs, data: tracking, tracking_number: tracking_in, woo_order: null };
+      return { logs, shipment, tracking_number: tracking_in, woo_order: null, via: "tracking_number" };
     }
 
-    return { logs, data: null, tracking_number: null, woo_order: null };
+    return { logs, shipment: null, tracking_number: null, woo_order: null, via: null };
 }
 
 function checkInternational(wooOrder) {
@@ -181,93 +201,337 @@ function checkInternational(wooOrder) {
     return (country && country !== 'FR');
 }
 
-async function tryResolveViaWooSearch(term, logs) {
-    const woo = await wooLookupBySearchTerm(term);
-    if (!woo.order_number) return null;
-    if (woo.country && woo.country !== 'FR') return { isInternational: true, logs };
+// Une cliente peut avoir plusieurs commandes : on les classe (voir order-ranking.js)
+// et on renvoie "ambiguous" plutôt que de répondre sur la mauvaise.
+async function tryResolveViaWooSearch(term, logs, match = {}, hints = {}) {
+    const orders = await wooFindOrders(term, match);
+    logs.push(`Recherche Woo "${term}" : ${orders.length ? `${orders.length} commande(s) (${orders.map(o => o.order_number).join(", ")})` : "aucun résultat"}`);
+    if (!orders.length) return null;
+
+    const choice = pickOrder(orders, { productHints: hints.products || [] });
+    if (choice.status === "ambiguous") {
+        logs.push(`Plusieurs commandes plausibles : ${choice.candidates.map(c => `${c.order_number} (score ${c.score})`).join(", ")}`);
+        return { logs, status: "ambiguous", candidates: choice.candidates, shipment: null, tracking_number: null, woo_order: null };
+    }
+
+    const woo = choice.order;
+    logs.push(`Commande retenue : ${woo.order_number} (${woo.reasons.join(", ") || "seule correspondance"})`);
+    const wooOrderFull = await wooFetchOrderById(woo.order_number);
+    if (woo.country && woo.country !== 'FR') return { isInternational: true, logs, woo_order: wooOrderFull, candidates: choice.candidates };
 
-    const wooOrderFull = await wooFetchOrderById(woo.order_number); 
-    let tn = woo.tracking_number;
-    if (!tn) {
-        const parcels = await sendcloudFindParcelByOrderNumber(woo.order_number);
-        tn = pickTrackingNumberFromParcelsResponse(parcels);
+    const found = await resolveOrderParcels(woo.order_number, wooOrderFull, logs, woo.tracking_number);
+    if (found.tracking_number) {
+        return { logs, ...found, woo_order: wooOrderFull, candidates: choice.candidates };
     }
-    if (tn) {
-        const tracking = await sendcloudTrackByTrackingNumber(tn);
-        return { logs, data: tracking, tracking_number: tn, woo_order: wooOrderFull };
+    if (found.unavailable) {
+        return { logs, ...found, woo_order: wooOrderFull, candidates: choice.candidates, status: "upstream_unavailable" };
     }
-    return { logs, data: null, tracking_number: null, woo_order: wooOrderFull, status: "processing_no_tracking" };
+    return { logs, shipment: null, tracking_number: null, woo_order: wooOrderFull, candidates: choice.candidates, status: "processing_no_tracking" };
 }
 
-function simplifyContext(iaResult, resolutionResult) {
+// Tous les colis d'une commande (expéditions partielles, réexpéditions) ; le colis
+// mis en avant reste dans shipment / tracking_number. Sendcloud en panne : "unavailable"
+// est renseigné et la commande Woo déjà trouvée reste utilisable.
+// tracker : fournisseur de suivi des colis (défaut Sendcloud ; 17TRACK pour l'international)
+async function resolveOrderParcels(orderNumber, wooOrder, logs, extraTrackingNumber = null, { tracker } = {}) {
+    let tracked;
+    try {
+        tracked = await trackOrderParcels(orderNumber, { orderItems: wooOrder?.line_items, extraTrackingNumber, tracker });
+    } catch (e) {
+        if (!isUpstreamUnavailable(e)) throw e;
+        logs.push(`Commande ${orderNumber} : ${e.message}`);
+        return { parcels: [], pending_items: [], shipment: null, tracking_number: null, unavailable: e.service };
+    }
+    const { parcels, pending_items, primary } = tracked;
+    if (parcels.length) {
+        logs.push(`Commande ${orderNumber} : ${parcels.length} colis (${parcels.map(p => p.tracking_number).join(", ")})`
+            + (pending_items.length ? `, ${pending_items.length} article(s) pas encore expédié(s)` : ""));
+    }
+    return { parcels, pending_items, shipment: primary?.shipment ?? null, tracking_number: primary?.tracking_number ?? null };
+}
+
+// lang : langue des liens de suivi (null : celle du pays de destination)
+function simplifyContext(iaResult, resolutionResult, lang = null) {
     let firstName = "Client";
     if (resolutionResult?.woo_order?.billing?.first_name) {
         firstName = resolutionResult.woo_order.billing.first_name;
     } else if (iaResult?.customer_first_name) {
         firstName = iaResult.customer_first_name;
     }
-    const trackingData = resolutionResult?.data;
+    const shipment = resolutionResult?.shipment ?? null;
     const trackingNumber = resolutionResult?.tracking_number;
-    const trackingLink = trackingData?.carrier_tracking_url || trackingData?.sendcloud_tracking_url || (trackingNumber ? `https://www.laposte.fr/outils/suivre-vos-envois?code=${trackingNumber}` : null);
-    
-    let history = [];
-    let lastHistoryStatus = null;
-    if (trackingData?.statuses && Array.isArray(trackingData.statuses) && trackingData.statuses.length > 0) {
-        const lastEntry = trackingData.statuses[trackingData.statuses.length - 1];
-        lastHistoryStatus = lastEntry.carrier_message || lastEntry.status;
-        history = trackingData.statuses.slice(-3).map(s => ` - ${s.carrier_message || s.status}`).reverse();
-    }
-    const currentStatus = trackingData?.status?.message || trackingData?.carrier_status || lastHistoryStatus || "En cours de traitement";
-    return { first_name: firstName, tracking_number: trackingNumber, tracking_link: trackingLink, current_status: currentStatus, history: history.join("\n"), is_found: !!trackingNumber };
-}
-
-async function draftResponseWithVision(data, file) {
-    const b64 = file.buffer.toString("base64");
-    const dataUrl = `data:${file.mimetype};base64,${b64}`;
-    const systemPrompt = `
-    Tu es Robin du service après vente de Solstice Bijoux.
-    TON STYLE : Vouvoiement. "Bonjour [Prénom],". 1 emoji max. Signature : "Robin 🌞". Pas de tiret "—". Ton courtois, poli, compréhensif.
-    ADAPTATION : Analyse la plateforme (WhatsApp/Mail) pour la structure.
-    INFO : Statut: ${data.current_status}, Lien: ${data.tracking_link}.
-    `;
-    let userContentText = data.is_found 
-        ? `Le client s'appelle ${data.first_name}. Commande trouvée ! Donne le statut et le lien.` 
-        : `Le client s'appelle ${data.first_name}. Commande non trouvée. Demande poliment le numéro ou l'email.`;
-
-    const response = await openai.chat.completions.create({
-        model: "gpt-5",
-        messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: [{ type: "text", text: userContentText }, { type: "image_url", image_url: { url: dataUrl } }] }
-        ]
+    const wooOrder = resolutionResult?.woo_order;
+    const links = linksForShipment(shipment, {
+        trackingNumber,
+        destination: wooOrder?.shipping?.country || wooOrder?.billing?.country,
+        lang
+    });
+    const trackingLink = links?.localized_url ?? null;
+    const unavailable = resolutionResult?.unavailable ?? null;
+    const currentStatus = shipment ? shipmentStatusText(shipment) : (unavailable ? `Suivi momentanément indisponible (${unavailable})` : "En cours de traitement");
+    const ambiguousOrders = resolutionResult?.status === "ambiguous" ? resolutionResult.candidates : null;
+    const parcels = resolutionResult?.parcels || [];
+    const pending = resolutionResult?.pending_items || [];
+    const destination = wooOrder?.shipping?.country || wooOrder?.billing?.country;
+    const parcelLinks = parcels.map(p => linksForShipment(p.shipment, { trackingNumber: p.tracking_number, destination, lang })?.localized_url ?? null);
+    return {
+        first_name: firstName,
+        tracking_number: trackingNumber,
+        tracking_link: trackingLink,
+        current_status: currentStatus,
+        history: shipment ? shipmentHistory(shipment) : "",
+        shipment,
+        ambiguous_orders: ambiguousOrders ? ambiguousOrders.map(describeOrderChoice).join("\n") : null,
+        tracking_links: parcelLinks.filter(Boolean),
+        parcels_block: parcels.length > 1 || pending.length ? describeParcels(parcels, parcelLinks, pending) : null,
+        unavailable_service: unavailable,
+        is_found: !!trackingNumber
+    };
+}
+
+// Une ligne lisible par commande candidate (pour demander à la cliente laquelle la concerne)
+function describeOrderChoice(order) {
+    const date = order.date ? order.date.substring(0, 10) : "date inconnue";
+    const items = order.items.map(i => `${i.name} x${i.quantity}`).join(", ") || "articles inconnus";
+    return ` - Commande n°${order.order_number} du ${date} (${order.status}) : ${items}, ${order.total ?? "?"} ${order.currency ?? ""}`.trimEnd();
+}
+
+// Contenu de chaque colis et articles restant à expédier (commande en plusieurs envois)
+function describeParcels(parcels, links, pending) {
+    const lines = parcels.map((p, i) => {
+        const items = p.items.map(it => `${it.name} x${it.quantity}`).join(", ") || "contenu non détaillé";
+        return ` - Colis ${i + 1}/${parcels.length} (${p.tracking_number}) : ${shipmentStatusText(p.shipment)}. Contenu : ${items}. Lien : ${links[i] ?? "indisponible"}`;
+    });
+    if (pending.length) {
+        lines.push(` - Pas encore expédié : ${pending.map(it => `${it.name} x${it.quantity}`).join(", ")}`);
+    }
+    return lines.join("\n");
+}
+
+// Régénération ciblée d'un brouillon qui enfreint la charte (voir lib/brand-style.js)
+function draftRegenerator(messages, firstDraft, models) {
+    let previous = firstDraft;
+    return async feedback => {
+        const response = noteModel(models, "draft", await chatCompletion("draft", {
+            messages: [...messages, { role: "assistant", content: previous }, { role: "user", content: feedback }]
+        }));
+        previous = response.text;
+        return response.text;
+    };
+}
+
+// Renvoie { text, style, prompt } (style : règles de la charte déclenchées / corrigées)
+// lang : langue du brouillon (voir lib/language.js)
+async function draftResponseWithVision(data, input, models, promptVersion = null, lang = DEFAULT_LANGUAGE) {
+    const prompt = renderPrompt("sav_analyze", {
+        ...languagePromptVariables(lang),
+        first_name: data.first_name,
+        is_found: data.is_found,
+        status: data.current_status,
+        shipment_block: data.shipment ? shipmentPromptBlock(data.shipment) : null,
+        tracking_link: data.tracking_link,
+        parcels_block: data.parcels_block,
+        ambiguous_orders: data.ambiguous_orders,
+        unavailable_service: data.unavailable_service
+    }, { version: promptVersion });
+
+    const messages = [
+        { role: "system", content: prompt.text },
+        { role: "user", content: [textPart("Voici la conversation avec le client."), conversationPart(input)] }
+    ];
+    const response = noteModel(models, "draft", await chatCompletion("draft", { messages }));
+    const trackingLinks = !data.is_found ? [] : (data.tracking_links.length ? data.tracking_links : [data.tracking_link].filter(Boolean));
+    const draft = await enforceBrandStyle(response.text, {
+        firstName: data.first_name !== "Client" ? data.first_name : null,
+        trackingLinks,
+        lang
+    }, draftRegenerator(messages, response.text, models));
+    return { ...draft, prompt: { name: prompt.name, version: prompt.version } };
+}
+
+// Version de prompt demandée par la requête (champ ou paramètre prompt_version), sinon celle de la config
+function promptVersionOf(req) {
+    return req.body?.prompt_version || req.query.prompt_version || null;
+}
+
+function sendUnknownPromptVersion(req, res, name) {
+    const version = promptVersionOf(req);
+    return sendError(req, res, 400, ERROR_CODES.UNKNOWN_PROMPT_VERSION, `Erreur: version de prompt inconnue (${name}@${version})`);
+}
+
+// Langue imposée par l'agent (champ ou paramètre lang), sinon détectée (voir lib/language.js)
+function languageOverrideOf(req) {
+    return req.body?.lang || req.query.lang || null;
+}
+
+function unsupportedLanguage(req) {
+    return !!languageOverrideOf(req) && !normalizeLanguage(languageOverrideOf(req));
+}
+
+function sendUnsupportedLanguage(req, res) {
+    return sendError(req, res, 400, ERROR_CODES.UNSUPPORTED_LANGUAGE, `Erreur: langue non prise en charge (${languageOverrideOf(req)})`);
+}
+
+// Langue des liens de suivi : celle du brouillon, sauf langue par défaut (celle du pays de destination)
+function linkLanguage(language) {
+    return language.source === "default" ? null : language.code;
+}
+
+// Sans langue imposée, le brouillon d'une route avec capture suit la langue de la conversation :
+// la langue retenue est relue sur le brouillon (salutation), "fallback" sinon
+function languageOfDraft(text, fallback) {
+    const code = draftLanguage(text, fallback.code);
+    return code && code !== fallback.code ? { code, source: "conversation" } : fallback;
+}
+
+// Trace SAV sur la commande Woo (lib/woo-writeback.js) : champ writeback = on | off | dry_run
+// (défaut WOO_WRITEBACK). Clé d'idempotence : en-tête Idempotency-Key, sinon dérivée de la route,
+// de la commande et de l'entrée (une requête rejouée n'écrit pas deux fois).
+const IDEMPOTENCY_KEY_RE = /^[\w.:-]{1,100}$/;
+
+function writebackError(req) {
+    const requested = req.body?.writeback || req.query.writeback || null;
+    if (!writebackMode(requested)) return `writeback inconnu (${requested}) : on, off ou dry_run`;
+    const key = req.get("Idempotency-Key");
+    if (key && !IDEMPOTENCY_KEY_RE.test(key)) return "Idempotency-Key invalide (lettres, chiffres, . _ : -, 100 caractères au plus)";
+    return null;
+}
+
+function sendWritebackError(req, res) {
+    return sendError(req, res, 400, ERROR_CODES.INVALID_REQUEST, `Erreur: ${writebackError(req)}`);
+}
+
+// body : corps JSON de la route (order, tracking, language, draft, return).
+// Renvoie le résultat de la trace, null si elle est coupée ou sans commande.
+async function traceOnOrder(req, body) {
+    const mode = writebackMode(req.body?.writeback || req.query.writeback);
+    const orderNumber = body.order?.order_number;
+    if (mode === "off" || !orderNumber) return null;
+    const result = await writeBackToOrder(orderNumber, {
+        route: req.route.path,
+        intent: req.savCase.intent ?? null,
+        tracking_number: body.tracking?.tracking_number ?? null,
+        parcel_status: body.tracking?.shipment ? shipmentStatusText(body.tracking.shipment) : null,
+        draft: body.draft ?? null,
+        language: body.language?.code ?? null,
+        return_id: body.return?.id ?? null
+    }, {
+        mode,
+        key: req.get("Idempotency-Key") || writebackKey(req.route.path, orderNumber, inputFingerprint({ file: req.file, text: req.savCase.text }))
     });
-    return response.choices[0].message.content;
+    req.savCase.writeback = { mode: result.mode, key: result.key, status: result.status };
+    return result;
 }
 
 // ==========================================
 // ROUTE 1 : SAV FRANCE (Legacy)
 // ==========================================
 
-app.post("/sav/analyze", upload.single("image"), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).send("Erreur: Image manquante");
-    
-    const extracted = await extractIdentifiers(req.file);
-    const resolution = await resolveTrackingLogic(extracted.identifiers);
+// Corps JSON commun : ce qui a été extrait, comment la commande a été trouvée, et le résultat
+function analysisPayload(extracted, resolution, models, lang = null) {
+    const links = linksForShipment(resolution.shipment, {
+        trackingNumber: resolution.tracking_number,
+        destination: resolution.woo_order?.shipping?.country || resolution.woo_order?.billing?.country,
+        lang
+    });
+    return {
+        identifiers: extracted.identifiers,
+        customer: { first_name: extracted.customer_first_name ?? null, country: extracted.customer_country ?? null },
+        tracking_check: extracted.tracking_check ?? null,
+        resolution: {
+            path: resolution.via ?? null,
+            status: resolution.isInternational ? "international" : (resolution.status ?? (resolution.tracking_number ? "found" : "not_found")),
+            candidates: resolution.candidates ?? [],
+            unavailable: resolution.unavailable ?? null,
+            logs: resolution.logs
+        },
+        order: resolution.woo_order ? summarizeOrder(resolution.woo_order) : null,
+        tracking: resolution.tracking_number ? {
+            tracking_number: resolution.tracking_number,
+            shipment: resolution.shipment,
+            links,
+            parcels: resolution.parcels ?? [],
+            pending_items: resolution.pending_items ?? []
+        } : null,
+        models
+    };
+}
 
-    if (resolution.isInternational) {
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        return res.send("international");
-    }
+// Dossier SAV (lib/case-log.js) : identifiants, client, chemin de résolution, commande et colis
+function noteCaseResolution(savCase, payload, wooOrder) {
+    Object.assign(savCase, {
+        identifiers: payload.identifiers,
+        customer: {
+            first_name: wooOrder?.billing?.first_name || payload.customer.first_name,
+            email: wooOrder?.billing?.email || payload.identifiers?.email || null,
+            phone: wooOrder?.billing?.phone || payload.identifiers?.phone || null,
+            country: wooOrder?.shipping?.country || wooOrder?.billing?.country || payload.customer.country
+        },
+        resolution: payload.resolution,
+        order_number: payload.order?.order_number ?? null,
+        tracking_numbers: [payload.tracking?.tracking_number, ...(payload.tracking?.parcels || []).map(p => p.tracking_number)]
+    });
+}
+
+// Chaîne France complète : extraction, résolution Woo / Sendcloud, langue, brouillon.
+// Renvoie { payload, resolution, draft } ; draft est null pour une commande internationale
+// (suivi 17TRACK, voir draftInternationalReply).
+async function analyzeConversation(input, { orderNumber = null, langOverride = null, promptVersion = null }, savCase) {
+    const models = savCase.models;
+    const extracted = await extractIdentifiers(input, models);
+    savCase.identifiers = extracted.identifiers;
+    savCase.prompts.push(extracted.prompt);
+    // L'agent peut imposer la commande (ex : après une réponse "ambiguous")
+    if (orderNumber) extracted.identifiers.order_number = String(orderNumber).trim();
+    const resolution = await resolveTrackingLogic(extracted.identifiers, {
+        country: extracted.customer_country,
+        products: extracted.product_names || []
+    });
+
+    const language = resolveLanguage({
+        override: langOverride,
+        detected: extracted.customer_language,
+        locale: orderLocale(resolution.woo_order),
+        country: resolution.woo_order?.shipping?.country || resolution.woo_order?.billing?.country || extracted.customer_country
+    });
+    const payload = { ...analysisPayload(extracted, resolution, models, linkLanguage(language)), language };
+    noteCaseResolution(savCase, payload, resolution.woo_order);
+    savCase.language = language;
+
+    if (resolution.isInternational) return { payload, resolution, draft: null };
+
+    const simpleContext = simplifyContext(extracted, resolution, linkLanguage(language));
+    const draft = await draftResponseWithVision(simpleContext, input, models, promptVersion, language.code);
+    savCase.draft = draft.text;
+    savCase.prompts.push(draft.prompt);
+    return { payload, resolution, draft };
+}
 
-    const simpleContext = simplifyContext(extracted, resolution);
-    const finalText = await draftResponseWithVision(simpleContext, req.file);
-    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    return res.send(finalText);
+app.post("/sav/analyze", upload.single("image"), guard("sav"), caseRecorder, async (req, res) => {
+  try {
+    if (!req.file) return sendError(req, res, 400, ERROR_CODES.MISSING_IMAGE, "Erreur: Image manquante");
+    if (!promptExists("sav_analyze", promptVersionOf(req))) return sendUnknownPromptVersion(req, res, "sav_analyze");
+    if (unsupportedLanguage(req)) return sendUnsupportedLanguage(req, res);
+    if (writebackError(req)) return sendWritebackError(req, res);
+
+    const { payload, resolution, draft } = await analyzeConversation({ file: req.file }, {
+        orderNumber: req.body.order_number,
+        langOverride: languageOverrideOf(req),
+        promptVersion: promptVersionOf(req)
+    }, req.savCase);
+
+    if (!draft) {
+        return sendResult(req, res, "international", { ...payload, draft: null });
+    }
+    if (resolution.status === "ambiguous") {
+        // Numéros candidats : renvoyer l'un d'eux dans le champ order_number pour trancher
+        res.setHeader('X-Order-Candidates', resolution.candidates.map(c => c.order_number).join(","));
+    }
+    const body = { ...payload, draft: draft.text, style: draft.style, prompt: draft.prompt };
+    return sendResult(req, res, draft.text, { ...body, writeback: await traceOnOrder(req, body) });
   } catch (e) {
     console.error(e);
-    res.status(500).setHeader('Content-Type', 'text/plain; charset=utf-8');
-    return res.send("Bonjour,\n\nUne erreur technique m'empêche de répondre. Pourriez-vous reformuler ?\n\nMerci,\nRobin 🌞");
+    return sendFailure(req, res, e, "Bonjour,\n\nUne erreur technique m'empêche de répondre. Pourriez-vous reformuler ?\n\nMerci,\nRobin 🌞");
   }
 });
 
@@ -276,8 +540,9 @@ app.post("/sav/analyze", upload.single("image"), async (req, res) => {
 // (Prend du TEXTE brut -> Renvoie JUSTE le numéro nettoyé)
 // ==========================================
 
-app.post("/sav/extract", upload.none(), async (req, res) => {
+app.post("/sav/extract", upload.none(), guard("sav"), caseRecorder, async (req, res) => {
     console.log("\n🔵 [ROUTE /sav/extract] Début analyse texte...");
+    const models = req.savCase.models;
     
     try {
         // On récupère le texte envoyé par l'iPhone (OCR)
@@ -285,56 +550,62 @@ app.post("/sav/extract", upload.none(), async (req, res) => {
 
         if (!rawText) {
             console.error("❌ ERREUR: Aucune donnée texte reçue (champ 'raw_text' vide).");
-            return res.status(400).send("Erreur: Texte manquant");
+            return sendError(req, res, 400, ERROR_CODES.MISSING_TEXT, "Erreur: Texte manquant");
         }
+        if (!promptExists("extract_tracking", promptVersionOf(req))) return sendUnknownPromptVersion(req, res, "extract_tracking");
 
         console.log(`📝 Texte reçu (${rawText.length} caractères) : "${rawText.substring(0, 50).replace(/\n/g, ' ')}..."`);
 
-        // UTILISATION DE GPT-5-NANO (Suffisant pour analyser du texte)
-        const response = await openai.chat.completions.create({
-            model: "gpt-5-nano",
-            response_format: { type: "json_object" },
+        const prompt = renderPrompt("extract_tracking", { raw_text: rawText }, { version: promptVersionOf(req) });
+        req.savCase.text = rawText;
+        req.savCase.prompts.push({ name: prompt.name, version: prompt.version });
+
+        // Chaîne "extract" (gpt-5-nano suffit pour analyser du texte), sortie validée par le schéma du prompt
+        const response = noteModel(models, "extract", await structuredCompletion("extract", {
+            name: prompt.name,
+            schema: prompt.output_schema,
             messages: [
                 { role: "system", content: "Tu es un expert en correction de données logistiques." },
-                { role: "user", content: 
-                    `Voici un texte brut extrait d'une étiquette de colis (OCR).
-                    
-                    TA MISSION :
-                    Trouve et isole le Numéro de Suivi (Tracking Number).
-                    
-                    RÈGLES DE DÉTECTION :
-                    1. Format standard : 2 Lettres + 9 Chiffres + 2 Lettres (Ex: LE123456789FR).
-                    2. Variantes possibles : 1Z... (UPS), 87... (Colissimo).
-                    3. CORRECTION D'ERREURS : 
-                       - L'OCR met souvent des espaces (ex: "LE 14 55" -> "LE1455"). Supprime-les.
-                       - Il peut confondre le chiffre '0' et la lettre 'O'. Corrige selon le format standard.
-                    
-                    TEXTE À ANALYSER :
-                    """${rawText}"""
-                    
-                    JSON ATTENDU : { "tracking_number": "LE..." }`
-                }
+                { role: "user", content: prompt.text }
             ]
-        });
+        }));
 
-        const content = JSON.parse(response.choices[0].message.content);
-        const trackingNumber = content.tracking_number;
+        const content = response.data;
 
-        if (!trackingNumber) {
+        // Contrôle déterministe : numéro proposé par le modèle, sinon recherche dans le texte OCR brut
+        const check = checkTrackingNumber(content.tracking_number, rawText);
+        req.savCase.identifiers = { tracking_number: check.number };
+        req.savCase.tracking_numbers = [check.number];
+
+        if (!check.number) {
             console.warn("⚠️ Aucun numéro trouvé dans le texte.");
-            return res.status(404).send("NON_TROUVE");
+            return sendError(req, res, 404, ERROR_CODES.TRACKING_NOT_FOUND, "NON_TROUVE", "Aucun numéro de suivi dans le texte.");
+        }
+
+        if (!check.valid && check.reason === "checksum") {
+            console.warn(`⚠️ Numéro rejeté (clé de contrôle invalide) : ${check.number}`);
+            return sendError(req, res, 422, ERROR_CODES.INVALID_TRACKING_NUMBER, "NUMERO_INVALIDE",
+                `Clé de contrôle invalide : ${check.number}`);
         }
 
-        // Nettoyage final de sécurité
-        const cleanTracking = trackingNumber.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
-        console.log(`✅ Numéro extrait et nettoyé : ${cleanTracking}`);
+        // Format inconnu ou numéro sans clé de contrôle : on le transmet quand même (17TRACK connaît plus de transporteurs que nous), mais signalé
+        const trackingStatus = check.valid && check.verified ? "valid" : "unverified";
+        res.setHeader('X-Tracking-Status', trackingStatus);
+        if (check.carrier) res.setHeader('X-Tracking-Carrier', check.carrier);
+        console.log(`✅ Numéro extrait et contrôlé : ${check.number} (${check.carrier || "transporteur inconnu"}${check.corrected ? ", corrigé" : ""})`);
         
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        return res.send(cleanTracking);
+        return sendResult(req, res, check.number, {
+            tracking_number: check.number,
+            carrier: check.carrier ?? null,
+            tracking_status: trackingStatus,
+            tracking_check: check,
+            prompt: { name: prompt.name, version: prompt.version },
+            models
+        });
 
     } catch (e) {
         console.error("❌ ERREUR Extraction Texte:", e);
-        res.status(500).send(`Erreur serveur: ${e.message}`);
+        return sendFailure(req, res, e, `Erreur serveur: ${e.message}`);
     }
 });
 
@@ -342,215 +613,591 @@ app.post("/sav/extract", upload.none(), async (req, res) => {
 // ROUTE 2-B : RÉPONSE SAV INTERNATIONAL (/sav/respond)
 // ==========================================
 
-app.post("/sav/respond", upload.single("image"), async (req, res) => {
+// Réponse internationale (suivi 17TRACK). input : conversation jointe ou null.
+// Langue : imposée (langOverride), sinon déjà connue (knownLanguage, ex : lue par l'extraction),
+// sinon celle de la conversation jointe, sinon celle du pays de destination.
+// Renvoie { draft, shipment, links, language, prompt }
+async function draftInternationalReply({ trackingNumber, input = null, langOverride = null, knownLanguage = null, promptVersion = null }, savCase) {
+    const models = savCase.models;
+    console.log("2. Appel API 17TRACK...");
+    const shipment = await track17Tracking.track(trackingNumber);
+    Object.assign(savCase, {
+        identifiers: { ...savCase.identifiers, tracking_number: trackingNumber },
+        customer: { ...savCase.customer, country: savCase.customer?.country || shipment.destination },
+        resolution: savCase.resolution ?? { path: "tracking_number", status: shipment.found ? "found" : "not_found", logs: [] },
+        tracking_numbers: [...(savCase.tracking_numbers || []), trackingNumber]
+    });
+
+    const baseLanguage = !langOverride && knownLanguage && knownLanguage.source !== "default"
+        ? knownLanguage
+        : resolveLanguage({ override: langOverride, country: shipment.destination });
+    const followConversation = !!input && !["override", "conversation"].includes(baseLanguage.source);
+
+    const links = linksForShipment(shipment, { trackingNumber, lang: linkLanguage(baseLanguage) });
+    console.log(`3. Infos récupérées : Dest=${shipment.destination || "International"}, Status=${shipment.status}, Lien=${links.localized_url}`);
+    console.log(`4. Rédaction par Robin (GPT-5), langue ${baseLanguage.code}${followConversation ? " ou celle de la conversation" : ""}...`);
+
+    const prompt = renderPrompt("sav_respond", {
+        ...languagePromptVariables(baseLanguage.code, { followConversation }),
+        shipment_block: shipmentPromptBlock(shipment),
+        tracking_link: links.localized_url
+    }, { version: promptVersion });
+
+    const messagesPayload = [
+        { role: "system", content: prompt.text },
+        input
+            ? { role: "user", content: [textPart("Voici la conversation avec le client. Adapte ton ton."), conversationPart(input)] }
+            : { role: "user", content: "Rédige la réponse." }
+    ];
+
+    const gptResponse = noteModel(models, "draft", await chatCompletion("draft", {
+        messages: messagesPayload
+    }));
+    const draft = await enforceBrandStyle(gptResponse.text, {
+        trackingLinks: [links.localized_url],
+        lang: baseLanguage.code,
+        languageFromDraft: followConversation
+    }, draftRegenerator(messagesPayload, gptResponse.text, models));
+    const language = followConversation ? languageOfDraft(draft.text, baseLanguage) : baseLanguage;
+    savCase.draft = draft.text;
+    savCase.prompts.push({ name: prompt.name, version: prompt.version });
+    savCase.language = language;
+    return { draft, shipment, links, language, prompt: { name: prompt.name, version: prompt.version } };
+}
+
+app.post("/sav/respond", upload.single("image"), guard("sav"), caseRecorder, async (req, res) => {
     console.log("\n🔵 [ROUTE /sav/respond] Début analyse 17TRACK...");
     
     try {
-        const trackingNumber = req.body.tracking_number;
+        const trackingCheck = parseTrackingNumber(req.body.tracking_number);
+        const trackingNumber = trackingCheck.number;
         
         if (!trackingNumber) {
             console.error("❌ Erreur : Le champ 'tracking_number' est vide.");
-            return res.status(400).send("Erreur: tracking_number manquant.");
+            return sendError(req, res, 400, ERROR_CODES.MISSING_TRACKING_NUMBER, "Erreur: tracking_number manquant.");
         }
-
-        console.log(`1. Tracking reçu : ${trackingNumber}`);
-        console.log("2. Appel API 17TRACK...");
-
-        const trackResponse = await fetch("https://api.17track.net/track/v2.2/register", {
-            method: "POST",
-            headers: {
-                "17token": process.env.TRACK17_KEY,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify([{ number: trackingNumber }])
-        });
-
-        const trackData = await trackResponse.json();
-        
-        let statusInfo = "Inconnu / En attente";
-        let historyText = "Pas d'historique disponible.";
-        let destination = "International";
-
-        if (trackData?.data?.accepted?.length > 0) {
-            const result = parseTrackInfo(trackData.data.accepted[0]);
-            destination = result.dest;
-            statusInfo = result.status;
-            historyText = result.history;
-        } 
-        else if (trackData?.data?.rejected?.length > 0) {
-            const error = trackData.data.rejected[0].error;
-            if (error.code === -18019901) {
-                console.log("📍 Colis déjà suivi, appel endpoint 'gettrackinfo'...");
-                const infoResponse = await fetch("https://api.17track.net/track/v2.2/gettrackinfo", {
-                    method: "POST",
-                    headers: { "17token": process.env.TRACK17_KEY, "Content-Type": "application/json" },
-                    body: JSON.stringify([{ number: trackingNumber }])
-                });
-                const infoData = await infoResponse.json();
-                if (infoData?.data?.accepted?.length > 0) {
-                    const result = parseTrackInfo(infoData.data.accepted[0]);
-                    destination = result.dest;
-                    statusInfo = result.status;
-                    historyText = result.history;
-                }
-            } else {
-                statusInfo = "Numéro non reconnu ou incorrect.";
-            }
+        if (!promptExists("sav_respond", promptVersionOf(req))) return sendUnknownPromptVersion(req, res, "sav_respond");
+        if (unsupportedLanguage(req)) return sendUnsupportedLanguage(req, res);
+        if (!trackingCheck.valid) {
+            console.warn(`⚠️ Numéro non vérifié (${trackingCheck.reason}), envoyé tel quel à 17TRACK.`);
         }
-        
-        console.log(`3. Infos récupérées : Dest=${destination}, Status=${statusInfo}`);
-
-        console.log("4. Rédaction par Robin (GPT-5)...");
-        
-        let messagesPayload = [
-            { role: "system", content: `
-            Tu es Robin, chargé du service client de Solstice Bijoux (marque de piercing).
-            Ton super-pouvoir est l’empathie et la chaleur humaine. Tu t’exprimes comme une personne bienveillante et impliquée, jamais comme un robot logistique.
-
-            Objectif de la tâche
-            Répondre à la cliente pour lui expliquer où se trouve son colis, en t’appuyant sur tous les éléments disponibles (y compris une image/capture d’écran fournie en pièce jointe), afin de la rassurer, de clarifier la situation, et de désamorcer l’inquiétude.
-
-            ⚠️ L’image est uniquement un support d’analyse interne :
-
-            Tu ne dois jamais mentionner la capture d’écran, l’image, ou le fait que tu l’as consultée.
 
-            Tu dois simplement intégrer ses informations de façon naturelle dans ta réponse.
+        console.log(`1. Tracking reçu : ${trackingNumber}${trackingCheck.carrier ? ` (${trackingCheck.carrier})` : ""}`);
+        const reply = await draftInternationalReply({
+            trackingNumber,
+            input: req.file ? { file: req.file } : null,
+            langOverride: languageOverrideOf(req),
+            promptVersion: promptVersionOf(req)
+        }, req.savCase);
 
-            Contexte du colis
-
-            Numéro de suivi : ${trackingNumber}
-
-            Destination : ${destination}
-
-            Statut technique : ${statusInfo}
-
-            Historique récent : ${historyText}
-
-            Mission émotionnelle et logique
-
-            Analyse la situation réelle du colis
+        console.log("✅ Réponse générée.");
+        return sendResult(req, res, reply.draft.text, {
+            identifiers: { tracking_number: trackingNumber },
+            tracking_check: trackingCheck,
+            tracking: { tracking_number: trackingNumber, shipment: reply.shipment, links: reply.links },
+            language: reply.language,
+            draft: reply.draft.text,
+            style: reply.draft.style,
+            prompt: reply.prompt,
+            models: req.savCase.models
+        });
 
-            Croise le statut technique, l’historique et les informations implicites issues de l’image.
+    } catch (e) {
+        console.error("❌ ERREUR REPONSE:", e);
+        return sendFailure(req, res, e, `Erreur serveur: ${e.message}`);
+    }
+});
 
-            Reformule la situation avec des mots simples et compréhensibles pour une cliente non experte.
+// ==========================================
+// ROUTE 4 : SAV GÉNÉRAL (/sav/general)
+// ==========================================
 
-            Adopte la posture émotionnelle adaptée
+// Réponse libre selon des instructions. Langue : imposée, sinon celle de la conversation.
+// Renvoie { draft, language, prompt }
+async function draftGeneralReply({ input, instructions, langOverride = null, promptVersion = null }, savCase) {
+    const models = savCase.models;
+    const baseLanguage = resolveLanguage({ override: langOverride });
+    const followConversation = baseLanguage.source !== "override";
+    const prompt = renderPrompt("sav_general", {
+        ...languagePromptVariables(baseLanguage.code, { followConversation }),
+        instructions
+    }, { version: promptVersion });
+
+    const messages = [
+        { role: "system", content: prompt.text },
+        { role: "user", content: [conversationPart(input)] }
+    ];
+    const response = noteModel(models, "draft", await chatCompletion("draft", { messages }));
+    const draft = await enforceBrandStyle(response.text, { lang: baseLanguage.code, languageFromDraft: followConversation },
+        draftRegenerator(messages, response.text, models));
+    const language = followConversation ? languageOfDraft(draft.text, baseLanguage) : baseLanguage;
+    savCase.draft = draft.text;
+    savCase.prompts.push({ name: prompt.name, version: prompt.version });
+    savCase.language = language;
+    return { draft, language, prompt: { name: prompt.name, version: prompt.version } };
+}
 
-            Colis en transit (normal) : rassure, confirme que l’acheminement suit son cours.
+app.post("/sav/general", upload.single("image"), guard("sav"), caseRecorder, async (req, res) => {
+    try {
+        if (!req.file) return sendError(req, res, 400, ERROR_CODES.MISSING_IMAGE, "Erreur: Image manquante");
+        if (!promptExists("sav_general", promptVersionOf(req))) return sendUnknownPromptVersion(req, res, "sav_general");
+        if (unsupportedLanguage(req)) return sendUnsupportedLanguage(req, res);
+        const reply = await draftGeneralReply({
+            input: { file: req.file },
+            instructions: req.body.instructions || "Analyse ce message et réponds de manière pertinente.",
+            langOverride: languageOverrideOf(req),
+            promptVersion: promptVersionOf(req)
+        }, req.savCase);
+
+        return sendResult(req, res, reply.draft.text, {
+            language: reply.language,
+            draft: reply.draft.text,
+            style: reply.draft.style,
+            prompt: reply.prompt,
+            models: req.savCase.models
+        });
+    } catch (e) {
+        console.error(e);
+        return sendFailure(req, res, e, "Erreur lors de la génération de la réponse.\n\nRobin 🌞", ERROR_CODES.LLM_FAILED);
+    }
+});
 
-            Colis en douane ou arrivé dans le pays : explique calmement que c’est une étape classique, parfois un peu lente, mais normale. Pédagogie et apaisement.
+// ==========================================
+// ROUTE 4-B : BOÎTE DE RÉCEPTION SAV (/sav/inbox)
+// ==========================================
+// Un seul point d'entrée : capture (image) ou texte (text). La conversation est classée par
+// intention (lib/intents.js) puis traitée par la chaîne correspondante :
+//   where_is_my_order -> suivi France (pipeline "analyze") ou 17TRACK (pipeline "respond")
+//   return_exchange   -> retour avec étiquette (pipeline "return", comme /sav/return)
+//   autres            -> réponse libre guidée par l'intention (pipeline "general")
+// Champs facultatifs : lang, order_number (comme /sav/analyze), writeback. En-tête X-Intent : intention traitée.
+
+// Renvoie { intent, confidence, reason, routed_intent, prompt }
+async function classifyIntent(input, models) {
+    const prompt = renderPrompt("classify_intent");
+    const response = noteModel(models, "extract", await structuredCompletion("extract", {
+        name: prompt.name,
+        schema: prompt.output_schema,
+        messages: [
+            { role: "system", content: "Tu es le tri du service client." },
+            { role: "user", content: [textPart(prompt.text), conversationPart(input)] }
+        ]
+    }));
+    return { ...routeClassification(response.data), prompt: { name: prompt.name, version: prompt.version } };
+}
 
-            Colis livré ou disponible : partage l’enthousiasme et la bonne nouvelle.
+// Numéro à suivre chez 17TRACK pour une commande internationale : celui de la conversation,
+// sinon le colis mis en avant parmi ceux de la commande (Sendcloud et méta Woo, suivis par 17TRACK)
+async function internationalTrackingNumber(identifiers, resolution) {
+    if (identifiers?.tracking_number) return identifiers.tracking_number;
+    const wooOrder = resolution.woo_order;
+    if (!wooOrder) return null;
+    const found = await resolveOrderParcels(wooOrder.number ?? wooOrder.id, wooOrder, resolution.logs || [],
+        trackingNumberFromMeta(wooOrder), { tracker: track17Tracking });
+    return found.tracking_number;
+}
 
-            Gestion du retard et des responsabilités
+function intentInstructions(intent) {
+    return renderPrompt("inbox_instructions", { [intent]: true }).text.trim();
+}
 
-            Si un retard est visible ou probable, présente des excuses sincères pour l’attente.
+app.post("/sav/inbox", upload.single("image"), guard("sav"), caseRecorder, async (req, res) => {
+    const models = req.savCase.models;
+    try {
+        const text = String(req.body.text || "").trim();
+        if (!req.file && !text) return sendError(req, res, 400, ERROR_CODES.MISSING_INPUT, "Erreur: Image ou texte manquant");
+        if (unsupportedLanguage(req)) return sendUnsupportedLanguage(req, res);
+        if (writebackError(req)) return sendWritebackError(req, res);
+        const input = req.file ? { file: req.file } : { text };
+        if (!req.file) req.savCase.text = text;
+        const langOverride = languageOverrideOf(req);
+
+        const { prompt: classifyPrompt, ...intent } = await classifyIntent(input, models);
+        req.savCase.prompts.push(classifyPrompt);
+        req.savCase.intent = intent;
+        console.log(`📥 Inbox : ${intent.intent} (${intent.confidence})${intent.routed_intent !== intent.intent ? `, traité comme ${intent.routed_intent}` : ""}`);
+        res.setHeader("X-Intent", intent.routed_intent);
+
+        const reply = async (pipeline, body) => sendResult(req, res, body.draft, { intent, pipeline, ...body, models, writeback: await traceOnOrder(req, body) });
+        const general = async instructionsIntent => {
+            const out = await draftGeneralReply({ input, instructions: intentInstructions(instructionsIntent), langOverride }, req.savCase);
+            return await reply("general", { language: out.language, draft: out.draft.text, style: out.draft.style, prompt: out.prompt });
+        };
 
-            Explique avec douceur que les délais dépendent du transporteur ou des douanes.
+        if (intent.routed_intent === "return_exchange") {
+            const ret = await handleReturnRequest(input, { orderNumber: req.body.order_number, langOverride, baseUrl: publicBaseUrl(req) }, req.savCase);
+            res.setHeader("X-Return-Status", ret.status);
+            // Service indisponible : réponse d'attente, un agent reprendra le retour
+            if (!ret.draft) return await general("return_exchange");
+            if (ret.status === "ambiguous") {
+                res.setHeader('X-Order-Candidates', ret.payload.resolution.candidates.map(c => c.order_number).join(","));
+            }
+            return await reply("return", { ...ret.payload, draft: ret.draft.text, style: ret.draft.style, prompt: ret.draft.prompt });
+        }
+        if (intent.routed_intent !== "where_is_my_order") return await general(intent.routed_intent);
 
-            Précise que, de ton côté, aucune action directe n’est possible à ce stade, tout en restant solidaire de la cliente.
+        const analysis = await analyzeConversation(input, { orderNumber: req.body.order_number, langOverride }, req.savCase);
+        if (analysis.draft) {
+            if (analysis.resolution.status === "ambiguous") {
+                res.setHeader('X-Order-Candidates', analysis.resolution.candidates.map(c => c.order_number).join(","));
+            }
+            const { draft } = analysis;
+            return await reply("analyze", { ...analysis.payload, draft: draft.text, style: draft.style, prompt: draft.prompt });
+        }
 
-            Règles de forme (non négociables)
+        // Commande internationale : suivi 17TRACK, comme /sav/respond
+        const trackingNumber = await internationalTrackingNumber(analysis.payload.identifiers, analysis.resolution);
+        if (!trackingNumber) return await general("where_is_my_order");
+        console.log(`1. Tracking international : ${trackingNumber}`);
+        const intl = await draftInternationalReply({ trackingNumber, input, langOverride, knownLanguage: analysis.payload.language }, req.savCase);
+        return await reply("respond", {
+            ...analysis.payload,
+            tracking: { tracking_number: trackingNumber, shipment: intl.shipment, links: intl.links },
+            language: intl.language,
+            draft: intl.draft.text,
+            style: intl.draft.style,
+            prompt: intl.prompt
+        });
+    } catch (e) {
+        console.error(e);
+        return sendFailure(req, res, e, "Bonjour,\n\nUne erreur technique m'empêche de répondre. Pourriez-vous reformuler ?\n\nMerci,\nRobin 🌞");
+    }
+});
 
-            Ton : solaire, empathique, rassurant, professionnel, humain
+// ==========================================
+// ROUTE 4-C : RETOURS ET ÉCHANGES (/sav/return)
+// ==========================================
+// Capture (image) ou texte (text). La commande est retrouvée comme pour /sav/analyze (champ
+// order_number pour trancher). Articles : champ items (un par ligne ou séparés par des virgules,
+// "x2" pour la quantité), sinon ceux cités dans la conversation, sinon l'article unique de la commande.
+// Politique de retour, colis Sendcloud et registre : lib/returns.js. Un retour déjà créé pour les
+// mêmes articles et la même raison est réutilisé : jamais de seconde étiquette pour une requête rejouée.
+// La commande Woo reçoit une note privée et la méta RETURN_META_KEY (défaut _sav_returns) ; un
+// échec de cette écriture est signalé (woo.error) sans bloquer la réponse.
+// Lien de l'étiquette : GET /returns/<id>/label?token=... (sans clé API) sur PUBLIC_BASE_URL,
+// à défaut l'hôte de la requête. Champ writeback : trace SAV sur la commande, comme /sav/analyze.
+// Statut (JSON "return_status", en-tête X-Return-Status) : created | existing | refused | needs_items
+//   | ambiguous | not_found | label_failed | upstream_unavailable
+
+const RETURN_META_KEY = process.env.RETURN_META_KEY || "_sav_returns";
+
+const RETURN_REFUSAL_TEXTS = {
+    not_shipped: "la commande n'est pas encore expédiée",
+    order_closed: "la commande est annulée ou déjà remboursée",
+    not_delivered: "le colis n'est pas encore livré",
+    worn: "bijou déjà porté",
+    window_expired: "délai de retour dépassé",
+    hygiene: "bijou de piercing, non repris pour des raisons d'hygiène",
+    hygiene_opened: "bijou de piercing dont l'emballage scellé a été ouvert (hygiène)"
+};
+
+const RETURN_CONDITION_TEXTS = {
+    unworn: "le bijou ne doit pas avoir été porté",
+    sealed: "les bijoux de piercing doivent être renvoyés dans leur emballage scellé d'origine"
+};
+
+// Renvoie { items, reason, worn, opened, exchange, exchange_for, prompt }
+async function extractReturnDetails(input, models) {
+    const prompt = renderPrompt("extract_return");
+    const response = noteModel(models, "extract", await structuredCompletion("extract", {
+        name: prompt.name,
+        schema: prompt.output_schema,
+        messages: [
+            { role: "system", content: "Tu es un extracteur de données techniques." },
+            { role: "user", content: [textPart(prompt.text), conversationPart(input)] }
+        ]
+    }));
+    return { ...response.data, prompt: { name: prompt.name, version: prompt.version } };
+}
 
-            Vouvoiement obligatoire
+function itemRequestsOf(field) {
+    return String(field || "").split(/[\n,;]/).map(s => s.trim()).filter(Boolean);
+}
 
-            Début : Bonjour [Prénom si disponible],
+function publicBaseUrl(req) {
+    return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+}
 
-            Structure :
+const describeItems = items => items.map(it => ` - ${it.name} x${it.quantity}`).join("\n");
+
+// Colis retour + étiquette, sous verrou par commande. Renvoie { record, created } ;
+// lève une erreur si Sendcloud refuse ou ne répond pas (rien n'est alors enregistré).
+// request : { reason, exchange_for }
+async function createOrReuseReturn(order, items, request, customer) {
+    return withLock(`return ${order.id}`, async () => {
+        const existing = findOpenReturn(order.number ?? order.id, items, request);
+        if (existing) return { record: existing, created: false };
+
+        const id = newReturnId();
+        const parcel = await sendcloudCreateReturnParcel(returnParcelPayload(order, items, id));
+        if (!parcel?.id) throw new Error("Sendcloud n'a pas renvoyé de colis retour");
+        const record = saveReturn({
+            id,
+            order_number: String(order.number ?? order.id),
+            items: items.map(({ name, quantity, sku, product_id }) => ({ name, quantity, sku, product_id })),
+            ...request,
+            customer,
+            parcel_id: parcel.id,
+            tracking_number: parcel.tracking_number || null,
+            tracking_url: parcel.tracking_url || null,
+            label_url: parcelLabelUrl(parcel),
+            label_saved: false,
+            woo: null
+        });
+        console.log(`↩️ Retour ${record.id} créé (commande ${record.order_number}, colis Sendcloud ${parcel.id})`);
+        await storeReturnLabel(record);
+        return { record, created: true };
+    });
+}
 
-            WhatsApp : concis et fluide
+// Copie locale de l'étiquette : le lien public reste valable même si Sendcloud ne répond plus.
+// Un échec n'est pas bloquant, le lien public retentera le téléchargement.
+async function storeReturnLabel(record) {
+    if (!record.label_url) return null;
+    try {
+        const label = await sendcloudDownloadLabel(record.label_url);
+        saveLabel(record.id, label.buffer);
+        return label.buffer;
+    } catch (e) {
+        console.error(`⚠️ Étiquette du retour ${record.id} non téléchargée :`, e.message);
+        return null;
+    }
+}
 
-            Email : légèrement plus structuré
+// Note privée et méta sur la commande Woo (une seule fois par retour)
+async function recordReturnOnOrder(order, record) {
+    if (record.woo?.recorded) return record;
+    const items = record.items.map(it => `${it.name} x${it.quantity}`).join(", ");
+    const note = [
+        `Retour SAV ${record.id} : ${items}.`,
+        `Raison : ${record.reason}${record.exchange_for ? `, échange souhaité : ${record.exchange_for}` : ""}.`,
+        `Colis retour Sendcloud ${record.parcel_id}${record.tracking_number ? `, suivi ${record.tracking_number}` : ""}.`
+    ].join("\n");
+    try {
+        const previous = order.meta_data?.find(m => m.key === RETURN_META_KEY)?.value;
+        const entries = (Array.isArray(previous) ? previous : []).filter(r => r?.id !== record.id);
+        const created = await wooAddOrderNote(order.id, note);
+        await wooUpdateOrderMeta(order.id, {
+            [RETURN_META_KEY]: [...entries, {
+                id: record.id,
+                items: record.items,
+                reason: record.reason,
+                exchange_for: record.exchange_for,
+                parcel_id: record.parcel_id,
+                tracking_number: record.tracking_number,
+                created_at: record.created_at
+            }]
+        });
+        return updateReturn(record.id, { woo: { recorded: true, note_id: created?.id ?? null, error: null } });
+    } catch (e) {
+        console.error(`⚠️ Retour ${record.id} non inscrit sur la commande ${order.id} :`, e.message);
+        return updateReturn(record.id, { woo: { recorded: false, note_id: null, error: e.message } });
+    }
+}
 
-            Emoji : 1 seul emoji maximum dans le corps du texte (hors signature)
+// Renvoie { text, style, prompt }
+async function draftReturnReply(ctx, input, models, promptVersion = null, lang = DEFAULT_LANGUAGE) {
+    const prompt = renderPrompt("sav_return", {
+        ...languagePromptVariables(lang),
+        first_name: ctx.first_name,
+        order_found: ctx.order_found,
+        ambiguous_orders: ctx.ambiguous_orders,
+        needs_items: ctx.needs_items,
+        order_reason: ctx.order_reason,
+        accepted_items: ctx.accepted_items,
+        refused_items: ctx.refused_items,
+        conditions: ctx.conditions,
+        label_link: ctx.label_link,
+        label_pending: ctx.label_pending,
+        tracking_link: ctx.tracking_link,
+        exchange_for: ctx.exchange_for,
+        window_days: ctx.window_days
+    }, { version: promptVersion });
+
+    const messages = [
+        { role: "system", content: prompt.text },
+        { role: "user", content: [textPart("Voici la conversation avec le client."), conversationPart(input)] }
+    ];
+    const response = noteModel(models, "draft", await chatCompletion("draft", { messages }));
+    const draft = await enforceBrandStyle(response.text, {
+        firstName: ctx.first_name !== "Client" ? ctx.first_name : null,
+        trackingLinks: [ctx.label_link].filter(Boolean),
+        lang
+    }, draftRegenerator(messages, response.text, models));
+    return { ...draft, prompt: { name: prompt.name, version: prompt.version } };
+}
 
-            Interdit :
+// Chaîne complète : extraction, commande, éligibilité, étiquette, trace Woo, brouillon.
+// Renvoie { status, payload, draft }
+async function handleReturnRequest(input, { orderNumber = null, items = null, langOverride = null, promptVersion = null, baseUrl }, savCase) {
+    const models = savCase.models;
+    const [extracted, { prompt: detailsPrompt, ...details }] = await Promise.all([extractIdentifiers(input, models), extractReturnDetails(input, models)]);
+    savCase.prompts.push(extracted.prompt, detailsPrompt);
+    if (orderNumber) extracted.identifiers.order_number = String(orderNumber).trim();
+    const requests = itemRequestsOf(items).length ? itemRequestsOf(items) : details.items;
+    const resolution = await resolveTrackingLogic(extracted.identifiers, {
+        country: extracted.customer_country,
+        products: [...(extracted.product_names || []), ...requests]
+    });
 
-            ne jamais utiliser le tiret cadratin —
+    // Commande sans colis : la résolution du suivi ne la renvoie pas, mais un retour en a besoin
+    if (!resolution.woo_order && extracted.identifiers.order_number && !resolution.status) {
+        resolution.woo_order = await wooFetchOrderById(extracted.identifiers.order_number);
+        if (resolution.woo_order) resolution.via = "order_number";
+    }
+    const order = resolution.woo_order;
+    const language = resolveLanguage({
+        override: langOverride,
+        detected: extracted.customer_language,
+        locale: orderLocale(order),
+        country: order?.shipping?.country || order?.billing?.country || extracted.customer_country
+    });
+    const analysis = { ...analysisPayload(extracted, resolution, models, linkLanguage(language)), language };
+    noteCaseResolution(savCase, analysis, order);
+    savCase.language = language;
+    const policy = returnPolicy();
+    const ctx = {
+        first_name: order?.billing?.first_name || extracted.customer_first_name || "Client",
+        order_found: !!order,
+        window_days: policy.window_days
+    };
+    const payload = { ...analysis, request: { ...details, unmatched_items: [] }, eligibility: null, return: null, woo: null };
+    const finish = async status => {
+        const draft = status === "upstream_unavailable" ? null : await draftReturnReply(ctx, input, models, promptVersion, language.code);
+        if (draft) {
+            savCase.draft = draft.text;
+            savCase.prompts.push(draft.prompt);
+        }
+        savCase.return = { id: payload.return?.id ?? null, status };
+        return { status, payload: { ...payload, return_status: status }, draft };
+    };
 
-            ne jamais mentionner l’image, la capture d’écran ou l’analyse visuelle
+    // Sans les colis, impossible de savoir si la commande est partie ni de créer l'étiquette
+    if (resolution.status === "upstream_unavailable") return finish("upstream_unavailable");
+    if (!order) {
+        if (resolution.status === "ambiguous") ctx.ambiguous_orders = resolution.candidates.map(describeOrderChoice).join("\n");
+        return finish(resolution.status === "ambiguous" ? "ambiguous" : "not_found");
+    }
 
-            ne jamais parler comme un système automatisé
+    // Commande internationale : la résolution s'arrête avant les colis, il faut leur statut et leur
+    // date de livraison, lus chez 17TRACK comme pour /sav/respond (Sendcloud ne suit pas la fin du trajet)
+    let parcels = resolution.parcels;
+    if (!parcels) {
+        const tracker = checkInternational(order) ? track17Tracking : undefined;
+        parcels = (await resolveOrderParcels(order.number ?? order.id, order, resolution.logs, trackingNumberFromMeta(order), { tracker })).parcels;
+    }
 
-            Action obligatoire
-            Inclure systématiquement ce lien de suivi à la fin du message :
-            https://www.laposte.fr/outils/suivre-vos-envois?code=${trackingNumber}
+    const selection = selectReturnItems(order.line_items, requests);
+    payload.request.unmatched_items = selection.unmatched;
+    if (!selection.items.length) {
+        ctx.needs_items = describeItems(summarizeOrder(order).items);
+        return finish("needs_items");
+    }
 
-            Signature obligatoire
-            Robin 🌞` 
-            }
-        ];
+    const eligibility = checkReturnEligibility(order, parcels, selection.items, details, { policy });
+    payload.eligibility = eligibility;
+    const accepted = eligibility.items.filter(it => it.eligible);
+    const refused = eligibility.items.filter(it => !it.eligible);
+    if (eligibility.order_reason) ctx.order_reason = RETURN_REFUSAL_TEXTS[eligibility.order_reason];
+    else if (refused.length) ctx.refused_items = refused.map(it => ` - ${it.name} x${it.quantity} : ${RETURN_REFUSAL_TEXTS[it.reason]}`).join("\n");
+    if (!accepted.length) return finish("refused");
 
-        if (req.file) {
-            const b64 = req.file.buffer.toString("base64");
-            messagesPayload.push({
-                role: "user",
-                content: [
-                    { type: "text", text: "Voici la conversation avec le client. Adapte ton ton." },
-                    { type: "image_url", image_url: { url: `data:${req.file.mimetype};base64,${b64}` } }
-                ]
-            });
-        } else {
-            messagesPayload.push({ role: "user", content: "Rédige la réponse." });
-        }
+    ctx.accepted_items = describeItems(accepted);
+    const conditions = [...new Set(accepted.flatMap(it => it.conditions))];
+    ctx.conditions = conditions.length ? conditions.map(c => ` - ${RETURN_CONDITION_TEXTS[c]}`).join("\n") : null;
+    ctx.exchange_for = details.exchange ? details.exchange_for || "à préciser" : null;
 
-        const gptResponse = await openai.chat.completions.create({
-            model: "gpt-5",
-            messages: messagesPayload
+    let outcome;
+    try {
+        outcome = await createOrReuseReturn(order, accepted, { reason: details.reason, exchange_for: ctx.exchange_for }, {
+            first_name: order.billing?.first_name || null,
+            email: order.billing?.email || null,
+            phone: order.billing?.phone || null
         });
-
-        console.log("✅ Réponse générée.");
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        return res.send(gptResponse.choices[0].message.content);
-
     } catch (e) {
-        console.error("❌ ERREUR REPONSE:", e);
-        res.status(500).send(`Erreur serveur: ${e.message}`);
+        console.error(`❌ Colis retour non créé (commande ${order.id}) :`, e.message);
+        payload.label_error = e.message;
+        ctx.label_pending = true;
+        return finish("label_failed");
     }
-});
 
-// ==========================================
-// ROUTE 4 : SAV GÉNÉRAL (/sav/general)
-// ==========================================
+    const record = await recordReturnOnOrder(order, outcome.record);
+    savCase.tracking_numbers = [...(savCase.tracking_numbers || []), record.tracking_number];
+    payload.return = {
+        id: record.id,
+        created_at: record.created_at,
+        items: record.items,
+        parcel_id: record.parcel_id,
+        tracking_number: record.tracking_number,
+        tracking_url: record.tracking_url,
+        label_link: `${baseUrl}/returns/${record.id}/label?token=${record.token}`
+    };
+    payload.woo = record.woo;
+    ctx.label_link = payload.return.label_link;
+    ctx.tracking_link = record.tracking_url;
+    return finish(outcome.created ? "created" : "existing");
+}
 
-app.post("/sav/general", upload.single("image"), async (req, res) => {
+app.post("/sav/return", upload.single("image"), guard("sav"), caseRecorder, async (req, res) => {
     try {
-        if (!req.file) return res.status(400).send("Erreur: Image manquante");
-        const instructions = req.body.instructions || "Analyse ce message et réponds de manière pertinente.";
-        const b64 = req.file.buffer.toString("base64");
-        const dataUrl = `data:${req.file.mimetype};base64,${b64}`;
-
-        const systemPrompt = `
-        Tu es Robin du service après vente de Solstice Bijoux.
-        TON STYLE : Vouvoiement. "Bonjour [Prénom],". 1 emoji max. Signature : "Robin 🌞". Pas de tiret "—".
-        OBJECTIF: Répondre selon les instructions : "${instructions}"
-        `;
-
-        const response = await openai.chat.completions.create({
-            model: "gpt-5",
-            messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: [{ type: "image_url", image_url: { url: dataUrl } }] }
-            ]
-        });
-
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        return res.send(response.choices[0].message.content);
+        const text = String(req.body.text || "").trim();
+        if (!req.file && !text) return sendError(req, res, 400, ERROR_CODES.MISSING_INPUT, "Erreur: Image ou texte manquant");
+        if (!promptExists("sav_return", promptVersionOf(req))) return sendUnknownPromptVersion(req, res, "sav_return");
+        if (unsupportedLanguage(req)) return sendUnsupportedLanguage(req, res);
+        if (writebackError(req)) return sendWritebackError(req, res);
+        if (!req.file) req.savCase.text = text;
+
+        const { status, payload, draft } = await handleReturnRequest(req.file ? { file: req.file } : { text }, {
+            orderNumber: req.body.order_number,
+            items: req.body.items,
+            langOverride: languageOverrideOf(req),
+            promptVersion: promptVersionOf(req),
+            baseUrl: publicBaseUrl(req)
+        }, req.savCase);
+
+        res.setHeader("X-Return-Status", status);
+        if (status === "ambiguous") {
+            res.setHeader('X-Order-Candidates', payload.resolution.candidates.map(c => c.order_number).join(","));
+        }
+        if (!draft) {
+            return sendError(req, res, 503, ERROR_CODES.UPSTREAM_UNAVAILABLE, `Erreur: ${payload.resolution.unavailable} indisponible`,
+                `${payload.resolution.unavailable} indisponible, commande non vérifiée`);
+        }
+        const body = { ...payload, draft: draft.text, style: draft.style, prompt: draft.prompt };
+        return sendResult(req, res, draft.text, { ...body, writeback: await traceOnOrder(req, body) });
     } catch (e) {
         console.error(e);
-        res.status(500).setHeader('Content-Type', 'text/plain; charset=utf-8');
-        return res.send("Erreur lors de la génération de la réponse.\n\nRobin 🌞");
+        return sendFailure(req, res, e, "Bonjour,\n\nUne erreur technique m'empêche de répondre. Pourriez-vous reformuler ?\n\nMerci,\nRobin 🌞");
     }
 });
 
+// Lien envoyé à la cliente : pas de clé API, le jeton du retour fait foi
+app.get("/returns/:id/label", async (req, res) => {
+    const record = isReturnId(req.params.id) ? getReturn(req.params.id) : null;
+    if (!record || !checkLabelToken(record, req.query.token)) {
+        return res.status(404).json({ ok: false, error: { code: ERROR_CODES.NOT_FOUND, message: "Étiquette inconnue" } });
+    }
+    const pdf = readLabel(record.id) || await storeReturnLabel(record);
+    if (!pdf) {
+        return res.status(503).json({ ok: false, error: { code: ERROR_CODES.UPSTREAM_UNAVAILABLE, message: "Étiquette momentanément indisponible, réessayez dans quelques minutes" } });
+    }
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="retour-${record.order_number}.pdf"`);
+    res.send(pdf);
+});
+
+// GET /returns?order_number= : retours créés par le pont, les plus récents d'abord (sans jeton)
+app.get("/returns", guard("sav"), (req, res) => {
+    const items = listReturns({ order_number: req.query.order_number || null }).map(({ token, ...r }) => r);
+    res.json({ ok: true, count: items.length, items });
+});
+
 // ==========================================
 // ROUTE 5 : SOURCES TOP 10 (Mode Texte Brut)
 // ==========================================
 // ==========================================
 
-app.post("/sources/top10", upload.none(), async (req, res) => {
+app.post("/sources/top10", upload.none(), guard("sources"), async (req, res) => {
     console.log("\n🔵 [ROUTE /sources/top10] Demande (Format Texte)...");
 
     try {
@@ -560,20 +1207,10 @@ app.post("/sources/top10", upload.none(), async (req, res) => {
         const assistantId = process.env.SOURCES_ASSISTANT_ID;
         if (!assistantId) return res.status(500).send("Erreur: Config ID manquante");
 
-        const thread = await openai.beta.threads.create();
-        await openai.beta.threads.messages.create(thread.id, {
-            role: "user",
-            content: userText
-        });
-
-        const run = await openai.beta.threads.runs.createAndPoll(thread.id, {
-            assistant_id: assistantId,
-        });
+        const run = await runAssistant("sources", { assistantId, text: userText });
 
         if (run.status === 'completed') {
-            const messages = await openai.beta.threads.messages.list(thread.id);
-            const lastMessage = messages.data.find(m => m.role === 'assistant');
-            let responseText = lastMessage?.content?.[0]?.text?.value || "Pas de réponse.";
+            let responseText = run.text || "Pas de réponse.";
 
             // Nettoyage des annotations de source [4:0†source] pour que ce soit propre
             responseText = responseText.replace(/【.*?】/g, '');
@@ -590,172 +1227,238 @@ app.post("/sources/top10", upload.none(), async (req, res) => {
 
     } catch (e) {
         console.error(e);
-        return res.status(500).send(`Erreur Serveur : ${e.message}`);
+        return sendFailure(req, res, e, `Erreur Serveur : ${e.message}`);
+    }
+});
+
+// ==========================================
+// ROUTE 5-B : REGISTRE DES PROMPTS (aperçu avant mise en production)
+// ==========================================
+
+app.get("/prompts", guard("admin"), (req, res) => {
+    res.json({ prompts: listPrompts() });
+});
+
+// Corps : { version?, variables: { ... } } (JSON ou formulaire). Renvoie le texte rendu.
+app.post("/prompts/:name/render", upload.none(), guard("admin"), (req, res) => {
+    const version = req.body.version || req.body.prompt_version || null;
+    let variables = req.body.variables || {};
+    if (typeof variables === "string") {
+        try {
+            variables = JSON.parse(variables);
+        } catch (e) {
+            return sendError(req, res, 400, ERROR_CODES.INVALID_PROMPT_VARIABLES, "Erreur: variables doit être un objet JSON");
+        }
+    }
+    try {
+        const prompt = renderPrompt(req.params.name, variables, { version });
+        return sendResult(req, res, prompt.text, prompt);
+    } catch (e) {
+        if (!ERROR_CODES[e.code]) {
+            console.error(e);
+            return sendError(req, res, 500, ERROR_CODES.INTERNAL_ERROR, `Erreur serveur: ${e.message}`, e.message);
+        }
+        return sendError(req, res, e.code === "UNKNOWN_PROMPT" ? 404 : 400, e.code, `Erreur: ${e.message}`, e.message);
     }
 });
 
 // ==========================================
 // CONFIGURATION DE L'HISTORIQUE
 // ==========================================
-// On stocke ça à la racine du serveur.
-// Sur Railway, ce fichier existe tant que le serveur ne redémarre pas.
+// Les conversations sont stockées par utilisateur + ID dans DATA_DIR/conversations.
+// L'ancien fichier global n'est plus lu que pour être importé au démarrage.
 const HISTORY_FILE = path.join(process.cwd(), "coach_history.json");
 
 // ==========================================
 // ROUTE 6-A : DÉMARRAGE TÂCHE (ASYNC)
 // ==========================================
-app.post("/chat/start", upload.single("image"), async (req, res) => {
+app.post("/chat/start", upload.single("image"), guard("chat"), async (req, res) => {
     // 1. Récupération des paramètres
     // On force la conversion en booléen car le form-data envoie souvent des strings "true"/"false"
     const isNewThread = req.body.new_thread === "true" || req.body.new_thread === true;
+    let user, conversationId;
+    try {
+        user = cleanId(req.body.user, DEFAULT_USER);
+        conversationId = cleanId(req.body.conversation_id, DEFAULT_CONVERSATION);
+    } catch (e) {
+        return res.status(400).json({ status: "error", message: e.message });
+    }
     
-    // 2. Création du ticket
-    const ticketId = "ticket_" + Date.now();
+    // 2. Création du ticket (persisté sur disque avec tout ce qu'il faut pour le rejouer)
+    const ticket = createTicket({
+        message: req.body.message || req.body.prompt,
+        new_thread: isNewThread,
+        user,
+        conversation_id: conversationId,
+        prompt_version: req.body.prompt_version || null,
+        api_key_id: req.apiKey?.id ?? null
+    }, req.file);
+    const ticketId = ticket.id;
     console.log(`\n🎫 Nouveau ticket créé : ${ticketId} (Nouvelle discussion : ${isNewThread})`);
 
-    // 3. Initialisation du statut dans la mémoire RAM
-    tasks[ticketId] = { status: "pending", result: null };
-
-    // 4. Réponse immédiate à l'iPhone (pour éviter le timeout)
+    // 3. Réponse immédiate à l'iPhone (pour éviter le timeout)
     res.json({ ticket_id: ticketId, status: "pending", message: "Analyse en cours..." });
 
-    // 5. Lancement du travail en arrière-plan
-    processGPTRequest(ticketId, req.body, req.file, isNewThread).catch(err => {
-        console.error(`❌ Erreur Background ${ticketId}:`, err);
-        tasks[ticketId] = { status: "error", result: "Erreur interne lors du traitement." };
-    });
+    // 4. Lancement du travail en arrière-plan
+    runChatTicket(ticketId);
 });
 
 // ==========================================
-// FONCTION DE TRAITEMENT (Cerveau & Mémoire)
+// EXÉCUTION DES TICKETS (avec retry automatique)
 // ==========================================
-async function processGPTRequest(ticketId, body, file, isNewThread) {
-    const userMessage = body.message || body.prompt;
-    const PROMPT_ID = "pmpt_6901002708c0819682d17ea7dddecc5d09ec040d95dda014"; // Ton ID de prompt
+const TICKET_RETRY_DELAY_MS = Number(process.env.TICKET_RETRY_DELAY_MS || 5000);
+const runningTickets = new Set();
 
-    // --- A. GESTION DE LA MÉMOIRE (FICHIER JSON) ---
-    
-    let conversation = [];
+async function runChatTicket(ticketId) {
+    const current = getTicket(ticketId);
+    if (runningTickets.has(ticketId) || !current || !["pending", "running"].includes(current.status)) return;
+    const ticket = markRunning(ticketId);
+    runningTickets.add(ticketId);
 
-    // Si on demande une nouvelle discussion, on supprime l'ancien fichier s'il existe
-    if (isNewThread) {
-        if (fs.existsSync(HISTORY_FILE)) {
-            try {
-                fs.unlinkSync(HISTORY_FILE);
-                console.log("🗑️ Historique effacé (Nouvelle discussion).");
-            } catch (e) {
-                console.error("Erreur suppression historique:", e);
-            }
-        }
-    } else {
-        // Sinon, on essaie de charger l'historique existant
-        if (fs.existsSync(HISTORY_FILE)) {
-            try {
-                const rawData = fs.readFileSync(HISTORY_FILE, "utf-8");
-                conversation = JSON.parse(rawData);
-                console.log(`📂 Historique chargé : ${conversation.length} messages précédents.`);
-            } catch (e) {
-                console.error("Erreur lecture historique (repart à 0):", e);
-                conversation = [];
-            }
+    try {
+        // Ticket repris au démarrage ou retenté : le contexte de la requête d'origine est reconstitué
+        const replyText = await withUsageContext({ route: "/chat/start", key: ticket.input.api_key_id ?? null },
+            () => processGPTRequest(ticketId, ticket.input, loadTicketFile(ticket), ticket.input.new_thread));
+        markDone(ticketId, replyText);
+    } catch (err) {
+        console.error(`❌ [${ticketId}] Erreur (tentative ${ticket.attempts}):`, err);
+        const overBudget = err.code === ERROR_CODES.BUDGET_EXCEEDED;
+        const willRetry = markFailed(ticketId, overBudget ? `Budget OpenAI dépassé, réessayez plus tard. (${err.message})`
+            : "Désolé, une erreur s'est produite avec l'IA.", { retry: !overBudget });
+        if (willRetry) {
+            // Backoff linéaire : 5s, 10s, 15s...
+            setTimeout(() => runChatTicket(ticketId), TICKET_RETRY_DELAY_MS * ticket.attempts).unref();
         }
+    } finally {
+        runningTickets.delete(ticketId);
     }
+}
 
-    // --- B. AJOUT DU NOUVEAU MESSAGE UTILISATEUR ---
-    
-    // On prépare l'objet message actuel
-    const currentUserMsg = { 
-        role: "user", 
-        content: userMessage,
-        hasImage: !!file // Petit marqueur pour savoir si ce message a une image
-    };
-    
-    // On l'ajoute à la liste temporaire (pas encore sauvegardé)
-    conversation.push(currentUserMsg);
+// ==========================================
+// FONCTION DE TRAITEMENT (Cerveau & Mémoire)
+// ==========================================
+// Le prompt du coach est hébergé chez OpenAI : son ID et sa version par défaut viennent de la config
+const COACH_PROMPT_ID = process.env.COACH_PROMPT_ID || "pmpt_6901002708c0819682d17ea7dddecc5d09ec040d95dda014";
 
-    // --- C. PRÉPARATION POUR OPENAI ---
-    // On transforme l'historique simple en format complexe attendu par ton appel `responses.create`
-    
-    const inputsArray = conversation.map(msg => {
-        const contentBlock = [];
+function coachPrompt(version) {
+    const v = version || process.env.COACH_PROMPT_VERSION;
+    return v ? { id: COACH_PROMPT_ID, version: String(v) } : { id: COACH_PROMPT_ID };
+}
+
+// Renvoie le texte de la réponse ; lève une erreur si l'appel modèle échoue (le ticket sera retenté)
+async function processGPTRequest(ticketId, body, file, isNewThread) {
+    const userMessage = body.message || body.prompt;
+    const user = conversationOwner(body.api_key_id, body.user || DEFAULT_USER);
+    const conversationId = body.conversation_id || DEFAULT_CONVERSATION;
+
+    // Tout le traitement se fait sous verrou : deux tickets sur la même conversation
+    // passent l'un après l'autre (le second voit la réponse du premier).
+    return withConversation(user, conversationId, async (stored) => {
+
+        // --- A. GESTION DE LA MÉMOIRE (une conversation par utilisateur + ID) ---
         
-        // Gestion du texte
-        if (msg.content) {
-            contentBlock.push({ 
-                // Si c'est l'assistant, c'est une sortie (output), sinon entrée (input)
-                type: (msg.role === "assistant" ? "output_text" : "input_text"), 
-                text: msg.content 
-            });
+        let conversation = stored;
+
+        // Nouvelle discussion : on repart de zéro pour CETTE conversation uniquement
+        // (rien n'est écrit avant la réponse du modèle, donc un échec ne perd pas l'ancien historique)
+        if (isNewThread || !conversation) {
+            if (isNewThread && conversation) console.log(`🗑️ [${conversationId}] Historique remis à zéro (Nouvelle discussion).`);
+            conversation = newConversation(user, conversationId);
+        } else {
+            console.log(`📂 [${conversationId}] Historique chargé : ${conversation.messages.length} messages précédents.`);
         }
 
-        // Gestion de l'image (Uniquement pour le message ACTUEL qui vient d'arriver)
-        // (On ne renvoie pas les anciennes images pour économiser la bande passante/tokens, sauf si nécessaire)
-        if (msg === currentUserMsg && file) {
-             const b64 = file.buffer.toString("base64");
-             contentBlock.push({ 
-                 type: "image_url", 
-                 image_url: { url: `data:${file.mimetype};base64,${b64}` } 
-             });
+        // --- B. AJOUT DU NOUVEAU MESSAGE UTILISATEUR ---
+        
+        // On prépare l'objet message actuel
+        const currentUserMsg = { 
+            role: "user", 
+            content: userMessage,
+            hasImage: !!file, // Petit marqueur pour savoir si ce message a une image
+            at: new Date().toISOString()
+        };
+        
+        // On l'ajoute à la liste (pas encore sauvegardé)
+        conversation.messages.push(currentUserMsg);
+        if (!conversation.title && userMessage) conversation.title = userMessage.substring(0, 60);
+
+        // Conversation trop longue pour le contexte du modèle : on résume les anciens messages
+        if (needsCompaction(conversation)) {
+            console.log(`🧹 [${conversationId}] Conversation longue, résumé des anciens messages...`);
+            await compactConversation(conversation, summarizeCoachHistory);
         }
 
-        return { role: msg.role, content: contentBlock };
-    });
+        // --- C. PRÉPARATION POUR OPENAI ---
+        // On transforme l'historique simple en format attendu par `responses.create`
+        
+        const inputsArray = contextMessages(conversation).map(msg => {
+            const contentBlock = [];
+            
+            // Gestion du texte (le fournisseur choisit input_text / output_text selon le rôle)
+            if (msg.content) {
+                contentBlock.push(textPart(msg.content));
+            }
 
-    console.log(`🤖 [${ticketId}] Envoi à OpenAI (${inputsArray.length} messages dans le contexte)...`);
+            // Gestion de l'image (Uniquement pour le message ACTUEL qui vient d'arriver)
+            // (On ne renvoie pas les anciennes images pour économiser la bande passante/tokens, sauf si nécessaire)
+            if (msg === currentUserMsg && file) {
+                 contentBlock.push(imagePart(file));
+            }
 
-    // --- D. APPEL API ---
-    
-    try {
-        const response = await openai.responses.create({
-            model: "gpt-5.2", // Ton modèle spécifique
-            prompt: { "id": PROMPT_ID },
+            return { role: msg.role, content: contentBlock };
+        });
+
+        console.log(`🤖 [${ticketId}] Envoi à OpenAI (${inputsArray.length} messages dans le contexte)...`);
+
+        // --- D. APPEL API ---
+        
+        const response = await createResponse("coach", {
+            prompt: coachPrompt(body.prompt_version),
             input: inputsArray,
             store: true // Stockage côté OpenAI
         });
 
         // --- E. RÉCUPÉRATION DE LA RÉPONSE ---
         
-        let replyText = "Pas de réponse intelligible.";
-        
-        // Logique robuste pour trouver le texte dans la réponse
-        if (response.output_text) {
-            replyText = response.output_text;
-        } else if (response.content) {
-            const t = response.content.find(c => c.type === 'output_text' || c.type === 'text');
-            if (t) replyText = t.text || t.value;
-        } else if (response.choices && response.choices[0]) {
-            replyText = response.choices[0].message.content;
-        }
+        const replyText = response.text || "Pas de réponse intelligible.";
 
         console.log(`✅ [${ticketId}] Réponse reçue : "${replyText.substring(0, 30)}..."`);
 
         // --- F. SAUVEGARDE DE LA MÉMOIRE ---
         
         // On ajoute la réponse de l'IA à l'historique
-        conversation.push({ role: "assistant", content: replyText });
+        conversation.messages.push({ role: "assistant", content: replyText, at: new Date().toISOString() });
         
-        // On écrit le tout dans le fichier JSON sur le serveur
+        // Écriture atomique du fichier de la conversation
         try {
-            fs.writeFileSync(HISTORY_FILE, JSON.stringify(conversation, null, 2));
-            console.log("💾 Historique mis à jour sur le disque.");
+            saveConversation(conversation);
+            console.log(`💾 [${conversationId}] Historique mis à jour sur le disque.`);
         } catch (e) {
             console.error("⚠️ Impossible de sauvegarder l'historique:", e);
         }
 
-        // --- G. MISE À JOUR DU TICKET ---
-        tasks[ticketId] = { status: "done", result: replyText };
+        return replyText;
+    });
+}
 
-    } catch (e) {
-        console.error(`❌ [${ticketId}] Erreur OpenAI:`, e);
-        tasks[ticketId] = { status: "error", result: "Désolé, une erreur s'est produite avec l'IA." };
-    }
+// Résumé incrémental des anciens messages (ancien résumé + messages sortis de la fenêtre)
+async function summarizeCoachHistory(previousSummary, messages) {
+    const transcript = messages.map(m => `${m.role === "assistant" ? "Coach" : "Utilisateur"} : ${m.content || ""}`).join("\n");
+    const response = await chatCompletion("coach", {
+        model: process.env.COACH_SUMMARY_MODEL || "gpt-4o-mini",
+        messages: [
+            { role: "system", content: "Tu résumes une conversation de coaching. Garde les faits, décisions, préférences et questions en suspens. 15 lignes maximum." },
+            { role: "user", content: `${previousSummary ? `Résumé existant :\n${previousSummary}\n\n` : ""}Nouveaux échanges :\n${transcript}` }
+        ]
+    });
+    return response.text;
 }
 
 // ==========================================
 // ROUTE 6-B : VÉRIFICATION STATUT (POLLING)
 // ==========================================
 // AJOUT IMPORTANT : "upload.none()" permet de lire le formulaire envoyé par l'iPhone
-app.post("/chat/check", upload.none(), async (req, res) => {
+app.post("/chat/check", upload.none(), guard("chat"), async (req, res) => {
     try {
         const ticketId = req.body.ticket_id;
         
@@ -766,24 +1469,25 @@ app.post("/chat/check", upload.none(), async (req, res) => {
              return res.json({ status: "error", message: "Aucun ticket_id reçu" });
         }
 
-        const task = tasks[ticketId];
+        sweepTickets();
+        const task = getTicket(ticketId);
 
         if (!task) {
-            // Si le ticket n'existe pas, c'est peut-être que le serveur a redémarré
-            // ou que l'ID est mauvais.
-            return res.json({ status: "pending", message: "Ticket introuvable ou expiré" });
+            // ID jamais vu (ou purgé depuis longtemps) : on le dit clairement pour stopper le polling
+            return res.json({ status: "unknown", message: "Ticket inconnu" });
         }
 
-        if (task.status === "done") {
-            // C'est fini ! On envoie la réponse et on nettoie la mémoire
+        if (task.status === "expired") {
+            res.json({ status: "expired", message: "Ticket expiré, merci de relancer la demande." });
+        } else if (task.status === "done") {
+            // C'est fini ! Le résultat reste relisible pendant la période de grâce
+            markChecked(ticketId);
             res.json({ status: "done", reply: task.result });
-            delete tasks[ticketId]; // Ménage
         } else if (task.status === "error") {
-            res.json({ status: "error", message: task.result });
-            delete tasks[ticketId];
+            res.json({ status: "error", message: task.error });
         } else {
-            // Encore en cours
-            res.json({ status: "pending" });
+            // Encore en cours (ou en attente d'une nouvelle tentative)
+            res.json({ status: "pending", attempts: task.attempts });
         }
     } catch (error) {
         console.error("Erreur dans /chat/check:", error);
@@ -792,69 +1496,553 @@ app.post("/chat/check", upload.none(), async (req, res) => {
 });
 
 // ==========================================
-// CLIENTS API
-// ==========================================
-async function wooFetchOrdersBySearch(term) {
-  const base = requireEnv("WC_BASE_URL").replace(/\/$/, "");
-  const ck = requireEnv("WC_CONSUMER_KEY");
-  const cs = requireEnv("WC_CONSUMER_SECRET");
-  const url = new URL(`${base}/wp-json/wc/v3/orders`);
-  url.searchParams.set("search", term);
-  url.searchParams.set("per_page", "5");
-  const r = await fetch(url.toString(), { headers: { Authorization: basicAuthHeader(ck, cs) } });
-  if (!r.ok) return [];
-  return await r.json();
-}
-async function wooFetchOrderById(id) {
-    const base = requireEnv("WC_BASE_URL").replace(/\/$/, "");
-    const ck = requireEnv("WC_CONSUMER_KEY");
-    const cs = requireEnv("WC_CONSUMER_SECRET");
-    const r = await fetch(`${base}/wp-json/wc/v3/orders/${id}`, { headers: { Authorization: basicAuthHeader(ck, cs) } });
-    if (!r.ok) return null;
-    return await r.json();
-}
-async function wooLookupBySearchTerm(term) {
-  const orders = await wooFetchOrdersBySearch(term);
-  if (!orders || !orders.length) return { order_number: null };
-  const latest = orders[0];
-  const meta = latest.meta_data || [];
-  const keys = (process.env.TRACKING_META_KEYS || "").split(",").map(s=>s.trim());
-  let tn = null;
-  for(const k of keys) {
-      const hit = meta.find(m => m.key === k && m.value);
-      if(hit) tn = hit.value;
-  }
-  const country = latest.shipping?.country || latest.billing?.country || "FR";
-  return { order_number: latest.id, tracking_number: tn, country: country };
+// ROUTE 6-C : RELANCE D'UN TICKET EN ERREUR
+// ==========================================
+app.post("/chat/retry", upload.none(), guard("chat"), async (req, res) => {
+    const ticketId = req.body.ticket_id;
+    if (!ticketId) return res.status(400).json({ status: "error", message: "Aucun ticket_id reçu" });
+
+    const ticket = requeue(ticketId);
+    if (!ticket) {
+        const existing = getTicket(ticketId);
+        return res.status(existing ? 409 : 404).json({
+            status: existing ? existing.status : "unknown",
+            message: existing ? "Seuls les tickets en erreur peuvent être relancés" : "Ticket inconnu"
+        });
+    }
+
+    runChatTicket(ticketId);
+    return res.json({ ticket_id: ticketId, status: "pending" });
+});
+
+// ==========================================
+// ROUTE 6-D : LISTE DES TICKETS
+// ==========================================
+app.get("/chat/tickets", guard("chat"), (req, res) => {
+    sweepTickets();
+    res.json({ tickets: listTickets({ status: req.query.status }) });
+});
+
+// ==========================================
+// ROUTE 7 : GESTION DES CONVERSATIONS DU COACH
+// ==========================================
+// L'utilisateur est passé en query (?user=) ou dans le formulaire ; défaut "default".
+// Avec l'authentification, il est cloisonné par clé API (owner) : voir conversationOwner.
+
+function conversationParams(req, res) {
+    try {
+        const user = cleanId(req.query.user ?? req.body?.user, DEFAULT_USER);
+        return {
+            user,
+            owner: conversationOwner(req.apiKey?.id, user),
+            id: req.params.id !== undefined ? cleanId(req.params.id) : null
+        };
+    } catch (e) {
+        res.status(400).json({ ok: false, error: e.message });
+        return null;
+    }
+}
+
+app.get("/chat/conversations", guard("chat"), (req, res) => {
+    const params = conversationParams(req, res);
+    if (!params) return;
+    res.json({ user: params.user, conversations: listConversations(params.owner) });
+});
+
+app.get("/chat/conversations/:id/export", guard("chat"), (req, res) => {
+    const params = conversationParams(req, res);
+    if (!params) return;
+    const conversation = loadConversation(params.owner, params.id);
+    if (!conversation) return res.status(404).json({ ok: false, error: "Conversation introuvable" });
+
+    const format = String(req.query.format || "json").toLowerCase();
+    const isMarkdown = format === "md" || format === "markdown";
+    res.setHeader("Content-Type", isMarkdown ? "text/markdown; charset=utf-8" : "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${params.id}.${isMarkdown ? "md" : "json"}"`);
+    return res.send(exportConversation(conversation, format));
+});
+
+app.patch("/chat/conversations/:id", upload.none(), guard("chat"), async (req, res) => {
+    const params = conversationParams(req, res);
+    if (!params) return;
+    if (!req.body.title) return res.status(400).json({ ok: false, error: "Champ 'title' manquant" });
+    const conversation = await renameConversation(params.owner, params.id, req.body.title);
+    if (!conversation) return res.status(404).json({ ok: false, error: "Conversation introuvable" });
+    res.json({ ok: true, id: conversation.id, title: conversation.title });
+});
+
+app.post("/chat/conversations/:id/truncate", upload.none(), guard("chat"), async (req, res) => {
+    const params = conversationParams(req, res);
+    if (!params) return;
+    const keepLast = Math.max(0, parseInt(req.body.keep_last ?? "0", 10) || 0);
+    const conversation = await truncateConversation(params.owner, params.id, keepLast);
+    if (!conversation) return res.status(404).json({ ok: false, error: "Conversation introuvable" });
+    res.json({ ok: true, id: conversation.id, message_count: conversation.messages.length });
+});
+
+app.delete("/chat/conversations/:id", guard("chat"), async (req, res) => {
+    const params = conversationParams(req, res);
+    if (!params) return;
+    const deleted = await deleteConversation(params.owner, params.id);
+    if (!deleted) return res.status(404).json({ ok: false, error: "Conversation introuvable" });
+    res.json({ ok: true });
+});
+
+// ==========================================
+// ROUTE 7 : CLÉS API (admin)
+// ==========================================
+
+// Corps : { label, scopes ("sav,chat" ou liste), expires_at?, expires_in_days?, rate_limit? }
+app.post("/admin/keys", upload.none(), guard("admin"), (req, res) => {
+    const { label, scopes, expires_at, expires_in_days, rate_limit } = req.body;
+    try {
+        let expiresAt = expires_at || null;
+        if (!expiresAt && expires_in_days) {
+            const expires = new Date(Date.now() + Number(expires_in_days) * 86400000);
+            if (!(Number(expires_in_days) > 0) || Number.isNaN(expires.getTime())) {
+                throw new Error(`expires_in_days invalide : ${expires_in_days} (nombre de jours positif attendu)`);
+            }
+            expiresAt = expires.toISOString();
+        }
+        const { key, record } = issueKey({ label, scopes, expiresAt, rateLimit: rate_limit });
+        console.log(`🔑 Clé API émise : ${record.id} (${record.label}, ${record.scopes.join(", ")})`);
+        res.status(201).json({ key, ...record, warning: "Conservez cette clé : elle ne sera plus jamais affichée." });
+    } catch (e) {
+        if (e.code === "KEYS_FILE_UNREADABLE") return res.status(500).json({ ok: false, error: { code: ERROR_CODES.INTERNAL_ERROR, message: e.message } });
+        res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: e.message } });
+    }
+});
+
+app.get("/admin/keys", guard("admin"), (req, res) => {
+    res.json({ keys: listKeys() });
+});
+
+app.delete("/admin/keys/:id", guard("admin"), (req, res) => {
+    const record = revokeKey(req.params.id);
+    if (!record) return res.status(404).json({ ok: false, error: { code: ERROR_CODES.NOT_FOUND, message: "Clé inconnue" } });
+    console.log(`🔒 Clé API révoquée : ${record.id} (${record.label})`);
+    res.json(record);
+});
+
+// ==========================================
+// ROUTE 8 : CONSOMMATION OPENAI
+// ==========================================
+// ?from=AAAA-MM-JJ&to=AAAA-MM-JJ (défaut : mois en cours)
+app.get("/usage", guard("admin"), (req, res) => {
+    const { from, to } = req.query;
+    if ((from && !isCalendarDay(from)) || (to && !isCalendarDay(to))) {
+        return res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: "from / to : date AAAA-MM-JJ valide attendue" } });
+    }
+    res.json(usageReport({ from, to }));
+});
+
+// ==========================================
+// ROUTE 9 : WEBHOOKS ET MESSAGES PROACTIFS
+// ==========================================
+// Sendcloud (changement de statut d'un colis) et WooCommerce (commande créée / modifiée)
+// alimentent l'état local des colis (lib/shipment-state.js). Un colis qui passe en incident,
+// en retour expéditeur ou en point de retrait donne un brouillon Robin proactif, mis en
+// file de relecture (lib/review-queue.js) : rien n'est envoyé sans validation d'un agent.
+// Ces routes n'ont pas de clé API : la signature du corps fait foi (lib/webhooks.js).
+
+// Brouillon proactif pour un colis passé dans un statut à risque (au plus un par colis et par statut)
+async function queueProactiveDraft(state, webhookShipment) {
+    return withLock(`proactive:${state.tracking_number}`, async () => {
+        if (findReviewItem(state.tracking_number, state.status)) return null;
+        const models = [];
+
+        // Historique complet si Sendcloud répond, statut du webhook dans tous les cas
+        let shipment = webhookShipment;
+        try {
+            const full = await sendcloudTracking.track(state.tracking_number);
+            if (full.found) shipment = { ...full, status: webhookShipment.status, status_label: webhookShipment.status_label ?? full.status_label };
+        } catch (e) {
+            console.warn(`⚠️ Historique du colis ${state.tracking_number} indisponible : ${e.message}`);
+        }
+
+        let order = getOrderState(state.order_number);
+        if (!order && state.order_number) {
+            try {
+                const wooOrder = await wooFetchOrderById(state.order_number);
+                if (wooOrder) order = recordOrder(wooOrder, trackingNumberFromMeta(wooOrder));
+            } catch (e) {
+                console.warn(`⚠️ Commande ${state.order_number} indisponible : ${e.message}`);
+            }
+        }
+
+        const firstName = order?.first_name || state.customer?.first_name || null;
+        const destination = order?.country || state.customer?.country || shipment.destination;
+        const language = resolveLanguage({ locale: order?.locale, country: destination });
+        const link = linksForShipment(shipment, { trackingNumber: state.tracking_number, destination, lang: linkLanguage(language) })?.localized_url ?? null;
+        const prompt = renderPrompt("sav_proactive", {
+            ...languagePromptVariables(language.code),
+            first_name: firstName,
+            shipment_block: shipmentPromptBlock(shipment),
+            tracking_link: link,
+            items: order?.items.map(i => `${i.name} x${i.quantity}`).join(", ") || null,
+            [state.status]: true
+        });
+        const messages = [
+            { role: "system", content: prompt.text },
+            { role: "user", content: "Rédige le message." }
+        ];
+        const response = noteModel(models, "draft", await chatCompletion("draft", { messages }));
+        const draft = await enforceBrandStyle(response.text, { firstName, trackingLinks: link ? [link] : [], lang: language.code },
+            draftRegenerator(messages, response.text, models));
+
+        const item = enqueueReview({
+            kind: "proactive",
+            trigger: state.status,
+            tracking_number: state.tracking_number,
+            order_number: state.order_number,
+            customer: {
+                first_name: firstName,
+                email: order?.email || state.customer?.email || null,
+                country: destination || null
+            },
+            language: language.code,
+            draft: draft.text,
+            style: draft.style,
+            prompt: { name: prompt.name, version: prompt.version },
+            models
+        });
+        console.log(`📬 Brouillon proactif en relecture : ${item.id} (${state.tracking_number}, ${state.status})`);
+        return item;
+    });
 }
-async function sendcloudGet(path) {
-  const pub = requireEnv("SENDCLOUD_PUBLIC_KEY");
-  const sec = requireEnv("SENDCLOUD_SECRET_KEY");
-  const r = await fetch(`https://panel.sendcloud.sc${path}`, { headers: { Authorization: basicAuthHeader(pub, sec) } });
-  if (!r.ok) throw new Error(`Sendcloud error: ${r.status}`);
-  return await r.json();
+
+function sendUnauthorizedWebhook(res, source) {
+    console.warn(`🚫 Webhook ${source} refusé : signature invalide`);
+    return res.status(401).json({ ok: false, error: { code: ERROR_CODES.UNAUTHORIZED, message: "Signature invalide" } });
 }
-async function sendcloudFindParcelByOrderNumber(order_number) {
-  const q = encodeURIComponent(String(order_number));
-  return await sendcloudGet(`/api/v2/parcels?order_number=${q}`);
+
+// Corps Sendcloud : { action: "parcel_status_changed", timestamp, parcel: { tracking_number, order_number, status: { id, message }, ... } }
+app.post("/webhooks/sendcloud", (req, res) => {
+    if (!verifySendcloudSignature(req.rawBody, req.get("Sendcloud-Signature"))) return sendUnauthorizedWebhook(res, "Sendcloud");
+
+    const { action, parcel, timestamp } = req.body || {};
+    const trackingNumber = parcelTrackingNumber(parcel);
+    if (action !== "parcel_status_changed" || !trackingNumber) return res.json({ ok: true, ignored: action ?? null });
+
+    const webhookShipment = fromSendcloud({
+        carrier_code: parcel.carrier?.code,
+        to_country: parcel.country?.iso_2,
+        status: parcel.status,
+        statuses: []
+    }, trackingNumber);
+    const { shipment: state, previous_status, changed } = recordShipmentStatus({
+        tracking_number: trackingNumber,
+        order_number: parcel.order_number || null,
+        carrier: webhookShipment.carrier,
+        status: webhookShipment.status,
+        status_label: webhookShipment.status_label,
+        sendcloud_status_id: parcel.status?.id ?? null,
+        customer: {
+            first_name: String(parcel.name || "").trim().split(/\s+/)[0] || null,
+            email: parcel.email || null,
+            country: webhookShipment.destination
+        },
+        at: toIso(timestamp)
+    });
+    console.log(`📦 Webhook Sendcloud : ${trackingNumber} ${previous_status ?? "nouveau"} -> ${state.status}`);
+
+    // Réponse immédiate : le brouillon est rédigé en arrière-plan
+    const proactive = changed && PROACTIVE_STATUSES.includes(state.status);
+    if (proactive) {
+        withUsageContext({ route: "/webhooks/sendcloud", key: null }, () => queueProactiveDraft(state, webhookShipment))
+            .catch(e => console.error(`❌ Brouillon proactif impossible (${trackingNumber}) :`, e.message));
+    }
+    res.json({ ok: true, tracking_number: trackingNumber, status: state.status, previous_status, proactive_draft: proactive });
+});
+
+// Ping envoyé par Woo à l'enregistrement du webhook : "webhook_id=<n>" seul, sans sujet ni signature
+function isWooPing(req) {
+    const body = req.body || {};
+    return !req.get("X-WC-Webhook-Topic") && Object.keys(body).length === 1 && /^\d+$/.test(String(body.webhook_id ?? ""));
 }
-async function sendcloudTrackByTrackingNumber(tn) {
-    const q = encodeURIComponent(String(tn));
-    return await sendcloudGet(`/api/v2/tracking/${q}`);
+
+// Corps WooCommerce : la commande complète ; sujet dans l'en-tête X-WC-Webhook-Topic
+app.post("/webhooks/woocommerce", (req, res) => {
+    const topic = req.get("X-WC-Webhook-Topic") || null;
+    // Signature d'abord : sans elle, seul le ping exact reçoit une réponse (et rien n'est traité)
+    if (!verifyWooSignature(req.rawBody, req.get("X-WC-Webhook-Signature"))) {
+        return isWooPing(req) ? res.json({ ok: true, ping: true }) : sendUnauthorizedWebhook(res, "WooCommerce");
+    }
+    if (!topic && req.body?.webhook_id) return res.json({ ok: true, ping: true });
+
+    if (!["order.created", "order.updated"].includes(topic)) return res.json({ ok: true, ignored: topic });
+    const order = req.body;
+    if (!order?.id) return res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: "Commande sans id" } });
+
+    const record = recordOrder(order, trackingNumberFromMeta(order));
+    console.log(`🛒 Webhook WooCommerce : ${topic} ${record.order_number} (${record.status})`);
+    res.json({ ok: true, order_number: record.order_number, status: record.status, tracking_number: record.tracking_number });
+});
+
+// État local des colis ; ?status=exception (valeurs de SHIPMENT_STATUS)
+app.get("/shipments", guard("sav"), (req, res) => {
+    res.json({ shipments: listShipmentStates({ status: req.query.status || null }) });
+});
+
+// File de relecture ; ?status=pending|approved|rejected
+app.get("/review-queue", guard("sav"), (req, res) => {
+    const status = req.query.status || null;
+    if (status && !REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: `status : ${REVIEW_STATUSES.join(", ")}` } });
+    }
+    res.json({ items: listReviewItems({ status }) });
+});
+
+app.get("/review-queue/:id", guard("sav"), (req, res) => {
+    const item = isReviewId(req.params.id) ? getReviewItem(req.params.id) : null;
+    if (!item) return res.status(404).json({ ok: false, error: { code: ERROR_CODES.NOT_FOUND, message: "Brouillon inconnu" } });
+    res.json(item);
+});
+
+// Corps : { draft? (texte corrigé par l'agent), note? }
+for (const [action, decision] of [["approve", "approved"], ["reject", "rejected"]]) {
+    app.post(`/review-queue/:id/${action}`, upload.none(), guard("sav"), (req, res) => {
+        if (!isReviewId(req.params.id)) return res.status(404).json({ ok: false, error: { code: ERROR_CODES.NOT_FOUND, message: "Brouillon inconnu" } });
+        try {
+            const item = reviewItem(req.params.id, decision, {
+                draft: decision === "approved" ? req.body.draft || null : null,
+                note: req.body.note || null,
+                reviewer: req.apiKey?.label ?? null
+            });
+            if (!item) return res.status(404).json({ ok: false, error: { code: ERROR_CODES.NOT_FOUND, message: "Brouillon inconnu" } });
+            console.log(`📝 Brouillon ${item.id} ${decision === "approved" ? "approuvé" : "rejeté"}`);
+            res.json(item);
+        } catch (e) {
+            res.status(409).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: e.message } });
+        }
+    });
 }
-function pickTrackingNumberFromParcelsResponse(payload) {
-  const candidates = payload?.parcels ?? payload?.results ?? payload?.data ?? (payload?.parcel ? [payload.parcel] : []);
-  const list = Array.isArray(candidates) ? candidates : [];
-  if (!list.length) return null;
-  const first = list[0];
-  return first?.tracking_number || first?.tracking?.tracking_number || null;
+
+// ==========================================
+// ROUTE 10 : RAPPORT DES COLIS BLOQUÉS
+// ==========================================
+// Commandes récentes dont le colis n'avance plus (lib/stuck-parcels.js).
+// GET /reports/stuck-parcels?days=&no_tracking_days=&no_event_days=&customs_days=
+//     &sort=days_stuck|order_date|country|carrier|customer&order=asc|desc&drafts=1&format=csv
+//   drafts=1 : brouillon Robin pour chaque commande signalée (un appel LLM par ligne)
+// Exécution planifiée : toutes les STUCK_REPORT_INTERVAL_HOURS heures (0 ou absent : jamais).
+// Le rapport est enregistré (GET /reports/stuck-parcels/latest) et, avec STUCK_REPORT_DRAFTS=on,
+// chaque commande signalée reçoit un brouillon en file de relecture (un seul par colis, ou
+// par commande sans colis, et par combinaison de signaux).
+
+const STUCK_REPORT_INTERVAL_HOURS = Number(process.env.STUCK_REPORT_INTERVAL_HOURS || 0);
+const STUCK_REPORT_DRAFTS = ["on", "1", "true"].includes(String(process.env.STUCK_REPORT_DRAFTS || "").toLowerCase());
+const STUCK_THRESHOLD_PARAMS = ["days", "no_tracking_days", "no_event_days", "customs_days"];
+
+// Brouillon Robin pour une ligne du rapport : { text, style, prompt }
+async function draftStuckMessage(row, models) {
+    const prompt = renderPrompt("sav_stuck", {
+        ...languagePromptVariables(row.language),
+        first_name: row.customer.first_name,
+        order_number: row.order_number,
+        days_stuck: row.days_stuck,
+        shipment_block: row.shipment ? shipmentPromptBlock(row.shipment) : null,
+        tracking_link: row.link,
+        items: row.items.map(i => `${i.name} x${i.quantity}`).join(", ") || null,
+        ...Object.fromEntries(row.flags.map(flag => [flag, true]))
+    });
+    const messages = [
+        { role: "system", content: prompt.text },
+        { role: "user", content: "Rédige le message." }
+    ];
+    const response = noteModel(models, "draft", await chatCompletion("draft", { messages }));
+    const draft = await enforceBrandStyle(response.text, { firstName: row.customer.first_name, trackingLinks: row.link ? [row.link] : [], lang: row.language },
+        draftRegenerator(messages, response.text, models));
+    return { text: draft.text, style: draft.style, prompt: { name: prompt.name, version: prompt.version } };
 }
 
-app.get("/health", (req, res) => res.json({ ok: true }));
+// Un brouillon raté (budget, modèles indisponibles) n'empêche pas le reste du rapport
+async function addStuckDrafts(rows, models) {
+    for (const row of rows) {
+        try {
+            row.draft = (await draftStuckMessage(row, models)).text;
+        } catch (e) {
+            console.warn(`⚠️ Brouillon impossible pour la commande ${row.order_number} : ${e.message}`);
+            row.draft = null;
+            row.draft_error = e.message;
+        }
+    }
+}
+
+// Brouillons en file de relecture pour le rapport planifié (pas de doublon d'une exécution à l'autre)
+async function queueStuckDrafts(rows) {
+    for (const row of rows) {
+        const trigger = `stuck:${row.flags.join("+")}`;
+        const existing = findReviewItem(row.tracking_number, trigger, row.order_number);
+        if (existing) {
+            row.review_id = existing.id;
+            continue;
+        }
+        try {
+            const models = [];
+            const draft = await draftStuckMessage(row, models);
+            const item = enqueueReview({
+                kind: "stuck",
+                trigger,
+                tracking_number: row.tracking_number,
+                order_number: row.order_number,
+                customer: { first_name: row.customer.first_name, email: row.customer.email, country: row.country },
+                language: row.language,
+                draft: draft.text,
+                style: draft.style,
+                prompt: draft.prompt,
+                models
+            });
+            row.review_id = item.id;
+        } catch (e) {
+            console.warn(`⚠️ Brouillon impossible pour la commande ${row.order_number} : ${e.message}`);
+        }
+    }
+}
+
+let stuckReportRunning = false;
+
+async function runScheduledStuckReport() {
+    if (stuckReportRunning) return;
+    stuckReportRunning = true;
+    try {
+        const report = await buildStuckParcelReport();
+        if (STUCK_REPORT_DRAFTS) await queueStuckDrafts(report.rows);
+        saveStuckParcelReport(report);
+        console.log(`🚨 Rapport colis bloqués : ${report.rows.length} commande(s) signalée(s) sur ${report.orders_checked}`
+            + (report.skipped.length ? `, ${report.skipped.length} non vérifiée(s)` : ""));
+    } catch (e) {
+        console.error("❌ Rapport colis bloqués impossible :", e.message);
+    } finally {
+        stuckReportRunning = false;
+    }
+}
+
+function sendStuckReport(req, res, report, rows) {
+    const sort = req.query.sort || "days_stuck";
+    const order = req.query.order || (sort === "days_stuck" ? "desc" : "asc");
+    if (!STUCK_SORT_FIELDS.includes(sort) || !["asc", "desc"].includes(order)) {
+        return res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: `sort : ${STUCK_SORT_FIELDS.join(", ")} ; order : asc, desc` } });
+    }
+    const sorted = sortRows(rows, sort, order);
+    if (req.query.format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="stuck-parcels-${report.generated_at.substring(0, 10)}.csv"`);
+        return res.send(toCsv(sorted));
+    }
+    res.json({ ...report, count: sorted.length, rows: sorted });
+}
+
+app.get("/reports/stuck-parcels", guard("sav"), async (req, res) => {
+    const overrides = {};
+    for (const name of STUCK_THRESHOLD_PARAMS) {
+        if (req.query[name] === undefined) continue;
+        const value = Number(req.query[name]);
+        if (!Number.isInteger(value) || value < 0) {
+            return res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: `${name} : nombre de jours entier attendu` } });
+        }
+        overrides[name] = value;
+    }
+    try {
+        const report = await buildStuckParcelReport(overrides);
+        const models = [];
+        if (req.query.drafts === "1") await addStuckDrafts(report.rows, models);
+        sendStuckReport(req, res, { ...report, models }, report.rows.map(publicRow));
+    } catch (e) {
+        console.error("❌ Rapport colis bloqués impossible :", e.message);
+        const status = isUpstreamUnavailable(e) ? 503 : 500;
+        res.status(status).json({ ok: false, error: { code: status === 503 ? ERROR_CODES.UPSTREAM_UNAVAILABLE : ERROR_CODES.INTERNAL_ERROR, message: e.message } });
+    }
+});
+
+// Dernier rapport planifié (mêmes paramètres sort, order et format)
+app.get("/reports/stuck-parcels/latest", guard("sav"), (req, res) => {
+    const report = latestStuckParcelReport();
+    if (!report) return res.status(404).json({ ok: false, error: { code: ERROR_CODES.NOT_FOUND, message: "Aucun rapport enregistré" } });
+    sendStuckReport(req, res, report, report.rows);
+});
+
+// ==========================================
+// ROUTE 11 : DOSSIERS SAV
+// ==========================================
+// Chaque requête /sav/* laisse un dossier (lib/case-log.js), numéro dans l'en-tête X-Case-Id.
+// GET /cases?order_number=&email=&phone=&tracking_number=&route=&limit= (défaut 50, max 500)
+app.get("/cases", guard("sav"), (req, res) => {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: "limit : entier entre 1 et 500" } });
+    }
+    const { order_number, email, phone, tracking_number, route, intent } = req.query;
+    res.json({ cases: searchCases({ order_number, email, phone, tracking_number, route, intent, limit }) });
+});
+
+app.get("/cases/:id", guard("sav"), (req, res) => {
+    const found = isCaseId(req.params.id) ? getCase(req.params.id) : null;
+    if (!found) return res.status(404).json({ ok: false, error: { code: ERROR_CODES.NOT_FOUND, message: "Dossier inconnu" } });
+    res.json(found);
+});
+
+// ==========================================
+// ROUTE 12 : DONNÉES PERSONNELLES (admin)
+// ==========================================
+// DELETE /privacy/subject { email?, phone? } : efface toute trace de la personne dans les
+// fichiers du pont (lib/privacy.js). Rétention : purge planifiée, voir RETENTION_DAYS_*.
+const PRIVACY_PURGE_INTERVAL_HOURS = Number(process.env.PRIVACY_PURGE_INTERVAL_HOURS || 24);
+
+async function runPrivacyPurge() {
+    try {
+        const report = await purgeExpiredData({ legacyHistoryFile: HISTORY_FILE });
+        console.log("🧹 Purge des données expirées :", JSON.stringify(report));
+    } catch (e) {
+        console.error("❌ Purge des données expirées impossible :", e.message);
+    }
+}
+
+app.delete("/privacy/subject", upload.none(), guard("admin"), async (req, res) => {
+    const email = req.body?.email || req.query.email || null;
+    const phone = req.body?.phone || req.query.phone || null;
+    const subject = parseSubject({ email, phone });
+    if (!subject) {
+        return res.status(400).json({ ok: false, error: { code: ERROR_CODES.INVALID_REQUEST, message: "email ou phone (valide) obligatoire" } });
+    }
+    try {
+        const erased = await eraseSubject(subject, { legacyHistoryFile: HISTORY_FILE });
+        console.log(`🗑️ Effacement RGPD (${subject.email ?? subject.phone.e164}) :`, JSON.stringify(erased));
+        res.json({ ok: true, erased });
+    } catch (e) {
+        console.error("❌ Effacement RGPD impossible :", e.message);
+        res.status(500).json({ ok: false, error: { code: ERROR_CODES.INTERNAL_ERROR, message: e.message } });
+    }
+});
+
+// Publique (sonde Railway)
+app.get("/health", (req, res) => res.json({ ok: true, llm_breakers: llmBreakers() }));
 
 const port = process.env.PORT || 3000;
 const server = app.listen(port, () => console.log(`Listening on ${port}`));
 
 // 🛑 ANTI-TIMEOUT
 server.keepAliveTimeout = 300 * 1000; 
-server.headersTimeout = 305 * 1000;
\ No newline at end of file
+server.headersTimeout = 305 * 1000;
+
+// 📦 Import unique de l'ancien historique global
+importLegacyHistory(HISTORY_FILE);
+
+// 🎫 Reprise des tickets interrompus par un redémarrage + ménage périodique
+for (const ticket of unfinishedTickets()) {
+    console.log(`🔁 Reprise du ticket ${ticket.id}`);
+    runChatTicket(ticket.id);
+}
+setInterval(sweepTickets, 60 * 1000).unref();
+
+// 🚨 Rapport planifié des colis bloqués
+if (STUCK_REPORT_INTERVAL_HOURS > 0) {
+    setInterval(() => withUsageContext({ route: "/reports/stuck-parcels", key: null }, runScheduledStuckReport),
+        STUCK_REPORT_INTERVAL_HOURS * 3600 * 1000).unref();
+}
+
+// 🧹 Rétention des données clientes (RETENTION_DAYS_*)
+if (retentionEnabled()) {
+    runPrivacyPurge();
+    setInterval(runPrivacyPurge, PRIVACY_PURGE_INTERVAL_HOURS * 3600 * 1000).unref();
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startServer, tempDir } from "./support.js";
+
+// Routes d'administration : émission des clés API, rapport de consommation
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test("/admin/keys émet une clé qui expire après expires_in_days", async () => {
+    const res = await server.post("/admin/keys", { label: "iPhone de test", scopes: "sav", expires_in_days: "30" });
+    assert.equal(res.status, 201);
+    const body = await res.json();
+    assert.match(body.key, /^sb_/);
+    const days = (Date.parse(body.expires_at) - Date.now()) / 86400000;
+    assert.ok(days > 29 && days <= 30);
+});
+
+test("/admin/keys refuse un expires_in_days invalide (400)", async () => {
+    for (const value of ["abc", "-5", "1e20"]) {
+        const res = await server.post("/admin/keys", { label: "iPhone de test", scopes: "sav", expires_in_days: value });
+        assert.equal(res.status, 400, value);
+        assert.equal((await res.json()).error.code, "INVALID_REQUEST");
+    }
+});
+
+test("/admin/keys refuse un rate_limit qui n'est pas un entier positif (400)", async () => {
+    for (const value of ["0", "-1", "abc", "2.5"]) {
+        const res = await server.post("/admin/keys", { label: "iPhone de test", scopes: "sav", rate_limit: value });
+        assert.equal(res.status, 400, value);
+        assert.equal((await res.json()).error.code, "INVALID_REQUEST");
+    }
+    const ok = await server.post("/admin/keys", { label: "iPhone de test", scopes: "sav", rate_limit: "120" });
+    assert.equal(ok.status, 201);
+    assert.equal((await ok.json()).rate_limit, 120);
+});
+
+test("/usage refuse une date qui n'existe pas (400)", async () => {
+    for (const query of ["from=2026-13-45", "to=2026-02-30", "from=2026-1-5"]) {
+        const res = await server.get(`/usage?${query}`);
+        assert.equal(res.status, 400, query);
+        assert.equal((await res.json()).error.code, "INVALID_REQUEST");
+    }
+    const ok = await server.get("/usage?from=2026-01-01&to=2026-01-31");
+    assert.equal(ok.status, 200);
+    assert.equal((await ok.json()).total.calls, 0);
+});
+
+test("un api-keys.json corrompu n'est jamais écrasé", async () => {
+    const dataDir = tempDir();
+    const file = path.join(dataDir, "api-keys.json");
+    fs.writeFileSync(file, "{ \"abc\": ");
+    const guarded = await startServer({ API_AUTH: "on", ADMIN_API_KEY: "admin-test-key", DATA_DIR: dataDir });
+    try {
+        const res = await guarded.post("/admin/keys", { label: "iPhone de test", scopes: "sav" }, { headers: { "X-API-Key": "admin-test-key" } });
+        assert.equal(res.status, 500);
+        assert.equal((await res.json()).error.code, "INTERNAL_ERROR");
+        const other = await guarded.get("/cases", { headers: { "X-API-Key": "sb_0123456789ab_abcdefghijklmnopqrstuvwxyz" } });
+        assert.equal(other.status, 500);
+        assert.equal(fs.readFileSync(file, "utf-8"), "{ \"abc\": ");
+        assert.match(guarded.logs(), /api-keys\.json illisible/);
+    } finally {
+        await guarded.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkBrandStyle, enforceBrandStyle } from "../lib/brand-style.js";
+
+const draft = body => `Bonjour Inès,\n\n${body}\n\nBelle journée,\nRobin 🌞`;
+
+test("em_dash : seul le tiret cadratin est corrigé", async () => {
+    const hours = draft("Notre service client répond de 9h–18h.");
+    assert.deepEqual(checkBrandStyle(hours), []);
+
+    const { text, style } = await enforceBrandStyle(draft("Votre colis est parti — il arrive demain."));
+    assert.ok(style.fixed.includes("em_dash"));
+    assert.ok(text.includes("Votre colis est parti, il arrive demain."));
+});
+
+test("tracking_link : le lien manquant est inséré avant la formule de fin", async () => {
+    const url = "https://suivi.example/CB204816320FR";
+    const { text, style } = await enforceBrandStyle(draft("Votre colis est en route."), { trackingLinks: [url] });
+    assert.ok(style.fixed.includes("tracking_link"));
+    assert.equal(text, `Bonjour Inès,\n\nVotre colis est en route.\n\nVotre lien de suivi : ${url}\n\nBelle journée,\nRobin 🌞`);
+
+    const unsigned = await enforceBrandStyle("Bonjour Inès,\n\nVotre colis est en route.", { trackingLinks: [url] });
+    assert.equal(unsigned.text, `Bonjour Inès,\n\nVotre colis est en route.\n\nVotre lien de suivi : ${url}\n\nRobin 🌞`);
+});
+
+test("no_screenshot_mention : la capture d'écran, pas les photos envoyées par la cliente", () => {
+    assert.ok(checkBrandStyle(draft("D'après votre capture d'écran, le colis est en route.")).includes("no_screenshot_mention"));
+    assert.ok(checkBrandStyle(draft("As shown in the screenshot, your parcel is on its way.")).includes("no_screenshot_mention"));
+    assert.deepEqual(checkBrandStyle(draft("Merci pour la photo du bijou, nous vous envoyons un nouvel anneau.")), []);
+    assert.deepEqual(checkBrandStyle(draft("Je vois sur l'image que le fermoir est cassé.")), []);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startServer, tempDir } from "./support.js";
+
+// Conversations du coach : cloisonnement par clé API quand l'authentification est active
+
+const ADMIN = { "X-API-Key": "admin-test-key" };
+
+test("une clé ne voit pas les conversations d'une autre clé, même avec le même user", async () => {
+    const dataDir = tempDir();
+    const guarded = await startServer({ API_AUTH: "on", ADMIN_API_KEY: "admin-test-key", DATA_DIR: dataDir });
+    try {
+        const issue = async label => (await guarded.post("/admin/keys", { label, scopes: "chat" }, { headers: ADMIN })).json();
+        const a = await issue("iPhone A");
+        const b = await issue("iPhone B");
+
+        const now = new Date().toISOString();
+        const owner = `${a.id}--marie`;
+        fs.mkdirSync(path.join(dataDir, "conversations", owner), { recursive: true });
+        fs.writeFileSync(path.join(dataDir, "conversations", owner, "default.json"), JSON.stringify({
+            id: "default", user: owner, title: "Bague Luna", created_at: now, updated_at: now,
+            summary: null, summarized_count: 0, messages: [{ role: "user", content: "Ma bague Luna", at: now }]
+        }));
+
+        const listA = await guarded.get("/chat/conversations?user=marie", { headers: { "X-API-Key": a.key } });
+        assert.equal(listA.status, 200);
+        assert.deepEqual((await listA.json()).conversations.map(c => c.id), ["default"]);
+
+        const listB = await guarded.get("/chat/conversations?user=marie", { headers: { "X-API-Key": b.key } });
+        assert.deepEqual((await listB.json()).conversations, []);
+        const exportB = await guarded.get("/chat/conversations/default/export?user=marie", { headers: { "X-API-Key": b.key } });
+        assert.equal(exportB.status, 404);
+
+        const exportA = await guarded.get("/chat/conversations/default/export?user=marie", { headers: { "X-API-Key": a.key } });
+        assert.equal(exportA.status, 200);
+        assert.match(await exportA.text(), /Ma bague Luna/);
+    } finally {
+        await guarded.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,43 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, CAPTURE_PNG, CAPTURE_SHA256 } from "./support.js";
+
+// Limite douce de budget : le modèle rétrogradé reçoit un format de réponse qu'il accepte
+
+let server;
+
+before(async () => {
+    server = await startServer({
+        USAGE_BUDGETS: JSON.stringify({ total: { daily: { soft: 0 } } }),
+        USAGE_DOWNGRADE: JSON.stringify({ "gpt-5-nano": "legacy-json", "gpt-5-mini": "legacy-json" })
+    }, {
+        // Comme l'API : un modèle sans mode strict refuse un json_schema
+        rules: [
+            { task: "extract", match: { model: "legacy-json", format: "extract_identifiers" }, error: { status: 400, message: "json_schema non pris en charge" } },
+            {
+                task: "extract",
+                match: { model: "legacy-json", image_sha256: CAPTURE_SHA256 },
+                response: {
+                    customer_first_name: "Inès",
+                    identifiers: { email: "ines.laurent@example.fr", phone: null, order_number: null, tracking_number: null },
+                    ocr_text: null,
+                    customer_country: "FR",
+                    customer_language: "fr",
+                    product_names: []
+                }
+            }
+        ]
+    });
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test("extraction structurée avec un modèle rétrogradé sans json_schema strict", async () => {
+    const res = await server.post("/sav/analyze", {}, { file: CAPTURE_PNG });
+    assert.equal(res.status, 200);
+    assert.equal(String((await res.json()).order.order_number), "1004");
+    const usage = await (await server.get("/usage")).json();
+    assert.ok(usage.downgraded_calls > 0);
+});
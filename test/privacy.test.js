@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { subjectMatcher, parseSubject } from "../lib/privacy.js";
+
+// Effacement RGPD : seule la personne demandée est touchée
+
+test("l'email est comparé en entier, sans tenir compte de la casse", () => {
+    const match = subjectMatcher({ email: "Jo@X.fr", phone: null });
+    assert.equal(match({ customer: { email: "jo@x.fr" } }), true);
+    assert.equal(match({ customer: { email: "JO@X.FR" } }), true);
+    assert.equal(match({ text: "écrire à jo@x.fr, merci" }), true);
+    assert.equal(match({ customer: { email: "anjo@x.fr" } }), false);
+    assert.equal(match({ customer: { email: "jo@x.fr.example" } }), false);
+    assert.equal(match({ customer: { email: null } }), false);
+});
+
+test("le téléphone est reconnu quel que soit son format", () => {
+    const match = subjectMatcher(parseSubject({ phone: "06 11 22 33 44" }));
+    assert.equal(match({ customer: { phone: "+33611223344" } }), true);
+    assert.equal(match({ customer: { phone: "0611223344" } }), true);
+    assert.equal(match({ customer: { phone: "0611223345" } }), false);
+});
+
+test("parseSubject refuse une demande sans identifiant exploitable", () => {
+    assert.equal(parseSubject({}), null);
+    assert.equal(parseSubject({ email: "pas-un-email" }), null);
+    assert.equal(parseSubject({ email: " Jo@X.fr " }).email, "jo@x.fr");
+});
@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { redactText } from "../lib/redact.js";
+
+// Masquage des journaux : les données personnelles disparaissent, les numéros de suivi restent
+
+test("emails et téléphones sont masqués", () => {
+    const out = redactText("Cliente ines.laurent@example.fr, tél. 06 11 22 33 44 ou +32470123456");
+    assert.equal(out, "Cliente [email], tél. [téléphone] ou [téléphone]");
+});
+
+test("un téléphone écrit d'un bloc reste masqué", () => {
+    assert.equal(redactText("tel 0611223344"), "tel [téléphone]");
+    assert.equal(redactText("tel 0032470123456"), "tel [téléphone]");
+});
+
+test("les numéros de suivi tout en chiffres restent lisibles", () => {
+    for (const tracking of ["6123456789012", "123456789012"]) {
+        assert.equal(redactText(`Colis ${tracking} en transit`), `Colis ${tracking} en transit`);
+    }
+});
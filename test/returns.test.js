@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkReturnEligibility } from "../lib/returns.js";
+
+// Éligibilité d'un retour (lib/returns.js), sans serveur
+
+const NOW = Date.parse("2026-10-18T12:00:00Z");
+const POLICY = { window_days: 14, hygiene_policy: "sealed", hygiene_keywords: ["piercing"] };
+const ORDER = { status: "completed", date_created: "2026-10-01T10:00:00Z" };
+const LUNA = { name: "Anneau Luna", quantity: 1, sku: "LUNA-01", product_id: 501 };
+const HELIX = { name: "Piercing Hélix", quantity: 2, sku: "HELIX-03", product_id: 503 };
+const UNWORN = { reason: "too_small", worn: false, opened: false };
+
+function parcel(status, items, at = "2026-10-10T09:00:00Z") {
+    return { tracking_number: `CB${status}`, items, shipment: { status, last_update_at: at, events: [{ status, at }] } };
+}
+
+const check = (parcels, items, details = UNWORN, now = NOW) =>
+    checkReturnEligibility(ORDER, parcels, items, details, { now, policy: POLICY });
+
+test("un colis pas encore livré ne se retourne pas", () => {
+    const result = check([parcel("out_for_delivery", [LUNA])], [LUNA]);
+    assert.equal(result.eligible, false);
+    assert.equal(result.order_reason, "not_delivered");
+    assert.equal(result.items[0].reason, "not_delivered");
+});
+
+test("colis livré ou en point de retrait : retour dans le délai", () => {
+    for (const status of ["delivered", "pickup_point"]) {
+        const result = check([parcel(status, [LUNA])], [LUNA]);
+        assert.equal(result.eligible, true, status);
+        assert.equal(result.items[0].reason, "within_window");
+        assert.deepEqual(result.items[0].conditions, ["unworn"]);
+    }
+});
+
+test("commande en deux colis : l'article du colis en route est refusé", () => {
+    const parcels = [parcel("delivered", [LUNA]), parcel("in_transit", [HELIX])];
+    const result = check(parcels, [LUNA, HELIX]);
+    assert.equal(result.order_reason, null);
+    assert.deepEqual(result.items.map(it => [it.name, it.eligible, it.reason]), [
+        ["Anneau Luna", true, "within_window"],
+        ["Piercing Hélix", false, "not_delivered"]
+    ]);
+});
+
+test("bijou porté, délai dépassé, défaut", () => {
+    const delivered = [parcel("delivered", [LUNA])];
+    assert.equal(check(delivered, [LUNA], { ...UNWORN, worn: true }).items[0].reason, "worn");
+    assert.equal(check(delivered, [LUNA], UNWORN, Date.parse("2026-10-30T12:00:00Z")).items[0].reason, "window_expired");
+    const damaged = check(delivered, [LUNA], { reason: "damaged", worn: true, opened: true }, Date.parse("2026-12-01T12:00:00Z"));
+    assert.equal(damaged.eligible, true);
+    assert.equal(damaged.items[0].reason, "defect");
+});
+
+test("bijou de piercing : scellé exigé, refusé s'il a été ouvert", () => {
+    const delivered = [parcel("delivered", [HELIX])];
+    assert.deepEqual(check(delivered, [HELIX]).items[0].conditions, ["unworn", "sealed"]);
+    assert.equal(check(delivered, [HELIX], { ...UNWORN, opened: true }).items[0].reason, "hygiene_opened");
+    const refuse = checkReturnEligibility(ORDER, delivered, [HELIX], UNWORN, { now: NOW, policy: { ...POLICY, hygiene_policy: "refuse" } });
+    assert.equal(refuse.items[0].reason, "hygiene");
+});
+
+test("commande pas expédiée ou close", () => {
+    const processing = checkReturnEligibility({ ...ORDER, status: "processing" }, [], [LUNA], UNWORN, { now: NOW, policy: POLICY });
+    assert.equal(processing.order_reason, "not_shipped");
+    const refunded = checkReturnEligibility({ ...ORDER, status: "refunded" }, [parcel("delivered", [LUNA])], [LUNA], UNWORN, { now: NOW, policy: POLICY });
+    assert.equal(refunded.order_reason, "order_closed");
+});
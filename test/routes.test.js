@@ -0,0 +1,86 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, CAPTURE_PNG } from "./support.js";
+
+// Routes SAV principales, de bout en bout contre le bac à sable et le fournisseur fake
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+test("/health répond sans clé", async () => {
+    const res = await server.get("/health");
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).ok, true);
+});
+
+test("/sav/analyze retrouve la commande par email et donne le lien de suivi", async () => {
+    const res = await server.post("/sav/analyze", {}, { file: CAPTURE_PNG });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("x-case-id"), /^case_/);
+    const body = await res.json();
+    assert.equal(body.ok, true);
+    assert.equal(body.resolution.path, "email");
+    assert.equal(body.order.order_number, 1004);
+    assert.match(body.tracking.tracking_number, /^CB2048163\d{2}FR$/);
+    assert.ok(body.draft.includes(body.tracking.links.localized_url));
+    assert.match(body.draft, /Robin 🌞/);
+});
+
+test("/sav/analyze sans capture : 400 MISSING_IMAGE", async () => {
+    const res = await server.post("/sav/analyze");
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, "MISSING_IMAGE");
+});
+
+test("/sav/analyze renvoie du texte brut au raccourci", async () => {
+    const res = await server.post("/sav/analyze", {}, { file: CAPTURE_PNG, json: false });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain/);
+    assert.match(await res.text(), /^Bonjour/);
+});
+
+test("/sav/extract contrôle la clé du numéro de suivi", async () => {
+    const ok = await server.post("/sav/extract", { raw_text: "Votre colis CB204816320FR est en route" });
+    assert.equal(ok.status, 200);
+    assert.equal((await ok.json()).tracking_number, "CB204816320FR");
+
+    const bad = await server.post("/sav/extract", { raw_text: "Votre colis CB204816321FR est en route" });
+    assert.equal(bad.status, 422);
+    assert.equal((await bad.json()).error.code, "INVALID_TRACKING_NUMBER");
+});
+
+test("/sav/respond rédige la réponse internationale (17TRACK)", async () => {
+    const res = await server.post("/sav/respond", { tracking_number: "RR555012347CH" });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.tracking.tracking_number, "RR555012347CH");
+    assert.ok(body.draft.includes(body.tracking.links.localized_url));
+});
+
+test("/sav/general rédige selon les instructions", async () => {
+    const res = await server.post("/sav/general", { instructions: "Remercie la cliente." }, { file: CAPTURE_PNG });
+    assert.equal(res.status, 200);
+    assert.match((await res.json()).draft, /Robin 🌞/);
+});
+
+test("/sav/inbox classe la demande et choisit la chaîne", async () => {
+    const res = await server.post("/sav/inbox", { text: "Bonjour, ma commande n°1002 : où est mon colis ?" });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-intent"), "where_is_my_order");
+    const body = await res.json();
+    assert.equal(body.pipeline, "respond");
+    assert.equal(body.tracking.tracking_number, "CE314159268BE");
+});
+
+test("/cases retrouve les dossiers par commande", async () => {
+    const res = await server.get("/cases?order_number=1004");
+    const { cases } = await res.json();
+    assert.ok(cases.some(c => c.route === "/sav/analyze" && c.order_number === "1004"));
+});
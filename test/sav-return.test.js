@@ -0,0 +1,48 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./support.js";
+
+// /sav/return sur la commande 1004 (colis CB204816320FR livré : Anneau Luna, Créoles Soleil)
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+const askReturn = async (items, text = "Bonjour, je voudrais retourner un bijou trop petit, jamais porté.") => {
+    const res = await server.post("/sav/return", { text, order_number: "1004", items });
+    assert.equal(res.status, 200);
+    return res.json();
+};
+
+test("une demande rejouée réutilise le retour, d'autres articles en créent un autre", async () => {
+    const first = await askReturn("Anneau Luna");
+    assert.equal(first.return_status, "created");
+
+    const replay = await askReturn("Anneau Luna");
+    assert.equal(replay.return_status, "existing");
+    assert.equal(replay.return.id, first.return.id);
+
+    const other = await askReturn("Créoles Soleil");
+    assert.equal(other.return_status, "created");
+    assert.notEqual(other.return.id, first.return.id);
+});
+
+test("l'article d'un colis pas encore livré est refusé", async () => {
+    const body = await askReturn("Piercing Hélix");
+    assert.equal(body.return_status, "refused");
+    assert.equal(body.eligibility.items[0].reason, "not_delivered");
+});
+
+test("le même article pour une autre raison fait un nouveau retour", async () => {
+    const small = await askReturn("Anneau Luna");
+    const damaged = await askReturn("Anneau Luna", "Bonjour, l'anneau est arrivé abîmé, je voudrais le retourner.");
+    assert.equal(damaged.request.reason, "damaged");
+    assert.equal(damaged.return_status, "created");
+    assert.notEqual(damaged.return.id, small.return.id);
+});
@@ -0,0 +1,60 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { tempDir } from "./support.js";
+
+// Rapport des colis bloqués : export CSV et données clientes du dernier rapport.
+// DATA_DIR est lu à l'import des modules : il est fixé avant de les charger.
+const dataDir = tempDir();
+process.env.DATA_DIR = dataDir;
+const { toCsv, saveStuckParcelReport, latestStuckParcelReport } = await import("../lib/stuck-parcels.js");
+const { eraseSubject, purgeExpiredData, parseSubject } = await import("../lib/privacy.js");
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function row(overrides = {}) {
+    return {
+        order_number: "1003",
+        order_date: "2026-10-04T10:00:00",
+        order_status: "completed",
+        customer: { first_name: "Noah", last_name: "Keller", email: "noah.keller@example.ch" },
+        country: "CH",
+        tracking_number: "RR555012347CH",
+        carrier: "colissimo",
+        status: "customs",
+        last_event: { at: "2026-10-09T08:00:00Z", description: "Retenu en douane", location: null },
+        days_stuck: 9,
+        flags: ["customs_hold"],
+        link: null,
+        draft: null,
+        parcels: [],
+        ...overrides
+    };
+}
+
+test("toCsv neutralise les cellules qui ressemblent à une formule", () => {
+    const csv = toCsv([row({ customer: { first_name: "=HYPERLINK(\"x\")", last_name: "Keller", email: "@noah" }, last_event: { description: "-1 jour" } })]);
+    assert.ok(csv.includes(",\"'=HYPERLINK(\"\"x\"\") Keller\","));
+    assert.ok(csv.includes(",'@noah,"));
+    assert.ok(csv.includes(",'-1 jour,"));
+    assert.ok(toCsv([row({ customer: { first_name: null, last_name: "+Keller", email: null } })]).includes(",'+Keller,"));
+});
+
+test("effacement d'une personne : ses lignes quittent le dernier rapport", async () => {
+    saveStuckParcelReport({ generated_at: new Date().toISOString(), rows: [row(), row({ order_number: "1001", customer: { email: "camille.martin@example.fr" } })] });
+    const erased = await eraseSubject(parseSubject({ email: "noah.keller@example.ch" }));
+    assert.equal(erased.stuck_report_rows, 1);
+    assert.deepEqual(latestStuckParcelReport().rows.map(r => r.order_number), ["1001"]);
+});
+
+test("rétention : un rapport plus ancien que RETENTION_DAYS_CASES est supprimé", async () => {
+    saveStuckParcelReport({ generated_at: "2026-01-01T00:00:00.000Z", rows: [row()] });
+    process.env.RETENTION_DAYS_CASES = "30";
+    try {
+        const report = await purgeExpiredData();
+        assert.equal(report.cases.stuck_report_rows, 1);
+        assert.equal(latestStuckParcelReport(), null);
+    } finally {
+        delete process.env.RETENTION_DAYS_CASES;
+    }
+});
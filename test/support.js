@@ -0,0 +1,119 @@
+import { spawn } from "child_process";
+import crypto from "crypto";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+
+// ==========================================
+// OUTILS DE TEST : SERVEUR EN BAC À SABLE
+// ==========================================
+// Le pont tourne dans un processus à part, avec SANDBOX=on (Woo, Sendcloud, 17TRACK simulés,
+// voir lib/sandbox.js), LLM_PROVIDER=fake et un DATA_DIR temporaire : aucun appel réseau.
+// Les règles du fournisseur fake (LLM_FAKE_FIXTURES) sont écrites dans ce DATA_DIR.
+
+export const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+
+// PNG 1x1 : une "capture" reconnue par les règles fake grâce à son empreinte
+export const CAPTURE_PNG = Buffer.from("iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==", "base64");
+export const CAPTURE_SHA256 = crypto.createHash("sha256").update(CAPTURE_PNG).digest("hex");
+
+// Capture d'Inès (commande 1004, deux colis Colissimo)
+const DEFAULT_RULES = [
+    {
+        task: "extract",
+        match: { format: "extract_identifiers", image_sha256: CAPTURE_SHA256 },
+        response: {
+            customer_first_name: "Inès",
+            identifiers: { email: "ines.laurent@example.fr", phone: null, order_number: null, tracking_number: null },
+            ocr_text: null,
+            customer_country: "FR",
+            customer_language: "fr",
+            product_names: []
+        }
+    }
+];
+
+export function tempDir(prefix = "sav-test-") {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once("error", reject);
+        probe.listen(0, "127.0.0.1", () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Démarre server.js ; env : variables en plus (ou à la place) des défauts de test.
+// Renvoie { url, dataDir, logs(), stop(), post(), get() }
+export async function startServer(env = {}, { rules = [] } = {}) {
+    const dataDir = tempDir();
+    const fixtures = path.join(dataDir, "llm-fake.json");
+    fs.writeFileSync(fixtures, JSON.stringify({ rules: [...rules, ...DEFAULT_RULES] }));
+    const port = await freePort();
+    let output = "";
+
+    const child = spawn(process.execPath, ["server.js"], {
+        cwd: ROOT,
+        env: {
+            PATH: process.env.PATH,
+            SANDBOX: "on",
+            API_AUTH: "off",
+            LLM_PROVIDER: "fake",
+            LLM_FAKE_FIXTURES: fixtures,
+            DATA_DIR: dataDir,
+            HTTP_RETRIES: "0",
+            PORT: String(port),
+            ...env
+        },
+        stdio: ["ignore", "pipe", "pipe"]
+    });
+    child.stdout.on("data", chunk => { output += chunk; });
+    child.stderr.on("data", chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Le serveur n'a pas démarré :\n${output}`)), 15000);
+        const check = () => {
+            if (output.includes(`Listening on ${port}`)) {
+                clearTimeout(timer);
+                child.stdout.off("data", check);
+                resolve();
+            }
+        };
+        child.stdout.on("data", check);
+        child.once("exit", code => {
+            clearTimeout(timer);
+            reject(new Error(`Le serveur s'est arrêté (code ${code}) :\n${output}`));
+        });
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+    return {
+        url,
+        dataDir,
+        logs: () => output,
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once("exit", resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        },
+        // fields : champs du formulaire ; file : Buffer envoyé dans le champ "image"
+        post(route, fields = {}, { file = null, headers = {}, json = true } = {}) {
+            const form = new FormData();
+            for (const [k, v] of Object.entries(fields)) form.append(k, v);
+            if (file) form.append("image", new Blob([file], { type: "image/png" }), "capture.png");
+            return fetch(`${url}${route}`, { method: "POST", body: form, headers: json ? { Accept: "application/json", ...headers } : headers });
+        },
+        get(route, { headers = {} } = {}) {
+            return fetch(`${url}${route}`, { headers: { Accept: "application/json", ...headers } });
+        }
+    };
+}
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { linksForShipment } from "../lib/tracking-links.js";
+
+test("un numéro S10 vers la Belgique est suivi chez bpost", () => {
+    const links = linksForShipment({ carrier: "colissimo", destination: "BE" }, { trackingNumber: "CB204816320FR" });
+    assert.equal(links.carrier, "bpost");
+});
+
+test("un numéro Colissimo domestique vers la Suisse reste chez La Poste", () => {
+    const links = linksForShipment({ carrier: "colissimo", destination: "CH" }, { trackingNumber: "6A23456789012" });
+    assert.equal(links.carrier, "la_poste");
+    assert.match(links.url, /laposte\.fr/);
+});
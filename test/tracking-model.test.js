@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromSendcloud, classifyStatusText } from "../lib/tracking-model.js";
+
+test("Sendcloud : un texte douane ou incident l'emporte sur un identifiant en transit", () => {
+    const customs = fromSendcloud({ status: { id: 91, message: "Retenu en douane" } }, "RR555012347CH");
+    assert.equal(customs.status, "customs");
+
+    const incident = fromSendcloud({
+        status: { id: 3, message: "En transit" },
+        statuses: [{ parcel_status: 91, carrier_message: "Colis endommagé", timestamp: "2026-10-01T10:00:00Z" }]
+    }, "CB204816320FR");
+    assert.equal(incident.status, "in_transit");
+    assert.equal(incident.events[0].status, "exception");
+});
+
+test("Sendcloud : l'identifiant reste prioritaire quand il est précis", () => {
+    assert.equal(fromSendcloud({ status: { id: 91, message: "Arrivé au centre de tri" } }, "X").status, "in_transit");
+    assert.equal(fromSendcloud({ status: { id: 11, message: "Retenu en douane" } }, "X").status, "delivered");
+});
+
+test("classifyStatusText : tri, centre et hub ne matchent que des mots entiers", () => {
+    assert.equal(classifyStatusText("Colis arrivé au centre de tri"), "in_transit");
+    assert.equal(classifyStatusText("Processed at hub"), "in_transit");
+    assert.equal(classifyStatusText("En cours de distribution"), null);
+    assert.equal(classifyStatusText("Awaiting retrieval"), null);
+    assert.equal(classifyStatusText("Votre colis est disponible au centre de retrait"), "pickup_point");
+    assert.equal(classifyStatusText("Colis arrivé au centre de retrait"), "pickup_point");
+    assert.equal(classifyStatusText("Distribué au destinataire"), "delivered");
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTrackingNumber, findTrackingNumbers, checkTrackingNumber } from "../lib/tracking-number.js";
+
+test("un numéro Colissimo tout en chiffres n'est pas corrigé, mais reste non vérifié", () => {
+    const parsed = parseTrackingNumber("1234567890123");
+    assert.equal(parsed.number, "1234567890123");
+    assert.equal(parsed.format, "colissimo");
+    assert.equal(parsed.corrected, false);
+    assert.equal(parsed.valid, true);
+    assert.equal(parsed.verified, false);
+});
+
+test("correction OCR d'un numéro à clé de contrôle", () => {
+    const parsed = parseTrackingNumber("CB2O4816320FR");
+    assert.equal(parsed.number, "CB204816320FR");
+    assert.equal(parsed.corrected, true);
+    assert.equal(parsed.verified, true);
+});
+
+test("clé de contrôle fausse : S10 et UPS refusés", () => {
+    assert.equal(parseTrackingNumber("CB204816321FR").reason, "checksum");
+    assert.equal(parseTrackingNumber("1Z999AA10123456784").valid, true);
+    const ups = parseTrackingNumber("1Z999AA10123456785");
+    assert.equal(ups.valid, false);
+    assert.equal(ups.reason, "checksum");
+});
+
+test("texte OCR : ni numéro de commande, ni date, ni téléphone", () => {
+    assert.deepEqual(findTrackingNumbers("Commande 48213577 du 20251018 tel 0612345678"), []);
+    assert.deepEqual(findTrackingNumbers("Tél. +33 6 12 34 56 78"), []);
+    assert.equal(parseTrackingNumber("TEL0612345678").valid, false);
+});
+
+test("texte OCR : un numéro tout en chiffres est retenu si le transporteur est nommé", () => {
+    const found = findTrackingNumbers("Votre colis Colissimo 1234567890123 est en route");
+    assert.deepEqual(found.map(f => f.number), ["1234567890123"]);
+    assert.deepEqual(findTrackingNumbers("Mondial Relay : 48213577").map(f => f.carrier), ["mondial_relay"]);
+});
+
+test("checkTrackingNumber préfère un numéro vérifié du texte à un numéro tout en chiffres", () => {
+    const check = checkTrackingNumber("48213577", "Commande 48213577, colis CB204816320FR");
+    assert.equal(check.number, "CB204816320FR");
+    assert.equal(check.source, "ocr");
+
+    const alone = checkTrackingNumber("48213577", "Commande 48213577");
+    assert.equal(alone.source, "llm");
+    assert.equal(alone.verified, false);
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startServer } from "./support.js";
+
+// Webhooks entrants (signature HMAC du corps, voir lib/webhooks.js)
+
+const SECRET = "sendcloud-test-secret";
+const WOO_SECRET = "woo-test-secret";
+let server;
+
+before(async () => {
+    server = await startServer({ SENDCLOUD_WEBHOOK_SECRET: SECRET, WC_WEBHOOK_SECRET: WOO_SECRET });
+});
+
+after(async () => {
+    await server?.stop();
+});
+
+function sendcloudWebhook(payload) {
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac("sha256", SECRET).update(body).digest("hex");
+    return fetch(`${server.url}/webhooks/sendcloud`, {
+        method: "POST",
+        body,
+        headers: { "Content-Type": "application/json", "Sendcloud-Signature": signature }
+    });
+}
+
+test("/webhooks/sendcloud accepte un horodatage illisible", async () => {
+    const res = await sendcloudWebhook({
+        action: "parcel_status_changed",
+        timestamp: "pas une date",
+        parcel: { tracking_number: "CB204816320FR", order_number: "1004", status: { id: 3, message: "En transit" } }
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.tracking_number, "CB204816320FR");
+    assert.equal(body.status, "in_transit");
+});
+
+test("/webhooks/sendcloud refuse une signature invalide", async () => {
+    const res = await fetch(`${server.url}/webhooks/sendcloud`, {
+        method: "POST",
+        body: "{}",
+        headers: { "Content-Type": "application/json", "Sendcloud-Signature": "00" }
+    });
+    assert.equal(res.status, 401);
+});
+
+function wooWebhook(body, headers = {}) {
+    return fetch(`${server.url}/webhooks/woocommerce`, { method: "POST", body, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+test("/webhooks/woocommerce : seul le ping exact est accepté sans signature", async () => {
+    const ping = await fetch(`${server.url}/webhooks/woocommerce`, {
+        method: "POST",
+        body: "webhook_id=12",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" }
+    });
+    assert.equal(ping.status, 200);
+    assert.equal((await ping.json()).ping, true);
+
+    const probe = await wooWebhook(JSON.stringify({ webhook_id: 12, id: 1001, status: "completed" }));
+    assert.equal(probe.status, 401);
+    const unsigned = await wooWebhook(JSON.stringify({ id: 1001, status: "completed" }), { "X-WC-Webhook-Topic": "order.updated" });
+    assert.equal(unsigned.status, 401);
+});
+
+test("/webhooks/woocommerce : commande signée enregistrée", async () => {
+    const body = JSON.stringify({ id: 1001, number: "1001", status: "completed" });
+    const signature = crypto.createHmac("sha256", WOO_SECRET).update(body).digest("base64");
+    const res = await wooWebhook(body, { "X-WC-Webhook-Topic": "order.updated", "X-WC-Webhook-Signature": signature });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).order_number, "1001");
+});